@@ -24,6 +24,8 @@
  * 4. Save the project
  * 5. Run the 'syncUnreadEmails' function
  * 6. Grant necessary permissions when prompted
+ * 7. For broadcasting, add a Script Property named WEBHOOK_SECRET
+ *    (Project Settings > Script Properties) matching the webhook server's WEBHOOK_SECRET
  *
  * Optional: Set up a time-based trigger to run this automatically
  */
@@ -180,11 +182,14 @@ function extractEmailData(message) {
 
 /**
  * Broadcast messages to external API
- * Only broadcasts messages that haven't been broadcasted yet (broadcasted_at is empty)
+ * Only broadcasts messages that haven't been broadcasted yet (broadcasted_at is empty).
+ * Rows are sent in chunks to POST /webhook/batch; broadcasted_at is set only on rows
+ * the server reports as stored or skipped.
  */
 function broadcastMessages() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const WEBHOOK_URL = 'https://rafael-personai-assistent.loca.lt';
+  const BATCH_URL = `${WEBHOOK_URL}/batch`;
+  const BATCH_SIZE = 50;
   const MAX_RETRIES = 3;
   const RETRY_DELAY_MS = 3000; // 3 seconds
 
@@ -210,13 +215,10 @@ function broadcastMessages() {
     'body'
   ];
 
-  let broadcastedCount = 0;
-  let failedCount = 0;
-
-  // Process each row
+  // Collect rows that haven't been broadcasted yet
+  const pending = [];
   for (let i = 0; i < data.length; i++) {
     const row = data[i];
-    const rowNumber = i + 2; // +2 because: +1 for 0-index, +1 for header row
     const broadcastedAt = row[4]; // Column E (broadcasted_at)
 
     // Skip if already broadcasted
@@ -230,39 +232,71 @@ function broadcastMessages() {
       payload[header] = row[index] || '';
     });
 
+    pending.push({ rowNumber: i + 2, payload }); // +2 because: +1 for 0-index, +1 for header row
+  }
+
+  let broadcastedCount = 0;
+  let failedCount = 0;
+
+  for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+    const chunk = pending.slice(start, start + BATCH_SIZE);
+    const label = `Rows ${chunk[0].rowNumber}-${chunk[chunk.length - 1].rowNumber}`;
+
+    // Delivery time, stored by the server to measure end-to-end latency
+    // received_at/downloaded_at are local to the script's timezone; send it so the server can convert to UTC
+    const broadcastedAt = new Date().toISOString();
+    chunk.forEach(item => {
+      item.payload.broadcasted_at = broadcastedAt;
+      item.payload.timezone = Session.getScriptTimeZone();
+    });
+
     // Try to broadcast with retries
-    const success = broadcastWithRetry(payload, WEBHOOK_URL, MAX_RETRIES, RETRY_DELAY_MS, rowNumber);
-
-    if (success) {
-      // Update broadcasted_at timestamp
-      const timestamp = Utilities.formatDate(
-        new Date(),
-        Session.getScriptTimeZone(),
-        'yyyy-MM-dd HH:mm:ss'
-      );
-      sheet.getRange(rowNumber, 5).setValue(timestamp); // Column E
-      broadcastedCount++;
-      Logger.log(`[Row ${rowNumber}] ✓ Broadcasted successfully`);
-    } else {
+    const response = broadcastWithRetry(
+      chunk.map(item => item.payload),
+      BATCH_URL,
+      MAX_RETRIES,
+      RETRY_DELAY_MS,
+      label
+    );
+
+    if (!response) {
       // Broadcasting failed after all retries - halt
-      failedCount++;
-      Logger.log(`[Row ${rowNumber}] ✗ Broadcasting failed after ${MAX_RETRIES} attempts. Halting broadcast.`);
+      Logger.log(`[${label}] ✗ Broadcasting failed after ${MAX_RETRIES} attempts. Halting broadcast.`);
 
       // Show error message and stop
       SpreadsheetApp.getActiveSpreadsheet().toast(
-        `Broadcast halted at row ${rowNumber}. ${broadcastedCount} messages sent, 1 failed.`,
+        `Broadcast halted at row ${chunk[0].rowNumber}. ${broadcastedCount} messages sent, ${failedCount} rejected.`,
         'Broadcast Failed',
         10
       );
       return; // Halt broadcasting
     }
+
+    // Update broadcasted_at timestamp on rows the server accepted
+    const timestamp = Utilities.formatDate(
+      new Date(),
+      Session.getScriptTimeZone(),
+      'yyyy-MM-dd HH:mm:ss'
+    );
+    JSON.parse(response.getContentText()).results.forEach(item => {
+      const rowNumber = chunk[item.index].rowNumber;
+      if (item.result === 'error') {
+        failedCount++;
+        Logger.log(`[Row ${rowNumber}] ✗ Rejected: ${item.message} (${item.code})`);
+        return;
+      }
+      sheet.getRange(rowNumber, 5).setValue(timestamp); // Column E
+      broadcastedCount++;
+      Logger.log(`[Row ${rowNumber}] ✓ Broadcasted successfully (${item.result})`);
+    });
   }
 
-  Logger.log(`Broadcast complete: ${broadcastedCount} messages sent successfully`);
+  Logger.log(`Broadcast complete: ${broadcastedCount} messages sent successfully, ${failedCount} rejected`);
 
-  if (broadcastedCount > 0) {
+  if (broadcastedCount > 0 || failedCount > 0) {
     SpreadsheetApp.getActiveSpreadsheet().toast(
-      `Broadcasted ${broadcastedCount} messages to external API`,
+      `Broadcasted ${broadcastedCount} messages to external API` +
+        (failedCount > 0 ? ` (${failedCount} rejected, see logs)` : ''),
       'Broadcast Complete',
       5
     );
@@ -270,23 +304,26 @@ function broadcastMessages() {
 }
 
 /**
- * Broadcast a single message with retry logic
- * @param {Object} payload - JSON payload to send
+ * Broadcast a payload with retry logic
+ * @param {Object|Array} payload - JSON payload to send
  * @param {string} url - Webhook URL
  * @param {number} maxRetries - Maximum number of retry attempts
  * @param {number} delayMs - Delay between retries in milliseconds
- * @param {number} rowNumber - Row number for logging
- * @returns {boolean} True if successful, false otherwise
+ * @param {string} label - Rows being sent, for logging
+ * @returns {HTTPResponse|null} The successful response, or null if all attempts failed
  */
-function broadcastWithRetry(payload, url, maxRetries, delayMs, rowNumber) {
+function broadcastWithRetry(payload, url, maxRetries, delayMs, label) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      Logger.log(`[Row ${rowNumber}] Attempt ${attempt}/${maxRetries}: Broadcasting to ${url}`);
+      Logger.log(`[${label}] Attempt ${attempt}/${maxRetries}: Broadcasting to ${url}`);
 
+      // Sign each attempt so retries carry a fresh timestamp
+      const body = JSON.stringify(payload);
       const options = {
         method: 'post',
         contentType: 'application/json',
-        payload: JSON.stringify(payload),
+        payload: body,
+        headers: signWebhookRequest(body),
         muteHttpExceptions: true // Don't throw exceptions on non-2xx responses
       };
 
@@ -295,25 +332,53 @@ function broadcastWithRetry(payload, url, maxRetries, delayMs, rowNumber) {
 
       // Check if response is 2xx (success)
       if (responseCode >= 200 && responseCode < 300) {
-        Logger.log(`[Row ${rowNumber}] Attempt ${attempt}/${maxRetries}: Success (${responseCode})`);
-        return true;
+        Logger.log(`[${label}] Attempt ${attempt}/${maxRetries}: Success (${responseCode})`);
+        return response;
       } else {
-        Logger.log(`[Row ${rowNumber}] Attempt ${attempt}/${maxRetries}: Failed with status ${responseCode}`);
-        Logger.log(`[Row ${rowNumber}] Response: ${response.getContentText()}`);
+        Logger.log(`[${label}] Attempt ${attempt}/${maxRetries}: Failed with status ${responseCode}`);
+        Logger.log(`[${label}] Response: ${response.getContentText()}`);
       }
     } catch (error) {
-      Logger.log(`[Row ${rowNumber}] Attempt ${attempt}/${maxRetries}: Error - ${error.message}`);
+      Logger.log(`[${label}] Attempt ${attempt}/${maxRetries}: Error - ${error.message}`);
     }
 
     // Wait before retrying (except on last attempt)
     if (attempt < maxRetries) {
-      Logger.log(`[Row ${rowNumber}] Waiting ${delayMs}ms before retry...`);
+      Logger.log(`[${label}] Waiting ${delayMs}ms before retry...`);
       Utilities.sleep(delayMs);
     }
   }
 
   // All retries exhausted
-  return false;
+  return null;
+}
+
+/**
+ * Build signature headers for a webhook request
+ * Signs "<timestamp>.<body>" with HMAC-SHA256 using the WEBHOOK_SECRET script property
+ * @param {string} body - Exact JSON string being sent
+ * @returns {Object} X-Webhook-Timestamp and X-Webhook-Signature headers
+ */
+function signWebhookRequest(body) {
+  const secret = PropertiesService.getScriptProperties().getProperty('WEBHOOK_SECRET');
+  if (!secret) {
+    throw new Error('WEBHOOK_SECRET script property is not set');
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signatureBytes = Utilities.computeHmacSha256Signature(
+    `${timestamp}.${body}`,
+    secret,
+    Utilities.Charset.UTF_8
+  );
+  const signature = signatureBytes
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+
+  return {
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${signature}`
+  };
 }
 
 /**
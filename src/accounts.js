@@ -0,0 +1,224 @@
+/**
+ * Monitored accounts
+ * Accounts are listed in the accounts file (ACCOUNTS_PATH, default ./accounts.json;
+ * see accounts.example.json). Without one, GMAIL_USER/GMAIL_APP_PASSWORD (or the
+ * GMAIL_OAUTH_* variables) describe the only account, named "default".
+ * {
+ *   "accounts": [{
+ *     "name": "personal",                     // unique; letters, digits, - and _
+ *     "user": "me@gmail.com",
+ *     "password": "app password",             // optional with "oauth" (then only a fallback)
+ *     "oauth": {                              // optional: XOAUTH2 sign-in (see oauth.js)
+ *       "client_id": "...",
+ *       "client_secret": "..."                // optional: refresh_token, token_url, auth_url
+ *     },
+ *     "host": "imap.gmail.com",               // optional: host, port, tls and folders
+ *     "folders": ["INBOX"]                    // default to the IMAP_* settings
+ *   }]
+ * }
+ *
+ * The first account is the primary one: its emails keep Gmail's own ids (as sent by the
+ * Apps Script webhook), and rows stored before accounts existed belong to it. Email and
+ * thread ids of the other accounts are namespaced as "<account>:<id>" so two mailboxes
+ * can never store the same id.
+ */
+
+import { readFileSync, existsSync, statSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Name of the account configured through GMAIL_USER/GMAIL_APP_PASSWORD
+ */
+export const DEFAULT_ACCOUNT_NAME = 'default';
+
+const ACCOUNT_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const NAMESPACE_SEPARATOR = ':';
+
+// Compiled accounts, reloaded when the file changes
+let cache = { path: null, mtimeMs: 0, accounts: [] };
+
+/**
+ * Path of the accounts file
+ * @returns {string}
+ */
+export function getAccountsPath() {
+  return process.env.ACCOUNTS_PATH || resolve(projectRoot, 'accounts.json');
+}
+
+/**
+ * Validate an accounts document
+ * @param {Object} document - Parsed accounts file
+ * @returns {Array<Object>} - Account entries { name, user, password, oauth, host?, port?, tls?, folders? }
+ * @throws {Error} if the document is invalid
+ */
+export function compileAccounts(document) {
+  if (!document || !Array.isArray(document.accounts) || document.accounts.length === 0) {
+    throw new Error('accounts file must contain a non-empty "accounts" array');
+  }
+
+  const names = new Set();
+  return document.accounts.map((account, index) => {
+    const name = account.name;
+    const fail = message => {
+      throw new Error(`account ${name ? `"${name}"` : index + 1}: ${message}`);
+    };
+
+    if (typeof name !== 'string' || !ACCOUNT_NAME.test(name)) fail('"name" must be letters, digits, - or _');
+    if (names.has(name)) fail('"name" must be unique');
+    names.add(name);
+
+    if (typeof account.user !== 'string' || account.user === '') fail('"user" is required');
+    if (account.oauth === undefined
+      ? typeof account.password !== 'string' || account.password === ''
+      : account.password !== undefined && typeof account.password !== 'string') {
+      fail('"password" is required (unless "oauth" is set)');
+    }
+    const oauth = account.oauth === undefined ? null : compileOAuth(account.oauth, fail);
+    if (account.host !== undefined && typeof account.host !== 'string') fail('"host" must be a string');
+    if (account.port !== undefined && !Number.isInteger(account.port)) fail('"port" must be an integer');
+    if (account.tls !== undefined && typeof account.tls !== 'boolean') fail('"tls" must be true or false');
+    if (account.folders !== undefined
+      && (!Array.isArray(account.folders) || account.folders.length === 0
+        || !account.folders.every(folder => typeof folder === 'string' && folder.trim() !== ''))) {
+      fail('"folders" must be a non-empty array of mailbox names');
+    }
+
+    return {
+      name,
+      user: account.user,
+      password: account.password || undefined,
+      oauth,
+      host: account.host,
+      port: account.port,
+      tls: account.tls,
+      folders: account.folders?.map(folder => folder.trim()),
+    };
+  });
+}
+
+/**
+ * Validate the "oauth" settings of an account entry
+ * @private
+ * @param {Object} oauth - { client_id, client_secret?, refresh_token?, token_url?, auth_url? }
+ * @param {Function} fail - Reports an error for the account
+ * @returns {Object} - { clientId, clientSecret, refreshToken, tokenUrl, authUrl }
+ */
+function compileOAuth(oauth, fail) {
+  if (!oauth || typeof oauth !== 'object' || Array.isArray(oauth)) fail('"oauth" must be an object');
+  if (typeof oauth.client_id !== 'string' || oauth.client_id === '') fail('"oauth.client_id" is required');
+  for (const field of ['client_secret', 'refresh_token']) {
+    if (oauth[field] !== undefined && typeof oauth[field] !== 'string') fail(`"oauth.${field}" must be a string`);
+  }
+  for (const field of ['token_url', 'auth_url']) {
+    if (oauth[field] !== undefined && !URL.canParse(oauth[field])) fail(`"oauth.${field}" must be a URL`);
+  }
+
+  return {
+    clientId: oauth.client_id,
+    clientSecret: oauth.client_secret,
+    refreshToken: oauth.refresh_token,
+    tokenUrl: oauth.token_url,
+    authUrl: oauth.auth_url,
+  };
+}
+
+/**
+ * OAuth settings of the "default" account, from GMAIL_OAUTH_CLIENT_ID/_CLIENT_SECRET/_REFRESH_TOKEN
+ * @private
+ * @returns {Object|null}
+ */
+function oauthFromEnv() {
+  if (!process.env.GMAIL_OAUTH_CLIENT_ID) {
+    return null;
+  }
+  return {
+    clientId: process.env.GMAIL_OAUTH_CLIENT_ID,
+    clientSecret: process.env.GMAIL_OAUTH_CLIENT_SECRET || undefined,
+    refreshToken: process.env.GMAIL_OAUTH_REFRESH_TOKEN || undefined,
+  };
+}
+
+/**
+ * Load the account entries (cached until the file changes)
+ * @param {string} [accountsPath] - Accounts file path (default: getAccountsPath())
+ * @returns {Array<Object>} - Account entries, the primary account first; a single
+ *   "default" entry from GMAIL_USER/GMAIL_APP_PASSWORD/GMAIL_OAUTH_* when the file doesn't exist
+ * @throws {Error} if the file can't be read or is invalid
+ */
+export function loadAccounts(accountsPath = getAccountsPath()) {
+  if (!existsSync(accountsPath)) {
+    return [{
+      name: DEFAULT_ACCOUNT_NAME,
+      user: process.env.GMAIL_USER,
+      password: process.env.GMAIL_APP_PASSWORD,
+      oauth: oauthFromEnv(),
+    }];
+  }
+
+  const { mtimeMs } = statSync(accountsPath);
+  if (cache.path === accountsPath && cache.mtimeMs === mtimeMs) {
+    return cache.accounts;
+  }
+
+  try {
+    const accounts = compileAccounts(JSON.parse(readFileSync(accountsPath, 'utf8')));
+    cache = { path: accountsPath, mtimeMs, accounts };
+    return accounts;
+  } catch (error) {
+    throw new Error(`Accounts load failed: ${error.message}`);
+  }
+}
+
+/**
+ * Name of the primary account (owner of un-namespaced ids and of rows without an account)
+ * @returns {string}
+ */
+export function getPrimaryAccountName() {
+  return loadAccounts()[0].name;
+}
+
+/**
+ * Address of an account, e.g. for Gmail links
+ * @param {string|null} name - Account name (default: the primary account)
+ * @returns {string|undefined}
+ */
+export function getAccountUser(name) {
+  const accounts = loadAccounts();
+  return (accounts.find(account => account.name === name) || accounts[0]).user;
+}
+
+/**
+ * Namespace an email or thread id with its account
+ * @param {Object|null} account - Account ({ name, primary }); without one the id is left as it is
+ * @param {string} id - Id within the mailbox (Gmail hex id, UID or generated thread id)
+ * @returns {string} - The id for the primary account, "<account>:<id>" for the others
+ */
+export function namespaceId(account, id) {
+  if (!account?.name || account.primary || !id) {
+    return id;
+  }
+  return `${account.name}${NAMESPACE_SEPARATOR}${id}`;
+}
+
+/**
+ * Id within the mailbox, without an account namespace
+ * @param {string} id - Stored email or thread id
+ * @returns {string}
+ */
+export function stripNamespace(id) {
+  const text = String(id);
+  return text.slice(text.indexOf(NAMESPACE_SEPARATOR) + 1);
+}
+
+/**
+ * Account namespace of a stored id
+ * @param {string} id - Stored email or thread id
+ * @returns {string} - "<account>:" or '' for the primary account
+ */
+export function getNamespace(id) {
+  const text = String(id);
+  return text.slice(0, text.indexOf(NAMESPACE_SEPARATOR) + 1);
+}
@@ -0,0 +1,87 @@
+/**
+ * Content-addressed attachment storage
+ * Attachment bytes live in an `attachments/` directory next to the SQLite database,
+ * stored by SHA-256 checksum so identical files are kept once
+ */
+
+import { createHash } from 'crypto';
+import { dirname, join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, unlinkSync } from 'fs';
+
+/**
+ * Get attachments directory for a database file
+ * @param {string} dbPath - Path to SQLite database file
+ * @returns {string} - Attachments directory path
+ */
+export function getAttachmentsDir(dbPath) {
+  return join(dirname(dbPath), 'attachments');
+}
+
+/**
+ * Compute SHA-256 checksum of attachment content
+ * @param {Buffer} content - Attachment bytes
+ * @returns {string} - Lower-case hex digest
+ */
+export function computeChecksum(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Path of a content-addressed blob (fanned out by the first two hex chars)
+ * @private
+ * @param {string} dir - Attachments directory
+ * @param {string} checksum - SHA-256 hex digest
+ * @returns {string} - Blob file path
+ */
+function getContentPath(dir, checksum) {
+  return join(dir, checksum.slice(0, 2), checksum);
+}
+
+/**
+ * Write attachment content (no-op if the same content is already stored)
+ * @param {string} dir - Attachments directory
+ * @param {Buffer} content - Attachment bytes
+ * @returns {string} - SHA-256 checksum used as the content address
+ */
+export function writeAttachmentContent(dir, content) {
+  const checksum = computeChecksum(content);
+  const contentPath = getContentPath(dir, checksum);
+
+  if (existsSync(contentPath)) {
+    return checksum;
+  }
+
+  mkdirSync(dirname(contentPath), { recursive: true });
+
+  // Atomic write (temp file + rename) so readers never see partial files
+  const tempPath = `${contentPath}.tmp`;
+  try {
+    writeFileSync(tempPath, content);
+    renameSync(tempPath, contentPath);
+  } catch (error) {
+    try {
+      if (existsSync(tempPath)) {
+        unlinkSync(tempPath);
+      }
+    } catch (cleanupError) {
+      // A leftover temp file is overwritten on the next write of this content; report the write failure instead
+    }
+    throw new Error(`Attachment write failed: ${error.message}`);
+  }
+
+  return checksum;
+}
+
+/**
+ * Read attachment content by checksum
+ * @param {string} dir - Attachments directory
+ * @param {string} checksum - SHA-256 hex digest
+ * @returns {Buffer|null} - Attachment bytes or null if not stored
+ */
+export function readAttachmentContent(dir, checksum) {
+  const contentPath = getContentPath(dir, checksum);
+  if (!existsSync(contentPath)) {
+    return null;
+  }
+  return readFileSync(contentPath);
+}
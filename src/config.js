@@ -6,6 +6,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
+import { loadAccounts } from './accounts.js';
 
 // Load .env file from project root
 const __filename = fileURLToPath(import.meta.url);
@@ -15,12 +16,18 @@ const projectRoot = resolve(__dirname, '..');
 dotenv.config({ path: resolve(projectRoot, '.env') });
 
 /**
- * Validates required environment variables
+ * Validates the monitored accounts
+ * GMAIL_USER and GMAIL_APP_PASSWORD (or GMAIL_OAUTH_CLIENT_ID) are required unless
+ * accounts come from the accounts file
+ * @param {Array<Object>} accounts - Account entries (see accounts.js)
  * @throws {Error} if required variables are missing
  */
-function validateConfig() {
-  const required = ['GMAIL_USER', 'GMAIL_APP_PASSWORD'];
-  const missing = required.filter(key => !process.env[key]);
+function validateConfig(accounts) {
+  const [account] = accounts;
+  const missing = [
+    ['GMAIL_USER', account.user],
+    ['GMAIL_APP_PASSWORD (or GMAIL_OAUTH_CLIENT_ID)', account.password || account.oauth],
+  ].filter(([, value]) => !value).map(([key]) => key);
 
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
@@ -28,27 +35,54 @@ function validateConfig() {
 }
 
 // Validate configuration on load
-validateConfig();
+const accountEntries = loadAccounts();
+validateConfig(accountEntries);
 
 /**
  * Application configuration object
  */
 export const config = {
+  // Primary account (the first of `accounts`)
   gmail: {
-    user: process.env.GMAIL_USER,
-    password: process.env.GMAIL_APP_PASSWORD,
+    user: accountEntries[0].user,
+    password: accountEntries[0].password,
+    oauth: accountEntries[0].oauth || null, // XOAUTH2 settings (see oauth.js); the password is then a fallback
   },
 
   imap: {
     host: process.env.IMAP_HOST || 'imap.gmail.com',
     port: parseInt(process.env.IMAP_PORT || '993', 10),
     tls: process.env.IMAP_TLS !== 'false', // Default true
+    // Comma-separated mailbox names, e.g. "INBOX,[Gmail]/Sent Mail"
+    folders: (process.env.IMAP_FOLDERS || 'INBOX')
+      .split(',')
+      .map(folder => folder.trim())
+      .filter(Boolean),
+    // Mailbox actions look messages up in All Mail, move trashed ones to Trash and (without
+    // Gmail labels) archived ones to Archive. Names or special-use roles resolved by the server.
+    allMailFolder: process.env.IMAP_ALL_MAIL_FOLDER || '\\All',
+    trashFolder: process.env.IMAP_TRASH_FOLDER || '\\Trash',
+    archiveFolder: process.env.IMAP_ARCHIVE_FOLDER || '\\Archive',
+    pollInterval: parseInt(process.env.IMAP_POLL_INTERVAL_MS || '30000', 10), // New-mail check on servers without IDLE
+    watchdog: {
+      heartbeatInterval: parseInt(process.env.IMAP_HEARTBEAT_INTERVAL_MS || '60000', 10), // NOOP every minute
+      responseTimeout: parseInt(process.env.IMAP_RESPONSE_TIMEOUT_MS || '30000', 10), // Deadline for server reply
+      idleReissueInterval: parseInt(process.env.IMAP_IDLE_REISSUE_MS || '1200000', 10), // Re-issue IDLE every 20 min (Gmail drops at ~29)
+    },
+    reconnect: {
+      baseDelay: parseInt(process.env.IMAP_RECONNECT_BASE_DELAY_MS || '1000', 10), // First retry after 1s, doubling per attempt
+      maxDelay: parseInt(process.env.IMAP_RECONNECT_MAX_DELAY_MS || '60000', 10), // Never wait more than a minute
+    },
   },
 
   database: {
     path: process.env.DB_PATH || './data/emails.db',
   },
 
+  attachments: {
+    maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES || '10485760', 10), // Larger files are recorded as metadata only (default 10MB)
+  },
+
   state: {
     path: process.env.STATE_FILE_PATH || './data/current_state.json',
   },
@@ -62,4 +96,34 @@ export const config = {
   },
 };
 
+/**
+ * Monitored accounts, primary first
+ * Each has the `gmail` and `imap` settings of an ImapClient configuration, with the
+ * account's overrides applied to the IMAP_* defaults
+ */
+config.accounts = accountEntries.map((account, index) => ({
+  name: account.name,
+  primary: index === 0,
+  gmail: { user: account.user, password: account.password, oauth: account.oauth || null },
+  imap: { ...config.imap, ...accountImapOverrides(account) },
+}));
+
+// config.imap describes the primary account, like config.gmail
+config.imap = config.accounts[0].imap;
+
+/**
+ * IMAP settings given in an account entry
+ * @param {Object} account - Account entry (see accounts.js)
+ * @returns {Object} - Only the settings the entry sets
+ */
+function accountImapOverrides(account) {
+  const overrides = {};
+  for (const key of ['host', 'port', 'tls', 'folders']) {
+    if (account[key] !== undefined) {
+      overrides[key] = account[key];
+    }
+  }
+  return overrides;
+}
+
 export default config;
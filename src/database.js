@@ -6,218 +6,674 @@
 import Database from 'better-sqlite3';
 import { dirname } from 'path';
 import { mkdirSync, existsSync } from 'fs';
+import { getAttachmentsDir, readAttachmentContent } from './attachment-store.js';
+import { runMigrations } from './migrations.js';
+import { normalizeLabels } from './labels.js';
+import { resolveThread, buildThreadTree } from './threading.js';
 
 /**
- * Check if database needs migration from old schema
+ * Rebuild the full-text search index from the emails table
  * @param {Database} db - Database instance
- * @returns {boolean} - True if migration needed
+ * @returns {number} - Number of emails indexed
  */
-function needsMigration(db) {
+export function rebuildSearchIndex(db) {
   try {
-    // Check if emails table exists
-    const tableExists = db.prepare(
-      "SELECT name FROM sqlite_master WHERE type='table' AND name='emails'"
-    ).get();
+    return db.transaction(() => {
+      db.exec('DELETE FROM emails_fts');
+      const result = db.prepare(`
+        INSERT INTO emails_fts (email_id, subject, from_address, recipients, body)
+        SELECT
+          id, subject, from_address,
+          to_address || ' ' || COALESCE(cc_address, ''),
+          COALESCE(body_text, body)
+        FROM emails
+      `).run();
+      return result.changes;
+    })();
+  } catch (error) {
+    throw new Error(`Search index rebuild failed: ${error.message}`);
+  }
+}
 
-    if (!tableExists) {
-      return false; // No table exists, will create new schema
+/**
+ * Initialize SQLite database with schema and indexes
+ * @param {string} dbPath - Absolute path to SQLite database file
+ * @returns {Database} - Database instance
+ */
+export function initDatabase(dbPath) {
+  try {
+    // Ensure parent directory exists
+    const dir = dirname(dbPath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
     }
 
-    // Get table schema info
-    const tableInfo = db.prepare('PRAGMA table_info(emails)').all();
+    // Open database connection
+    const db = new Database(dbPath);
 
-    // Check if id column is INTEGER (old schema)
-    const idColumn = tableInfo.find(col => col.name === 'id');
-    const hasThreadId = tableInfo.some(col => col.name === 'thread_id');
+    // Enable WAL mode for better concurrency
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
 
-    // Migration needed if id is INTEGER and thread_id doesn't exist
-    return idColumn && idColumn.type === 'INTEGER' && !hasThreadId;
+    // Bring schema up to date
+    runMigrations(db);
+
+    return db;
+  } catch (error) {
+    throw new Error(`Database initialization failed: ${error.message}`);
+  }
+}
+
+/**
+ * Store email in database with duplicate prevention
+ * @param {Database} db - Database instance
+ * @param {Object} email - Email record object (thread_id, message_id, reference_ids and
+ *   base_subject are filled in when stored)
+ * @returns {boolean} - true if stored, false if duplicate
+ */
+export function storeEmail(db, email) {
+  try {
+    return db.transaction(() => {
+      // Check for duplicate id (works with TEXT id)
+      const exists = db.prepare('SELECT 1 FROM emails WHERE id = ?').get(email.id);
+      if (exists) {
+        return false; // Skip duplicate
+      }
+
+      // Labels are stored as a JSON array and linked through email_labels
+      const labels = normalizeLabels(email.labels) || [];
+
+      // Emails without a Gmail thread id are threaded from their headers;
+      // the record is updated so callers (subscriber events, rules) see the stored thread
+      const thread = resolveThread(db, email);
+      Object.assign(email, thread);
+
+      // Insert email with new schema (includes thread_id, folder, separate bodies, headers, provenance, threading, IMAP flags and account)
+      const stmt = db.prepare(`
+        INSERT INTO emails (
+          id, thread_id, received_at, downloaded_at,
+          from_address, to_address, cc_address, subject, labels, body, folder,
+          body_text, body_html, headers, source, broadcasted_at, ingestion_id,
+          message_id, reference_ids, base_subject, flags, is_read, uid, account
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run(
+        email.id,
+        thread.thread_id,
+        email.received_at,
+        email.downloaded_at,
+        email.from_address,
+        email.to_address,
+        email.cc_address,
+        email.subject,
+        JSON.stringify(labels),
+        email.body,
+        email.folder || '',
+        email.body_text || null,
+        email.body_html || null,
+        email.headers || null,
+        email.source || null,
+        email.broadcasted_at || null,
+        email.ingestion_id || null,
+        thread.message_id,
+        thread.reference_ids,
+        thread.base_subject,
+        email.flags || null,
+        email.is_read ? 1 : 0,
+        email.uid ?? null,
+        email.account || null
+      );
+
+      insertEmailLabels(db, email.id, labels);
+
+      return true;
+    })();
   } catch (error) {
-    console.error('Error checking migration status:', error.message);
-    return false;
+    throw new Error(`Email insertion failed: ${error.message}`);
   }
 }
 
 /**
- * Migrate database schema from old to new format
+ * Link an email to labels, creating label rows as needed
+ * @private
  * @param {Database} db - Database instance
+ * @param {string} emailId - Email id
+ * @param {Array<string>} names - Normalized label names
  */
-function migrateSchema(db) {
-  console.log('[Migration] Starting schema migration...');
-  const startTime = Date.now();
+function insertEmailLabels(db, emailId, names) {
+  const insertLabel = db.prepare('INSERT OR IGNORE INTO labels (name) VALUES (?)');
+  const linkLabel = db.prepare(`
+    INSERT OR IGNORE INTO email_labels (email_id, label_id)
+    SELECT ?, id FROM labels WHERE name = ?
+  `);
+
+  for (const name of names) {
+    insertLabel.run(name);
+    linkLabel.run(emailId, name);
+  }
+}
+
+/**
+ * Replace an email's labels (both the labels column and email_labels rows)
+ * @param {Database} db - Database instance
+ * @param {string} emailId - Email id
+ * @param {Array<string>|string} labels - Labels in any form accepted by normalizeLabels
+ * @returns {Array<string>} - Normalized labels now on the email
+ */
+export function setEmailLabels(db, emailId, labels) {
+  const names = normalizeLabels(labels);
+  if (!names) {
+    throw new Error('Label update failed: labels must be an array or comma-separated string');
+  }
 
   try {
-    // Get count of old records for validation
-    const oldCount = db.prepare('SELECT COUNT(*) as count FROM emails').get().count;
-    console.log(`[Migration] Found ${oldCount} records to migrate`);
+    db.transaction(() => {
+      db.prepare('UPDATE emails SET labels = ? WHERE id = ?').run(JSON.stringify(names), emailId);
+      db.prepare('DELETE FROM email_labels WHERE email_id = ?').run(emailId);
+      insertEmailLabels(db, emailId, names);
+    })();
+    return names;
+  } catch (error) {
+    throw new Error(`Label update failed: ${error.message}`);
+  }
+}
 
-    // Execute migration in a transaction
-    db.exec(`
-      BEGIN TRANSACTION;
+/**
+ * Record flag and label changes read from a folder (CONDSTORE sync)
+ * An email seen again is no longer deleted. Its uid is only recorded from the
+ * folder it was stored from, since UIDs are per folder.
+ * @param {Database} db - Database instance
+ * @param {string} folder - Folder the changes were read from
+ * @param {Array<Object>} changes - { id, uid, flags: Array<string>, labels?: Array<string> }
+ *   (labels only from servers with Gmail labels)
+ * @returns {number} - Emails whose flags, labels or deletion changed
+ */
+export function applyEmailChanges(db, folder, changes) {
+  const select = db.prepare('SELECT flags, labels, folder, uid, deleted_at FROM emails WHERE id = ?');
+  const update = db.prepare('UPDATE emails SET flags = ?, is_read = ?, uid = ?, deleted_at = NULL WHERE id = ?');
 
-      -- Create new table with updated schema
-      CREATE TABLE emails_new (
-        id TEXT PRIMARY KEY NOT NULL,
-        thread_id TEXT NOT NULL,
-        received_at TEXT NOT NULL,
-        downloaded_at TEXT NOT NULL,
-        from_address TEXT NOT NULL,
-        to_address TEXT NOT NULL,
-        cc_address TEXT,
-        subject TEXT NOT NULL,
-        labels TEXT NOT NULL,
-        body TEXT NOT NULL
-      );
+  try {
+    return db.transaction(() => {
+      let changed = 0;
+      for (const change of changes) {
+        const row = select.get(change.id);
+        if (!row) continue;
+
+        const flags = JSON.stringify(change.flags);
+        const uid = row.folder === folder ? change.uid : row.uid;
+        const labels = change.labels && normalizeLabels(change.labels);
+        const labelsChanged = labels && JSON.stringify(labels) !== row.labels;
+
+        if (labelsChanged) {
+          setEmailLabels(db, change.id, labels);
+        }
+        if (flags !== row.flags || uid !== row.uid || row.deleted_at !== null) {
+          update.run(flags, change.flags.includes('\\Seen') ? 1 : 0, uid, change.id);
+        }
+        if (labelsChanged || flags !== row.flags || row.deleted_at !== null) {
+          changed++;
+        }
+      }
+      return changed;
+    })();
+  } catch (error) {
+    throw new Error(`Email change update failed: ${error.message}`);
+  }
+}
 
-      -- Copy data from old table (convert integer id to text, add empty thread_id)
-      INSERT INTO emails_new
-      SELECT
-        CAST(id AS TEXT) as id,
-        '' as thread_id,
-        received_at,
-        downloaded_at,
-        from_address,
-        to_address,
-        cc_address,
-        subject,
-        labels,
-        body
-      FROM emails;
-
-      COMMIT;
-    `);
+/**
+ * UIDs of a folder's stored, not deleted emails
+ * @param {Database} db - Database instance
+ * @param {string} account - Account name
+ * @param {string} folder - Folder name (as stored in emails.folder)
+ * @returns {Array<number>}
+ */
+export function getFolderUids(db, account, folder) {
+  try {
+    return db.prepare(`
+      SELECT uid FROM emails WHERE account = ? AND folder = ? AND uid IS NOT NULL AND deleted_at IS NULL
+    `).all(account, folder).map(row => row.uid);
+  } catch (error) {
+    throw new Error(`Folder UID query failed: ${error.message}`);
+  }
+}
 
-    // Validate migration - check row counts match
-    const newCount = db.prepare('SELECT COUNT(*) as count FROM emails_new').get().count;
+/**
+ * Record that messages left a folder
+ * Emails are soft-deleted (deleted_at set, row kept), or, when a label is given,
+ * only lose that label (a Gmail message leaving a label's folder still exists).
+ * @param {Database} db - Database instance
+ * @param {string} account - Account name
+ * @param {string} folder - Folder name (as stored in emails.folder)
+ * @param {Array<number>} uids - Expunged UIDs
+ * @param {Object} [options]
+ * @param {string} [options.label] - Label to remove instead of deleting
+ * @returns {Array<string>} - Ids of the affected emails
+ */
+export function removeFolderEmails(db, account, folder, uids, { label } = {}) {
+  if (uids.length === 0) {
+    return [];
+  }
 
-    if (oldCount !== newCount) {
-      throw new Error(`Migration validation failed: old count (${oldCount}) != new count (${newCount})`);
-    }
+  const select = db.prepare(`
+    SELECT id, labels FROM emails WHERE account = ? AND folder = ? AND uid = ? AND deleted_at IS NULL
+  `);
+  const softDelete = db.prepare('UPDATE emails SET deleted_at = ?, uid = NULL WHERE id = ?');
+  const forgetUid = db.prepare('UPDATE emails SET uid = NULL WHERE id = ?');
 
-    console.log(`[Migration] Validation passed: ${newCount} records migrated successfully`);
+  try {
+    return db.transaction(() => {
+      const deletedAt = new Date().toISOString();
+      const ids = [];
+      for (const uid of uids) {
+        const row = select.get(account, folder, uid);
+        if (!row) continue;
+
+        if (label) {
+          const labels = normalizeLabels(row.labels) || [];
+          setEmailLabels(db, row.id, labels.filter(name => name !== label));
+          forgetUid.run(row.id);
+        } else {
+          softDelete.run(deletedAt, row.id);
+        }
+        ids.push(row.id);
+      }
+      return ids;
+    })();
+  } catch (error) {
+    throw new Error(`Folder email removal failed: ${error.message}`);
+  }
+}
 
-    // Drop old table and rename new table
-    db.exec(`
-      BEGIN TRANSACTION;
-      DROP TABLE emails;
-      ALTER TABLE emails_new RENAME TO emails;
-      COMMIT;
-    `);
+/**
+ * Forget a folder's UIDs (after UIDVALIDITY changed they refer to other messages)
+ * @param {Database} db - Database instance
+ * @param {string} account - Account name
+ * @param {string} folder - Folder name (as stored in emails.folder)
+ * @returns {number} - Emails updated
+ */
+export function clearFolderUids(db, account, folder) {
+  try {
+    return db.prepare(`
+      UPDATE emails SET uid = NULL WHERE account = ? AND folder = ? AND uid IS NOT NULL
+    `).run(account, folder).changes;
+  } catch (error) {
+    throw new Error(`Folder UID reset failed: ${error.message}`);
+  }
+}
 
-    // Recreate indexes on new table
-    db.exec(`
-      CREATE INDEX idx_downloaded_at ON emails(downloaded_at);
-      CREATE INDEX idx_from_address ON emails(from_address);
-      CREATE INDEX idx_thread_id ON emails(thread_id);
-    `);
+/**
+ * Assign emails without an account (stored before accounts existed) to an account
+ * @param {Database} db - Database instance
+ * @param {string} account - Primary account name
+ * @returns {number} - Emails updated
+ */
+export function assignUnownedEmails(db, account) {
+  try {
+    return db.prepare('UPDATE emails SET account = ? WHERE account IS NULL').run(account).changes;
+  } catch (error) {
+    throw new Error(`Email account assignment failed: ${error.message}`);
+  }
+}
 
-    const duration = Date.now() - startTime;
-    console.log(`[Migration] Schema migration completed successfully in ${duration}ms`);
+/**
+ * Record a requested mailbox action in the audit table
+ * @param {Database} db - Database instance
+ * @param {Object} entry - { email_id, action, params, correlation_id }
+ * @returns {number} - Audit row id
+ */
+export function recordEmailAction(db, { email_id, action, params = null, correlation_id = null }) {
+  try {
+    const result = db.prepare(`
+      INSERT INTO email_actions (email_id, action, params, status, correlation_id, requested_at)
+      VALUES (?, ?, ?, 'pending', ?, ?)
+    `).run(email_id, action, params ? JSON.stringify(params) : null, correlation_id, new Date().toISOString());
+    return Number(result.lastInsertRowid);
   } catch (error) {
-    console.error('[Migration] Migration failed:', error.message);
-    // Try to rollback if possible
-    try {
-      db.exec('ROLLBACK');
-    } catch (rollbackError) {
-      // Rollback may fail if transaction already committed/aborted
-    }
-    throw new Error(`Schema migration failed: ${error.message}`);
+    throw new Error(`Email action insertion failed: ${error.message}`);
   }
 }
 
 /**
- * Initialize SQLite database with schema and indexes
- * @param {string} dbPath - Absolute path to SQLite database file
- * @returns {Database} - Database instance
+ * Mark an audited mailbox action as finished
+ * @param {Database} db - Database instance
+ * @param {number} id - Audit row id
+ * @param {string} status - 'success' or 'failed'
+ * @param {string|null} errorMessage - Failure reason
  */
-export function initDatabase(dbPath) {
+export function completeEmailAction(db, id, status, errorMessage = null) {
   try {
-    // Ensure parent directory exists
-    const dir = dirname(dbPath);
-    if (!existsSync(dir)) {
-      mkdirSync(dir, { recursive: true });
-    }
+    db.prepare(`
+      UPDATE email_actions SET status = ?, error = ?, completed_at = ? WHERE id = ?
+    `).run(status, errorMessage, new Date().toISOString(), id);
+  } catch (error) {
+    throw new Error(`Email action update failed: ${error.message}`);
+  }
+}
 
-    // Open database connection
-    const db = new Database(dbPath);
+/**
+ * Get the audit trail of mailbox actions on an email
+ * @param {Database} db - Database instance
+ * @param {string} emailId - Email id
+ * @returns {Array} - Actions, oldest first
+ */
+export function getEmailActions(db, emailId) {
+  try {
+    return db.prepare('SELECT * FROM email_actions WHERE email_id = ? ORDER BY id').all(emailId);
+  } catch (error) {
+    throw new Error(`Email action query failed: ${error.message}`);
+  }
+}
 
-    // Enable WAL mode for better concurrency
-    db.pragma('journal_mode = WAL');
-    db.pragma('synchronous = NORMAL');
+/**
+ * Record the Apple Reminder created for an email
+ * @param {Database} db - Database instance
+ * @param {Object} reminder - { email_id, reminder_id, list, title, due_at, priority }
+ * @returns {boolean} - false if the email already has a reminder
+ */
+export function recordEmailReminder(db, { email_id, reminder_id, list, title, due_at = null, priority = 0 }) {
+  try {
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO email_reminders (email_id, reminder_id, list, title, due_at, priority, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(email_id, reminder_id, list, title, due_at, priority, new Date().toISOString());
+    return result.changes > 0;
+  } catch (error) {
+    throw new Error(`Email reminder insertion failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get the Apple Reminder created for an email
+ * @param {Database} db - Database instance
+ * @param {string} emailId - Email id
+ * @returns {Object|null} - email_reminders row, or null if none
+ */
+export function getEmailReminder(db, emailId) {
+  try {
+    return db.prepare('SELECT * FROM email_reminders WHERE email_id = ?').get(emailId) || null;
+  } catch (error) {
+    throw new Error(`Email reminder query failed: ${error.message}`);
+  }
+}
+
+/**
+ * Add an event delivery to the outbox
+ * @param {Database} db - Database instance
+ * @param {Object} delivery - { event_id, event_type, email_id, subscriber, url, payload }
+ * @returns {boolean} - false if the event was already queued for this subscriber
+ */
+export function insertEventDelivery(db, { event_id, event_type, email_id = null, subscriber, url, payload }) {
+  try {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO event_deliveries
+        (event_id, event_type, email_id, subscriber, url, payload, status, next_attempt_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+    `).run(event_id, event_type, email_id, subscriber, url, JSON.stringify(payload), now, now, now);
+    return result.changes > 0;
+  } catch (error) {
+    throw new Error(`Event delivery insertion failed: ${error.message}`);
+  }
+}
 
-    // Check if migration is needed
-    if (needsMigration(db)) {
-      console.log('[Database] Old schema detected, running migration...');
-      migrateSchema(db);
+/**
+ * Claim pending deliveries that are due
+ * Claimed rows get next_attempt_at pushed out by the lease, so another worker
+ * (the other process sharing the database) won't pick them up meanwhile.
+ * @param {Database} db - Database instance
+ * @param {number} limit - Maximum rows to claim
+ * @param {number} leaseMs - How long the claim lasts
+ * @returns {Array} - Claimed rows, oldest first, with attempts already incremented
+ */
+export function claimDueDeliveries(db, limit, leaseMs) {
+  try {
+    return db.transaction(() => {
+      const now = new Date();
+      const rows = db.prepare(`
+        SELECT * FROM event_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at, id
+        LIMIT ?
+      `).all(now.toISOString(), limit);
+
+      const claim = db.prepare(`
+        UPDATE event_deliveries SET attempts = attempts + 1, next_attempt_at = ?, updated_at = ? WHERE id = ?
+      `);
+      const leaseUntil = new Date(now.getTime() + leaseMs).toISOString();
+      for (const row of rows) {
+        claim.run(leaseUntil, now.toISOString(), row.id);
+        row.attempts += 1;
+      }
+      return rows;
+    }).immediate();
+  } catch (error) {
+    throw new Error(`Event delivery claim failed: ${error.message}`);
+  }
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {Database} db - Database instance
+ * @param {number} id - Delivery id
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'delivered', 'pending' (retry at nextAttemptAt) or 'dead'
+ * @param {number|null} [outcome.statusCode] - Subscriber's HTTP status, if it responded
+ * @param {string|null} [outcome.error] - Failure reason
+ * @param {string|null} [outcome.nextAttemptAt] - Retry time for 'pending'
+ */
+export function completeEventDelivery(db, id, { status, statusCode = null, error = null, nextAttemptAt = null }) {
+  try {
+    const now = new Date().toISOString();
+    db.prepare(`
+      UPDATE event_deliveries
+      SET status = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?, updated_at = ?,
+          delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+      WHERE id = ?
+    `).run(status, statusCode, error, nextAttemptAt, now, status, now, id);
+  } catch (dbError) {
+    throw new Error(`Event delivery update failed: ${dbError.message}`);
+  }
+}
+
+/**
+ * List outbox deliveries, newest first
+ * @param {Database} db - Database instance
+ * @param {number} limit - Maximum rows
+ * @param {Object} [options]
+ * @param {string} [options.status] - pending, delivered or dead
+ * @param {string} [options.subscriber] - Subscriber name
+ * @param {string} [options.emailId] - Email id
+ * @param {number} [options.before] - Only deliveries with a smaller id (pagination)
+ * @returns {Array} - Deliveries without their payloads
+ */
+export function getEventDeliveries(db, limit = 100, { status, subscriber, emailId, before } = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+    for (const [column, value] of [['status', status], ['subscriber', subscriber], ['email_id', emailId]]) {
+      if (value !== undefined) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (before !== undefined) {
+      conditions.push('id < ?');
+      params.push(before);
     }
 
-    // Create emails table with new schema if it doesn't exist
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS emails (
-        id TEXT PRIMARY KEY NOT NULL,
-        thread_id TEXT NOT NULL,
-        received_at TEXT NOT NULL,
-        downloaded_at TEXT NOT NULL,
-        from_address TEXT NOT NULL,
-        to_address TEXT NOT NULL,
-        cc_address TEXT,
-        subject TEXT NOT NULL,
-        labels TEXT NOT NULL,
-        body TEXT NOT NULL
-      )
-    `);
+    return db.prepare(`
+      SELECT id, event_id, event_type, email_id, subscriber, url, status, attempts, next_attempt_at,
+             last_error, last_status_code, created_at, updated_at, delivered_at
+      FROM event_deliveries
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(...params, limit);
+  } catch (error) {
+    throw new Error(`Event delivery query failed: ${error.message}`);
+  }
+}
 
-    // Create indexes
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_downloaded_at ON emails(downloaded_at);
-      CREATE INDEX IF NOT EXISTS idx_from_address ON emails(from_address);
-      CREATE INDEX IF NOT EXISTS idx_thread_id ON emails(thread_id);
-    `);
+/**
+ * Count outbox deliveries by status
+ * @param {Database} db - Database instance
+ * @returns {{pending: number, delivered: number, dead: number}}
+ */
+export function countEventDeliveries(db) {
+  try {
+    const counts = { pending: 0, delivered: 0, dead: 0 };
+    for (const row of db.prepare('SELECT status, COUNT(*) AS count FROM event_deliveries GROUP BY status').all()) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  } catch (error) {
+    throw new Error(`Event delivery count failed: ${error.message}`);
+  }
+}
 
-    return db;
+/**
+ * Get emails stored after a point in the email_events sequence
+ * @param {Database} db - Database instance
+ * @param {number} afterSeq - Last sequence number already seen
+ * @param {number} limit - Maximum rows
+ * @returns {Array} - Email summaries with their `seq`, in sequence order
+ */
+export function getEmailEventsSince(db, afterSeq, limit = 100) {
+  try {
+    return db.prepare(`
+      SELECT ev.seq, e.id, e.thread_id, e.received_at, e.downloaded_at, e.from_address, e.to_address,
+             e.cc_address, e.subject, e.labels, e.folder, e.account, e.source, e.ingestion_id
+      FROM email_events ev
+      JOIN emails e ON e.id = ev.email_id
+      WHERE ev.seq > ?
+      ORDER BY ev.seq
+      LIMIT ?
+    `).all(afterSeq, limit);
   } catch (error) {
-    throw new Error(`Database initialization failed: ${error.message}`);
+    throw new Error(`Email event query failed: ${error.message}`);
   }
 }
 
 /**
- * Store email in database with duplicate prevention
+ * Get the latest email_events sequence number
  * @param {Database} db - Database instance
- * @param {Object} email - Email record object
- * @returns {boolean} - true if stored, false if duplicate
+ * @returns {number} - 0 when no email has been stored since the sequence was created
  */
-export function storeEmail(db, email) {
+export function getLatestEmailEventSeq(db) {
+  try {
+    return db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM email_events').get().seq;
+  } catch (error) {
+    throw new Error(`Email event query failed: ${error.message}`);
+  }
+}
+
+/**
+ * List labels with the number of emails carrying each
+ * @param {Database} db - Database instance
+ * @returns {Array<{name: string, count: number}>} - Most used first
+ */
+export function getLabelCounts(db) {
+  try {
+    return db.prepare(`
+      SELECT l.name, COUNT(*) AS count
+      FROM labels l
+      JOIN email_labels el ON el.label_id = l.id
+      GROUP BY l.id
+      ORDER BY count DESC, l.name
+    `).all();
+  } catch (error) {
+    throw new Error(`Label count query failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get emails with a label, newest download first
+ * @param {Database} db - Database instance
+ * @param {string} label - Label name
+ * @param {number} limit - Maximum number of emails to retrieve
+ * @param {Object} before - Cursor { downloaded_at, id } of the last email on the previous page
+ * @returns {Array} - Array of email summary objects
+ */
+export function getEmailsByLabel(db, label, limit = 100, before = undefined) {
+  return getRecentEmails(db, limit, { label, before });
+}
+
+/**
+ * Store attachment metadata for an email
+ * Content must already be written with writeAttachmentContent (unless over the size cap)
+ * @param {Database} db - Database instance
+ * @param {string} emailId - Owning email id
+ * @param {Array<Object>} attachments - { filename, content_type, size, checksum, content_id, content_stored }
+ * @returns {number} - Number of attachment rows inserted
+ */
+export function storeAttachments(db, emailId, attachments) {
   try {
-    // Check for duplicate id (works with TEXT id)
-    const exists = db.prepare('SELECT 1 FROM emails WHERE id = ?').get(email.id);
-    if (exists) {
-      return false; // Skip duplicate
+    const stmt = db.prepare(`
+      INSERT INTO attachments (
+        email_id, filename, content_type, size, checksum, content_id, content_stored
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const attachment of attachments) {
+      stmt.run(
+        emailId,
+        attachment.filename || null,
+        attachment.content_type || 'application/octet-stream',
+        attachment.size,
+        attachment.checksum,
+        attachment.content_id || null,
+        attachment.content_stored ? 1 : 0
+      );
     }
 
-    // Insert email with new schema (includes thread_id)
+    return attachments.length;
+  } catch (error) {
+    throw new Error(`Attachment insertion failed: ${error.message}`);
+  }
+}
+
+/**
+ * List attachments of an email (metadata only)
+ * @param {Database} db - Database instance
+ * @param {string} emailId - Email id (text)
+ * @returns {Array} - Array of attachment objects
+ */
+export function getAttachmentsByEmail(db, emailId) {
+  try {
     const stmt = db.prepare(`
-      INSERT INTO emails (
-        id, thread_id, received_at, downloaded_at,
-        from_address, to_address, cc_address, subject, labels, body
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT * FROM attachments
+      WHERE email_id = ?
+      ORDER BY id
     `);
+    return stmt.all(emailId);
+  } catch (error) {
+    throw new Error(`Attachment query failed: ${error.message}`);
+  }
+}
+
+/**
+ * Read an attachment with its content
+ * @param {Database} db - Database instance
+ * @param {number} attachmentId - Attachment id
+ * @returns {Object|null} - Attachment object with `content` (Buffer, or null if
+ *   only metadata was kept), or null if the attachment doesn't exist
+ */
+export function readAttachment(db, attachmentId) {
+  try {
+    const attachment = db.prepare('SELECT * FROM attachments WHERE id = ?').get(attachmentId);
+    if (!attachment) {
+      return null;
+    }
+
+    const content = attachment.content_stored
+      ? readAttachmentContent(getAttachmentsDir(db.name), attachment.checksum)
+      : null;
 
-    stmt.run(
-      email.id,
-      email.thread_id || '',
-      email.received_at,
-      email.downloaded_at,
-      email.from_address,
-      email.to_address,
-      email.cc_address,
-      email.subject,
-      email.labels,
-      email.body
-    );
-
-    return true;
+    return { ...attachment, content };
   } catch (error) {
-    throw new Error(`Email insertion failed: ${error.message}`);
+    throw new Error(`Attachment read failed: ${error.message}`);
   }
 }
 
@@ -236,6 +692,20 @@ export function getEmailById(db, id) {
   }
 }
 
+/**
+ * Check whether an email id is already stored
+ * @param {Database} db - Database instance
+ * @param {string} id - Email id (text)
+ * @returns {boolean} - true if a row exists
+ */
+export function emailExists(db, id) {
+  try {
+    return Boolean(db.prepare('SELECT 1 FROM emails WHERE id = ?').get(id));
+  } catch (error) {
+    throw new Error(`Email query failed: ${error.message}`);
+  }
+}
+
 /**
  * Get all emails in a thread
  * @param {Database} db - Database instance
@@ -255,6 +725,134 @@ export function getEmailsByThread(db, threadId) {
   }
 }
 
+/**
+ * Get a thread's reply hierarchy
+ * @param {Database} db - Database instance
+ * @param {string} threadId - Thread id
+ * @returns {Object|null} - { thread_id, count, roots: [{ email, children: [...] }] } with email
+ *   summaries (no bodies or headers), or null if the thread has no emails
+ */
+export function getThreadTree(db, threadId) {
+  try {
+    const emails = db.prepare(`
+      SELECT id, thread_id, message_id, reference_ids, received_at, from_address, to_address,
+             cc_address, subject, labels, folder
+      FROM emails
+      WHERE thread_id = ? AND thread_id != ''
+      ORDER BY received_at
+    `).all(threadId);
+    if (emails.length === 0) {
+      return null;
+    }
+
+    const roots = buildThreadTree(emails);
+    const strip = node => {
+      const { reference_ids, ...email } = node.email;
+      return { email, children: node.children.map(strip) };
+    };
+    return { thread_id: threadId, count: emails.length, roots: roots.map(strip) };
+  } catch (error) {
+    throw new Error(`Thread query failed: ${error.message}`);
+  }
+}
+
+/**
+ * Turn free text into an FTS5 query: every term must match, a trailing * does prefix matching
+ * @private
+ * @param {string} query - User search text
+ * @returns {string} - FTS5 MATCH expression
+ */
+function toFtsQuery(query) {
+  return query
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(term => {
+      const prefix = term.endsWith('*');
+      const word = (prefix ? term.slice(0, -1) : term).replace(/"/g, '""');
+      return word ? `"${word}"${prefix ? '*' : ''}` : '';
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * SQL condition matching emails that carry a label (binds the label once)
+ * @private
+ * @param {string} idColumn - Qualified emails.id column
+ * @returns {string} - SQL boolean expression
+ */
+function labelCondition(idColumn) {
+  return `EXISTS (
+      SELECT 1 FROM email_labels el
+      JOIN labels l ON l.id = el.label_id
+      WHERE el.email_id = ${idColumn} AND l.name = ?
+    )`;
+}
+
+/**
+ * Full-text search over subject, sender, recipients and body
+ * @param {Database} db - Database instance
+ * @param {string} query - Search text (all terms must match; `term*` for prefix)
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum results (default 20)
+ * @param {number} options.offset - Results to skip (default 0)
+ * @param {string} options.from - Only emails whose sender contains this text
+ * @param {string} options.label - Only emails with this label
+ * @param {string} options.account - Only emails of this account
+ * @param {Object} options.dateRange - { start, end } bounds on received_at (ISO 8601, inclusive)
+ * @returns {Array} - Best matches first, each with `rank`, `subject_snippet` and `body_snippet`
+ *   (matches wrapped in <mark></mark>)
+ */
+export function searchEmails(db, query, { limit = 20, offset = 0, from, label, account, dateRange } = {}) {
+  const ftsQuery = toFtsQuery(query || '');
+  if (!ftsQuery) {
+    return [];
+  }
+
+  const conditions = ['emails_fts MATCH ?'];
+  const params = [ftsQuery];
+
+  if (from) {
+    conditions.push("e.from_address LIKE '%' || ? || '%'");
+    params.push(from);
+  }
+  if (label) {
+    conditions.push(labelCondition('e.id'));
+    params.push(label);
+  }
+  if (account) {
+    conditions.push('e.account = ?');
+    params.push(account);
+  }
+  if (dateRange?.start) {
+    conditions.push('e.received_at >= ?');
+    params.push(dateRange.start);
+  }
+  if (dateRange?.end) {
+    conditions.push('e.received_at <= ?');
+    params.push(dateRange.end);
+  }
+
+  try {
+    const stmt = db.prepare(`
+      SELECT
+        e.id, e.thread_id, e.received_at, e.from_address, e.to_address,
+        e.subject, e.labels, e.folder, e.account, e.is_read, e.deleted_at,
+        bm25(emails_fts) AS rank,
+        snippet(emails_fts, 1, '<mark>', '</mark>', '…', 12) AS subject_snippet,
+        snippet(emails_fts, 4, '<mark>', '</mark>', '…', 24) AS body_snippet
+      FROM emails_fts
+      JOIN emails e ON e.id = emails_fts.email_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rank
+      LIMIT ? OFFSET ?
+    `);
+    return stmt.all(...params, limit, offset);
+  } catch (error) {
+    throw new Error(`Email search failed: ${error.message}`);
+  }
+}
+
 /**
  * Count total emails in database
  * @param {Database} db - Database instance
@@ -270,20 +868,62 @@ export function countEmails(db) {
 }
 
 /**
- * Get recent emails in chronological order
+ * Get recent emails, newest download first, with keyset pagination
  * @param {Database} db - Database instance
  * @param {number} limit - Maximum number of emails to retrieve
- * @returns {Array} - Array of email objects
+ * @param {Object} options - Filter options
+ * @param {Object} options.before - Cursor { downloaded_at, id } of the last email on the previous page
+ * @param {string} options.from - Only emails whose sender contains this text
+ * @param {string} options.label - Only emails with this label
+ * @param {string} options.threadId - Only emails in this thread
+ * @param {string} options.account - Only emails of this account
+ * @param {Object} options.dateRange - { start, end } bounds on received_at (ISO 8601, inclusive)
+ * @returns {Array} - Array of email summary objects (no bodies or headers)
  */
-export function getRecentEmails(db, limit = 100) {
+export function getRecentEmails(db, limit = 100, { before, from, label, threadId, account, dateRange } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (before) {
+    conditions.push('(downloaded_at < ? OR (downloaded_at = ? AND id < ?))');
+    params.push(before.downloaded_at, before.downloaded_at, before.id);
+  }
+  if (from) {
+    conditions.push("from_address LIKE '%' || ? || '%'");
+    params.push(from);
+  }
+  if (label) {
+    conditions.push(labelCondition('emails.id'));
+    params.push(label);
+  }
+  if (threadId) {
+    conditions.push('thread_id = ?');
+    params.push(threadId);
+  }
+  if (account) {
+    conditions.push('account = ?');
+    params.push(account);
+  }
+  if (dateRange?.start) {
+    conditions.push('received_at >= ?');
+    params.push(dateRange.start);
+  }
+  if (dateRange?.end) {
+    conditions.push('received_at <= ?');
+    params.push(dateRange.end);
+  }
+
   try {
     const stmt = db.prepare(`
-      SELECT id, from_address, subject, downloaded_at
+      SELECT
+        id, thread_id, received_at, downloaded_at, from_address, to_address,
+        cc_address, subject, labels, folder, account, is_read, deleted_at
       FROM emails
-      ORDER BY downloaded_at DESC
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY downloaded_at DESC, id DESC
       LIMIT ?
     `);
-    return stmt.all(limit);
+    return stmt.all(...params, limit);
   } catch (error) {
     throw new Error(`Recent emails query failed: ${error.message}`);
   }
@@ -4,9 +4,31 @@
  */
 
 import { simpleParser } from 'mailparser';
+import { config } from './config.js';
 import { logger } from './logger.js';
-import { storeEmail } from './database.js';
-import { updateState } from './state-manager.js';
+import { storeEmail, storeAttachments, getEmailById, applyEmailChanges, removeFolderEmails } from './database.js';
+import { getAttachmentsDir, computeChecksum, writeAttachmentContent } from './attachment-store.js';
+import { readState, getFolderState, updateFolderState } from './state-manager.js';
+import { normalizeTimestamp } from './timestamps.js';
+import { serializeLabels } from './labels.js';
+import { runRules } from './rules-engine.js';
+import { enqueueEmailReceived } from './subscribers.js';
+import { namespaceId } from './accounts.js';
+
+/**
+ * Maximum messages requested per FETCH command
+ */
+const FETCH_BATCH_SIZE = 50;
+
+/**
+ * Allowed values of emails.source
+ */
+const EMAIL_SOURCES = ['imap', 'webhook'];
+
+/**
+ * Gmail folders a message only leaves by being deleted (see removeExpungedEmails)
+ */
+const GMAIL_DELETING_FOLDERS = ['\\All', '\\Trash', '\\Junk'];
 
 /**
  * Parse email headers from raw header string
@@ -28,14 +50,44 @@ export function parseHeaders(headerStr) {
   return headers;
 }
 
+/**
+ * Parse a full raw header block, keeping every header
+ * Folded lines are unfolded; names are lower-cased; headers that appear more than
+ * once (Received, Authentication-Results, ...) become arrays in order of appearance
+ * @param {string} headerStr - Raw header block
+ * @returns {Object} - Header name → value string or array of value strings
+ */
+export function parseRawHeaders(headerStr) {
+  const headers = {};
+  const unfolded = headerStr.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const match = line.match(/^([^:\s]+):\s*(.*)$/);
+    if (!match) continue;
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (!(key in headers)) {
+      headers[key] = value;
+    } else if (Array.isArray(headers[key])) {
+      headers[key].push(value);
+    } else {
+      headers[key] = [headers[key], value];
+    }
+  }
+
+  return headers;
+}
+
 /**
  * Parse email body using mailparser
- * @param {string} bodyStr - Raw email body
+ * @param {Buffer|string} body - Raw email body
  * @returns {Promise<Object>} - Parsed email data
  */
-export async function parseBody(bodyStr) {
+export async function parseBody(body) {
   try {
-    const parsed = await simpleParser(bodyStr);
+    const parsed = await simpleParser(body);
     return {
       text: parsed.text || '',
       html: parsed.html || '',
@@ -51,51 +103,194 @@ export async function parseBody(bodyStr) {
   }
 }
 
+/**
+ * Convert a Gmail X-GM-MSGID/X-GM-THRID (64-bit decimal) to the hex form
+ * used by the Gmail web UI and Apps Script (message.getId(), thread.getId())
+ * @param {string|number} value - Decimal Gmail id
+ * @returns {string} - Lower-case hex id, or '' if value is missing
+ */
+export function toGmailHexId(value) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  return BigInt(value).toString(16);
+}
+
+/**
+ * Derive the stored email id from IMAP attributes
+ * Gmail message IDs are stable across folders and UIDVALIDITY changes. On servers without
+ * X-GM-EXT-1 a UID only identifies a message within one folder and UIDVALIDITY, so the id
+ * is "<folder>.<uidvalidity>.<uid>" (the folder URI-encoded, so it holds no ':' that
+ * would read as an account namespace).
+ * @param {Object} attrs - node-imap message attributes
+ * @param {Object} [account] - Account the message was fetched for (see namespaceId)
+ * @param {Object} [mailbox] - Where the message was fetched from ({ folder, uidvalidity });
+ *   required without a Gmail message ID
+ * @returns {string} - Email id
+ * @throws {Error} if the message has no Gmail message ID and the mailbox is unknown
+ */
+export function getEmailId(attrs, account = null, { folder, uidvalidity } = {}) {
+  const gmailId = toGmailHexId(attrs?.['x-gm-msgid']);
+  if (gmailId) {
+    return namespaceId(account, gmailId);
+  }
+
+  if (!folder || !uidvalidity) {
+    throw new Error(`Email id for UID ${attrs?.uid} needs the folder and its UIDVALIDITY`);
+  }
+  return namespaceId(account, `${encodeURIComponent(folder)}.${uidvalidity}.${attrs.uid}`);
+}
+
+/**
+ * Email id of a message in an IMAP client's open folder
+ * @param {ImapClient} imapClient - IMAP client instance
+ * @param {Object} attrs - node-imap message attributes
+ * @returns {string} - Email id (see getEmailId)
+ */
+export function getFolderEmailId(imapClient, attrs) {
+  return getEmailId(attrs, imapClient.config, {
+    folder: imapClient.folder,
+    uidvalidity: imapClient.box?.uidvalidity,
+  });
+}
+
+/**
+ * Strip the blank line(s) ending a header block
+ * @private
+ * @param {Buffer} headers - Raw header block
+ * @returns {Buffer} - Header block without trailing CRLFs
+ */
+function trimHeaderBlock(headers) {
+  let end = headers.length;
+  while (end >= 2 && headers[end - 2] === 0x0d && headers[end - 1] === 0x0a) {
+    end -= 2;
+  }
+  return headers.subarray(0, end);
+}
+
+/**
+ * Build an email record from raw IMAP message data
+ * @param {Object} emailData - Raw message data { uid, attrs, headers, body } (Buffers or strings)
+ * @param {string} folder - Mailbox the message was fetched from
+ * @param {string|null} sessionId - IMAP session correlation ID (stored as ingestion_id)
+ * @param {string} [folderLabel] - Label for the folder on servers without Gmail labels (default: folder)
+ * @param {Object} [account] - Account the message was fetched for ({ name, primary }; see accounts.js)
+ * @param {number} [uidvalidity] - UIDVALIDITY of the folder (part of the id without Gmail message IDs)
+ * @returns {Promise<Object>} - Parsed email record
+ */
+export async function buildEmailRecord(emailData, folder, sessionId = null, folderLabel = folder, account = null, uidvalidity = null) {
+  // Parse headers
+  const headerBytes = trimHeaderBlock(Buffer.from(emailData.headers || ''));
+  const headerBlock = headerBytes.toString('utf8');
+  const headers = parseHeaders(headerBlock);
+
+  // Parse the message as bytes (mailparser handles both plain and HTML, and decodes each part)
+  const fullEmail = Buffer.concat([headerBytes, Buffer.from('\r\n\r\n'), Buffer.from(emailData.body || '')]);
+  const parsed = await simpleParser(fullEmail);
+
+  // Extract Gmail labels from IMAP attributes; without X-GM-EXT-1 the folder is the label
+  const labels = emailData.attrs?.['x-gm-labels'] ?? [folderLabel];
+  const labelsJson = serializeLabels(Array.isArray(labels) ? labels : [labels]);
+
+  // Gmail message/thread IDs (x-gm-msgid / x-gm-thrid), same hex form as the webhook path.
+  // The message ID is stable across folders, so a message seen in several folders is stored once.
+  // Servers without X-GM-EXT-1 give no thread id; storeEmail derives one (see threading.js).
+  // Both are namespaced unless the account is the primary one.
+  const messageId = getEmailId(emailData.attrs, account, { folder, uidvalidity });
+  const threadId = namespaceId(account, toGmailHexId(emailData.attrs?.['x-gm-thrid']));
+  const flags = emailData.attrs?.flags || [];
+
+  // Build email record with new schema
+  // Field order: id, thread_id, received_at, downloaded_at, from_address, to_address, cc_address, subject, labels, body,
+  //              folder, body_text, body_html, headers, source, broadcasted_at, ingestion_id, flags, is_read, uid, account
+  return {
+    id: messageId,
+    thread_id: threadId,
+    received_at: parsed.date ? parsed.date.toISOString() : new Date().toISOString(),
+    downloaded_at: new Date().toISOString(),
+    from_address: parsed.from?.text || headers.from || '',
+    to_address: parsed.to?.text || headers.to || '',
+    cc_address: parsed.cc?.text || headers.cc || null,
+    subject: parsed.subject || headers.subject || '',
+    labels: labelsJson,
+    body: parsed.text || parsed.html || '',
+    folder,
+    body_text: parsed.text || null,
+    body_html: parsed.html || null,
+    headers: JSON.stringify(parseRawHeaders(headerBlock)),
+    source: 'imap',
+    broadcasted_at: null,
+    ingestion_id: sessionId,
+    flags: JSON.stringify(flags),
+    is_read: flags.includes('\\Seen'),
+    uid: emailData.uid ?? null,
+    account: account?.name ?? null,
+    attachments: extractAttachments(parsed),
+  };
+}
+
+/**
+ * Extract attachments from a mailparser result
+ * @param {Object} parsed - simpleParser output
+ * @returns {Array<Object>} - { filename, content_type, size, checksum, content_id, content }
+ */
+export function extractAttachments(parsed) {
+  return (parsed.attachments || []).map(attachment => ({
+    filename: attachment.filename || null,
+    content_type: attachment.contentType || 'application/octet-stream',
+    size: attachment.size ?? attachment.content.length,
+    checksum: computeChecksum(attachment.content),
+    content_id: attachment.cid || null,
+    content: attachment.content,
+  }));
+}
+
+/**
+ * Write attachment content to disk and record metadata for a stored email
+ * Attachments larger than the configured cap are recorded as metadata only
+ * @private
+ * @param {Database} db - Database instance
+ * @param {Object} emailRecord - Stored email record with attachments
+ */
+function saveAttachments(db, emailRecord) {
+  const attachments = emailRecord.attachments || [];
+  if (attachments.length === 0) {
+    return;
+  }
+
+  const dir = getAttachmentsDir(db.name);
+  const records = attachments.map(attachment => {
+    const contentStored = attachment.size <= config.attachments.maxBytes;
+    if (contentStored) {
+      writeAttachmentContent(dir, attachment.content);
+    } else {
+      logger.warn('Attachment exceeds size cap, storing metadata only', {
+        id: emailRecord.id,
+        filename: attachment.filename,
+        size: attachment.size,
+        maxBytes: config.attachments.maxBytes,
+      });
+    }
+    return { ...attachment, content_stored: contentStored };
+  });
+
+  storeAttachments(db, emailRecord.id, records);
+}
+
 /**
  * Fetch and parse complete email
  * @param {ImapClient} imapClient - IMAP client instance
- * @param {number} id - Email id
+ * @param {number} uid - Message UID in the client's folder
  * @returns {Promise<Object>} - Parsed email record
  */
-export async function fetchEmail(imapClient, id) {
+export async function fetchEmail(imapClient, uid) {
   try {
     // Fetch raw email data from IMAP
-    const emailData = await imapClient.fetchEmail(id);
-
-    // Parse headers
-    const headers = parseHeaders(emailData.headers || '');
-
-    // Parse body (mailparser handles both plain and HTML)
-    const fullEmail = `${emailData.headers}\r\n\r\n${emailData.body || ''}`;
-    const parsed = await simpleParser(fullEmail);
-
-    // Extract Gmail labels from IMAP attributes
-    const labels = emailData.attrs?.['x-gm-labels'] || [];
-    const labelsJson = JSON.stringify(Array.isArray(labels) ? labels : [labels]);
-
-    // Extract Gmail thread ID from IMAP attributes (x-gm-thrid)
-    const threadId = emailData.attrs?.['x-gm-thrid']
-      ? String(emailData.attrs['x-gm-thrid'])
-      : '';
-
-    // Build email record with new schema
-    // Field order: id, thread_id, received_at, downloaded_at, from_address, to_address, cc_address, subject, labels, body
-    const emailRecord = {
-      id: String(emailData.id), // Ensure text type
-      thread_id: threadId,
-      received_at: parsed.date ? parsed.date.toISOString() : new Date().toISOString(),
-      downloaded_at: new Date().toISOString(),
-      from_address: parsed.from?.text || headers.from || '',
-      to_address: parsed.to?.text || headers.to || '',
-      cc_address: parsed.cc?.text || headers.cc || null,
-      subject: parsed.subject || headers.subject || '',
-      labels: labelsJson,
-      body: parsed.text || parsed.html || '',
-    };
-
-    return emailRecord;
+    const emailData = await imapClient.fetchEmail(uid);
+    return await buildEmailRecord(emailData, imapClient.folder, imapClient.sessionId, imapClient.folderLabel,
+      imapClient.config, imapClient.box?.uidvalidity);
   } catch (error) {
-    logger.error('Email fetch failed', { id, error: error.message });
+    logger.error('Email fetch failed', { uid, folder: imapClient.folder, error: error.message });
     throw error;
   }
 }
@@ -112,7 +307,7 @@ export function validateEmailRecord(email) {
     throw new Error('id must be a non-empty string');
   }
 
-  // thread_id validation - must be string (can be empty for migrated records)
+  // thread_id validation - must be string (empty without Gmail extensions; storeEmail threads it from headers)
   if (email.thread_id === null || email.thread_id === undefined) {
     email.thread_id = '';
   }
@@ -135,75 +330,287 @@ export function validateEmailRecord(email) {
   if (email.body === null || email.body === undefined) {
     email.body = '';
   }
+  if (email.folder === null || email.folder === undefined) {
+    email.folder = '';
+  }
 
-  // Labels must be valid JSON array
-  if (email.labels) {
+  // Optional separate bodies - string or null
+  for (const field of ['body_text', 'body_html']) {
+    if (email[field] === undefined || email[field] === '') {
+      email[field] = null;
+    }
+    if (email[field] !== null && typeof email[field] !== 'string') {
+      throw new Error(`${field} must be a string`);
+    }
+  }
+
+  // Headers must be a JSON object string when present
+  if (email.headers === undefined || email.headers === '') {
+    email.headers = null;
+  }
+  if (email.headers !== null) {
+    let parsedHeaders;
     try {
-      const parsed = JSON.parse(email.labels);
-      if (!Array.isArray(parsed)) {
-        throw new Error('labels must be a JSON array');
-      }
+      parsedHeaders = JSON.parse(email.headers);
     } catch (e) {
-      throw new Error('labels must be valid JSON array string');
+      throw new Error('headers must be valid JSON object string');
+    }
+    if (!parsedHeaders || typeof parsedHeaders !== 'object' || Array.isArray(parsedHeaders)) {
+      throw new Error('headers must be a JSON object');
     }
-  } else {
-    email.labels = '[]';
   }
 
-  // Date validation (ISO 8601)
-  if (!email.received_at || typeof email.received_at !== 'string') {
-    throw new Error('received_at must be ISO 8601 format');
+  // Provenance: where the row came from and which request/IMAP session stored it
+  if (!EMAIL_SOURCES.includes(email.source)) {
+    throw new Error(`source must be one of: ${EMAIL_SOURCES.join(', ')}`);
   }
-  if (!email.downloaded_at || typeof email.downloaded_at !== 'string') {
-    throw new Error('downloaded_at must be ISO 8601 format');
+  for (const field of ['broadcasted_at', 'ingestion_id']) {
+    if (email[field] === undefined || email[field] === '') {
+      email[field] = null;
+    }
+    if (email[field] !== null && typeof email[field] !== 'string') {
+      throw new Error(`${field} must be a string`);
+    }
+  }
+
+  // IMAP flags: JSON array string (null when unknown, e.g. webhook rows); is_read stored as 0/1
+  if (email.flags === undefined || email.flags === '') {
+    email.flags = null;
+  }
+  if (email.flags !== null) {
+    let parsedFlags;
+    try {
+      parsedFlags = JSON.parse(email.flags);
+    } catch (e) {
+      throw new Error('flags must be a valid JSON array string');
+    }
+    if (!Array.isArray(parsedFlags)) {
+      throw new Error('flags must be a JSON array');
+    }
+  }
+  email.is_read = email.is_read ? 1 : 0;
+  if (email.uid === undefined) {
+    email.uid = null;
+  }
+  if (email.uid !== null && (!Number.isInteger(email.uid) || email.uid < 1)) {
+    throw new Error('uid must be a positive integer');
+  }
+
+  // Account name (string or null)
+  if (email.account === undefined || email.account === '') {
+    email.account = null;
+  }
+  if (email.account !== null && typeof email.account !== 'string') {
+    throw new Error('account must be a string');
+  }
+
+  // Labels: array, JSON array string or comma-separated string; stored as a JSON array
+  const labels = serializeLabels(email.labels);
+  if (labels === null) {
+    throw new Error('labels must be an array, JSON array string or comma-separated string');
+  }
+  email.labels = labels;
+
+  // Dates are stored as UTC ISO 8601
+  for (const field of ['received_at', 'downloaded_at']) {
+    const normalized = normalizeTimestamp(email[field]);
+    if (!normalized) {
+      throw new Error(`${field} is not a recognized timestamp: ${email[field]}`);
+    }
+    email[field] = normalized;
+  }
+  if (email.broadcasted_at !== null) {
+    const normalized = normalizeTimestamp(email.broadcasted_at);
+    if (!normalized) {
+      throw new Error(`broadcasted_at is not a recognized timestamp: ${email.broadcasted_at}`);
+    }
+    email.broadcasted_at = normalized;
   }
 
   return email;
 }
 
 /**
- * Process email: parse → validate → store → update state
+ * Advance a folder's last processed UID (never moves backwards)
+ * @param {string} statePath - State file path
+ * @param {string} account - Account name
+ * @param {string} folder - Mailbox name
+ * @param {number} uid - Processed message UID
+ * @param {string} receivedAt - ISO 8601 timestamp of processing
+ */
+function advanceFolderState(statePath, account, folder, uid, receivedAt) {
+  const folderState = getFolderState(readState(statePath), account, folder);
+  if (uid > folderState.last_id) {
+    updateFolderState(statePath, account, folder, {
+      last_id: uid,
+      last_id_received_at: receivedAt,
+    });
+  }
+}
+
+/**
+ * Validate, store and record a parsed email
+ * @private
+ * @param {Database} db - Database instance
+ * @param {string} statePath - State file path
+ * @param {number} uid - Message UID in the folder
+ * @param {Object} emailRecord - Parsed email record
+ * @returns {boolean} - true if stored, false if duplicate
+ */
+function storeEmailRecord(db, statePath, uid, emailRecord) {
+  const { account, folder } = emailRecord;
+
+  // Validate email record
+  validateEmailRecord(emailRecord);
+
+  // Store email, its attachments and its subscriber events together (with duplicate prevention)
+  const stored = db.transaction(() => {
+    const inserted = storeEmail(db, emailRecord);
+    if (inserted) {
+      saveAttachments(db, emailRecord);
+      enqueueEmailReceived(db, emailRecord);
+    }
+    return inserted;
+  })();
+
+  // Advance folder position even for duplicates (e.g. already stored from another folder)
+  advanceFolderState(statePath, account, folder, uid, emailRecord.downloaded_at);
+
+  if (!stored) {
+    logger.warn('Duplicate email detected', { account, uid, folder, id: emailRecord.id });
+    return false;
+  }
+
+  logger.info('Email processed successfully', {
+    id: emailRecord.id,
+    account,
+    uid,
+    folder,
+    subject: emailRecord.subject,
+    from: emailRecord.from_address,
+    attachments: emailRecord.attachments?.length || 0,
+    ingestionId: emailRecord.ingestion_id,
+  });
+
+  return true;
+}
+
+/**
+ * Record flag and label changes fetched from the client's folder (CONDSTORE)
+ * @param {ImapClient} imapClient - IMAP client instance
+ * @param {Database} db - Database instance
+ * @param {Array<Object>} messages - node-imap attributes (uid, flags and, on Gmail, x-gm-msgid/x-gm-labels)
+ * @returns {number} - Emails whose flags, labels or deletion changed
+ */
+export function applyFlagChanges(imapClient, db, messages) {
+  const changes = messages.map(attrs => ({
+    id: getFolderEmailId(imapClient, attrs),
+    uid: attrs.uid,
+    flags: attrs.flags || [],
+    labels: attrs['x-gm-labels'],
+  }));
+  return applyEmailChanges(db, imapClient.folder, changes);
+}
+
+/**
+ * Record messages expunged from the client's folder
+ * A Gmail message leaving INBOX or a label's folder was archived or relabelled, so it
+ * only loses that folder's label; anywhere else (and in Gmail's All Mail, Trash and
+ * Spam) the email is soft-deleted.
+ * @param {ImapClient} imapClient - IMAP client instance
+ * @param {Database} db - Database instance
+ * @param {Array<number>} uids - Expunged UIDs
+ * @returns {Array<string>} - Ids of the affected emails
+ */
+export function removeExpungedEmails(imapClient, db, uids) {
+  const relabel = imapClient.capabilities.gmail && !GMAIL_DELETING_FOLDERS.includes(imapClient.specialUse);
+  const options = relabel ? { label: imapClient.folderLabel } : {};
+  return removeFolderEmails(db, imapClient.config.name, imapClient.folder, uids, options);
+}
+
+/**
+ * Run the rules engine on a newly stored email
+ * Rule actions run on the monitor's own connection; failures are logged by runRules.
+ * @private
+ * @param {ImapClient} imapClient - IMAP client instance
+ * @param {Database} db - Database instance
+ * @param {Object} emailRecord - Stored email record
+ * @returns {Promise<void>}
+ */
+async function applyRules(imapClient, db, emailRecord) {
+  await runRules(getEmailById(db, emailRecord.id), {
+    db,
+    getImapClient: async () => imapClient,
+    correlationId: emailRecord.ingestion_id,
+  });
+}
+
+/**
+ * Process email: parse → validate → store → rules → update state
  * @param {ImapClient} imapClient - IMAP client instance
  * @param {Database} db - Database instance
  * @param {string} statePath - State file path
- * @param {number} id - Email id
+ * @param {number} uid - Message UID in the client's folder
  * @returns {Promise<boolean>} - true if processed successfully
  */
-export async function processEmail(imapClient, db, statePath, id) {
+export async function processEmail(imapClient, db, statePath, uid) {
+  const folder = imapClient.folder;
+
   try {
-    logger.debug('Processing email', { id });
+    logger.debug('Processing email', { uid, folder });
 
     // Fetch and parse email
-    const emailRecord = await fetchEmail(imapClient, id);
-
-    // Validate email record
-    validateEmailRecord(emailRecord);
+    const emailRecord = await fetchEmail(imapClient, uid);
 
-    // Store in database (with duplicate prevention)
-    const stored = storeEmail(db, emailRecord);
-
-    if (!stored) {
-      logger.warn('Duplicate email detected', { id });
+    if (!storeEmailRecord(db, statePath, uid, emailRecord)) {
       return false;
     }
 
-    // Update state with new id
-    updateState(statePath, {
-      last_id: emailRecord.id,
-      last_id_received_at: emailRecord.downloaded_at,
-      last_error: null,
-    });
-
-    logger.info('Email processed successfully', {
-      id: emailRecord.id,
-      subject: emailRecord.subject,
-      from: emailRecord.from_address,
-    });
-
+    await applyRules(imapClient, db, emailRecord);
     return true;
   } catch (error) {
-    logger.error('Email processing failed', { id, error: error.message });
+    logger.error('Email processing failed', { uid, folder, error: error.message });
     // Don't throw - graceful degradation (FR-014)
     return false;
   }
 }
+
+/**
+ * Process many emails, fetching them in batches of one FETCH command each
+ * Messages are handled in ascending UID order; a message that fails to parse or
+ * store is logged and skipped (FR-014). A failed FETCH aborts the run.
+ * @param {ImapClient} imapClient - IMAP client instance
+ * @param {Database} db - Database instance
+ * @param {string} statePath - State file path
+ * @param {Array<number>} uids - Message UIDs in the client's folder
+ * @returns {Promise<number>} - Number of emails stored
+ * @throws {Error} if a batch FETCH fails
+ */
+export async function processEmails(imapClient, db, statePath, uids) {
+  const folder = imapClient.folder;
+  const sorted = [...uids].sort((a, b) => a - b);
+  let storedCount = 0;
+
+  for (let i = 0; i < sorted.length; i += FETCH_BATCH_SIZE) {
+    const batch = sorted.slice(i, i + FETCH_BATCH_SIZE);
+    logger.debug('Fetching email batch', { folder, from: batch[0], to: batch[batch.length - 1], count: batch.length });
+
+    const messages = await imapClient.fetchEmails(batch);
+    messages.sort((a, b) => a.uid - b.uid);
+
+    for (const emailData of messages) {
+      try {
+        const emailRecord = await buildEmailRecord(emailData, folder, imapClient.sessionId, imapClient.folderLabel,
+          imapClient.config, imapClient.box?.uidvalidity);
+        if (storeEmailRecord(db, statePath, emailData.uid, emailRecord)) {
+          storedCount++;
+          await applyRules(imapClient, db, emailRecord);
+        }
+      } catch (error) {
+        logger.error('Email processing failed', { uid: emailData.uid, folder, error: error.message });
+      }
+    }
+  }
+
+  return storedCount;
+}
@@ -0,0 +1,218 @@
+/**
+ * Server-Sent Events feed of stored emails (GET /events)
+ * Every stored email gets a sequence number in the email_events table (filled by a
+ * trigger, so emails written by the IMAP monitor's process count too). Connected
+ * clients are sent `email.received` events with the sequence number as the SSE id;
+ * a client reconnecting with `Last-Event-ID` gets everything it missed.
+ *
+ * The database is polled while clients are connected (EVENTS_POLL_INTERVAL_MS,
+ * default 1000), and right away when this process stores an email (wakeEventStream).
+ */
+
+import { logger } from './logger.js';
+import { getEmailEventsSince, getLatestEmailEventSeq } from './database.js';
+import { compileConditions, matchConditions } from './rules-engine.js';
+import { summarizeEmail, EMAIL_RECEIVED_EVENT } from './subscribers.js';
+
+const POLL_INTERVAL_MS = Number(process.env.EVENTS_POLL_INTERVAL_MS) || 1000;
+const HEARTBEAT_INTERVAL_MS = Number(process.env.EVENTS_HEARTBEAT_MS) || 15000;
+// Reconnection delay suggested to clients
+const RETRY_MS = 3000;
+const POLL_BATCH_SIZE = 200;
+
+// Connected clients: { id, res, cursor, conditions, heartbeat }
+const clients = new Set();
+
+let database = null;
+let pollTimer = null;
+let polling = false;
+let pollRequested = false;
+let nextClientId = 1;
+
+/**
+ * Parse a Last-Event-ID value
+ * @param {string|undefined} value - Header (or query parameter) value
+ * @returns {number|null|undefined} - Sequence number; undefined when absent, null if invalid
+ */
+export function parseLastEventId(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const seq = Number(value);
+  return Number.isInteger(seq) && seq >= 0 ? seq : null;
+}
+
+/**
+ * Compile the `from` and `label` filters of a GET /events request
+ * @param {Object} filters - { from, label }
+ * @returns {Object} - Conditions for matchConditions
+ */
+function compileFilters({ from, label }) {
+  const match = {};
+  if (from) match.from = from;
+  if (label) match.labels = [label];
+  return compileConditions(match, message => {
+    throw new Error(message);
+  });
+}
+
+/**
+ * Write one SSE frame
+ * @param {http.ServerResponse} res
+ * @param {string} frame - Complete frame, ending with a blank line
+ */
+function write(res, frame) {
+  if (!res.writableEnded) {
+    res.write(frame);
+  }
+}
+
+/**
+ * Send every pending event to every client
+ * Rows are read from the lowest client cursor; each client gets the rows past its
+ * own cursor that match its filters. Cursors advance past filtered-out rows too.
+ */
+async function poll() {
+  if (polling) {
+    pollRequested = true;
+    return;
+  }
+  polling = true;
+
+  try {
+    do {
+      pollRequested = false;
+      for (;;) {
+        if (clients.size === 0) {
+          return;
+        }
+
+        const from = Math.min(...[...clients].map(client => client.cursor));
+        const rows = getEmailEventsSince(database, from, POLL_BATCH_SIZE);
+        if (rows.length === 0) {
+          break;
+        }
+
+        for (const client of clients) {
+          for (const row of rows) {
+            if (row.seq <= client.cursor) continue;
+            client.cursor = row.seq;
+            if (!matchConditions(client.conditions, row, database)) continue;
+
+            const data = JSON.stringify(summarizeEmail(row));
+            write(client.res, `id: ${row.seq}\nevent: ${EMAIL_RECEIVED_EVENT}\ndata: ${data}\n\n`);
+          }
+        }
+
+        if (rows.length < POLL_BATCH_SIZE) {
+          break;
+        }
+        // Yield between batches so a long catch-up doesn't block requests
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    } while (pollRequested);
+  } catch (error) {
+    logger.error('Event stream poll failed', { error: error.message });
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Poll right away (e.g. after this process stored an email)
+ */
+export function wakeEventStream() {
+  if (clients.size > 0) {
+    setImmediate(poll);
+  }
+}
+
+/**
+ * Remove a client and stop polling when none are left
+ * @param {Object} client
+ */
+function removeClient(client) {
+  clearInterval(client.heartbeat);
+  clients.delete(client);
+
+  if (clients.size === 0 && pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Attach an SSE client
+ * @param {Database} db - Database instance
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object} options
+ * @param {number} [options.lastEventId] - Resume after this sequence number (default: only new emails)
+ * @param {string} [options.from] - Only emails whose sender contains this text
+ * @param {string} [options.label] - Only emails with this label
+ * @param {string} [options.correlationId] - Request correlation ID (for logs)
+ * @returns {number} - Client id
+ */
+export function addEventClient(db, req, res, { lastEventId, from, label, correlationId }) {
+  database = db;
+
+  const client = {
+    id: nextClientId++,
+    res,
+    cursor: lastEventId ?? getLatestEmailEventSeq(db),
+    conditions: compileFilters({ from, label }),
+    heartbeat: null,
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Comment frames keep proxies and the tunnel from closing an idle stream
+  client.heartbeat = setInterval(() => write(res, `: heartbeat ${new Date().toISOString()}\n\n`), HEARTBEAT_INTERVAL_MS);
+
+  clients.add(client);
+  res.on('close', () => {
+    removeClient(client);
+    logger.info('Event stream closed', { correlationId, clientId: client.id, clients: clients.size });
+  });
+
+  if (!pollTimer) {
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  }
+
+  logger.info('Event stream opened', {
+    correlationId,
+    clientId: client.id,
+    cursor: client.cursor,
+    from,
+    label,
+    clients: clients.size
+  });
+
+  // Replay anything after Last-Event-ID straight away
+  setImmediate(poll);
+  return client.id;
+}
+
+/**
+ * Number of connected clients
+ * @returns {number}
+ */
+export function countEventClients() {
+  return clients.size;
+}
+
+/**
+ * End every client connection (on shutdown, so the HTTP server can close)
+ */
+export function closeEventClients() {
+  for (const client of [...clients]) {
+    removeClient(client);
+    client.res.end();
+  }
+}
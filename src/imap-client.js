@@ -1,67 +1,243 @@
 /**
  * IMAP connection manager
- * Handles connection, IDLE monitoring, and reconnection
+ * Handles connection, IDLE monitoring (or polling), and reconnection
+ *
+ * Works with any IMAP server: the CAPABILITY response decides the strategies.
+ *   X-GM-EXT-1  Gmail message/thread ids and labels; without it a message's label is its folder
+ *   IDLE        push notifications; without it the folder is polled every IMAP_POLL_INTERVAL_MS
+ *   MOVE        UID MOVE; without it node-imap copies, flags \Deleted and expunges
+ *   CONDSTORE   flag/label changes fetched with CHANGEDSINCE <modseq>
+ *   QRESYNC     expunged UIDs reported as VANISHED; without it they're found with UID SEARCH
+ *
+ * Folder names starting with a backslash are special-use roles (\All, \Trash, \Archive, ...)
+ * resolved from the server's LIST response, so no Gmail folder names need to be assumed.
  */
 
 import Imap from 'imap';
 import { EventEmitter } from 'events';
 import { logger } from './logger.js';
+import { stripNamespace } from './accounts.js';
+import { getImapAuth, isAuthenticationError } from './oauth.js';
+import { sendCommand, sendNoop, onUntaggedResponse, addFetchModifier } from './imap-internals.js';
+
+/**
+ * Capabilities that select a strategy, by the name they're reported under
+ */
+export const STRATEGY_CAPABILITIES = {
+  gmail: 'X-GM-EXT-1',
+  condstore: 'CONDSTORE',
+  qresync: 'QRESYNC',
+  move: 'MOVE',
+  idle: 'IDLE',
+};
+
+/**
+ * Mailboxes used for special-use roles the server doesn't advertise
+ */
+const SPECIAL_USE_FALLBACKS = {
+  '\\All': 'INBOX',
+  '\\Archive': 'Archive',
+  '\\Trash': 'Trash',
+};
+
+/**
+ * Gmail system labels matching special-use mailboxes, so labels read the same on every server
+ */
+const SPECIAL_USE_LABELS = {
+  '\\Drafts': '\\Draft',
+  '\\Flagged': '\\Starred',
+  '\\Important': '\\Important',
+  '\\Junk': '\\Spam',
+  '\\Sent': '\\Sent',
+  '\\Trash': '\\Trash',
+};
+
+/**
+ * Label for messages in a folder on a server without Gmail labels
+ * @param {string} mailbox - Mailbox name
+ * @param {string} [specialUse] - Special-use attribute of the mailbox (e.g. \Sent)
+ * @returns {string} - \Inbox for INBOX, the Gmail system label for special-use mailboxes,
+ *   otherwise the mailbox name
+ */
+export function folderToLabel(mailbox, specialUse) {
+  if (mailbox.toUpperCase() === 'INBOX') {
+    return '\\Inbox';
+  }
+  return SPECIAL_USE_LABELS[specialUse] || mailbox;
+}
+
+/**
+ * Expand an IMAP UID set ("41,43:45") into UIDs
+ * @param {string} set - Sequence set without *
+ * @returns {Array<number>}
+ */
+export function parseUidSet(set) {
+  const uids = [];
+  for (const part of set.split(',')) {
+    const [start, end = start] = part.split(':').map(Number);
+    for (let uid = Math.min(start, end); uid <= Math.max(start, end); uid++) {
+      uids.push(uid);
+    }
+  }
+  return uids.filter(uid => Number.isInteger(uid) && uid > 0);
+}
+
+/**
+ * Flatten node-imap's mailbox tree
+ * @param {Object} boxes - getBoxes() result
+ * @param {string} [prefix] - Path of the parent mailbox, with its delimiter
+ * @returns {Array<{name: string, specialUse: string|undefined}>}
+ */
+function flattenMailboxes(boxes, prefix = '') {
+  return Object.entries(boxes || {}).flatMap(([name, box]) => [
+    { name: prefix + name, specialUse: box.special_use_attrib },
+    ...flattenMailboxes(box.children, `${prefix}${name}${box.delimiter || ''}`),
+  ]);
+}
 
 /**
  * IMAP Client wrapper
- * Extends EventEmitter to emit 'mail', 'error', 'end' events
+ * Extends EventEmitter to emit 'mail', 'poll', 'update', 'expunge', 'error', 'end', 'stale', 'uidvalidity' events
+ * Each client holds one connection with a single folder selected
  */
 export class ImapClient extends EventEmitter {
-  constructor(config) {
+  /**
+   * @param {Object} config - Account configuration (an entry of config.accounts: { name, primary, gmail, imap })
+   * @param {string} folder - Mailbox (or special-use role such as \All) to select and monitor (default: INBOX)
+   */
+  constructor(config, folder = 'INBOX') {
     super();
     this.config = config;
+    this.folder = folder;
+    this.mailbox = null;
+    this.specialUse = null;
+    this.folderLabel = null;
+    this.capabilities = null;
+    this.specialUseMailboxes = {};
+    this.box = null;
     this.imap = null;
+    this.sessionId = null;
     this.isConnected = false;
     this.isReconnecting = false;
+    this.watchdogTimer = null;
+    this.pollTimer = null;
+    this.vanishedEarlier = null;
+    this.heartbeatPending = false;
+    this.lastHeartbeatAt = 0;
   }
 
   /**
-   * Connect to IMAP server and open INBOX
+   * Connect to IMAP server and open the monitored folder
+   * Accounts with OAuth settings sign in with XOAUTH2 (see oauth.js); if the server rejects
+   * the access token, it is refreshed and the sign-in retried once.
    * @returns {Promise<void>}
    */
   async connect() {
+    const auth = await getImapAuth(this.config);
+
+    try {
+      await this.openConnection(auth);
+    } catch (error) {
+      if (auth.method !== 'xoauth2' || !isAuthenticationError(error)) {
+        throw error;
+      }
+
+      // Revoked or expired early: the cached token is no good whatever its expiry says
+      logger.warn('XOAUTH2 sign-in rejected, retrying with a new access token', {
+        account: this.config.name,
+        folder: this.folder,
+        error: error.message,
+      });
+      await this.openConnection(await getImapAuth(this.config, { forceRefresh: true }));
+    }
+  }
+
+  /**
+   * Open a connection with the given credentials and select the monitored folder
+   * @private
+   * @param {Object} auth - Sign-in from getImapAuth() ({ method, credentials })
+   * @returns {Promise<void>}
+   */
+  async openConnection(auth) {
+    // Drop any previous connection so its events can't leak into this one
+    this.resetConnection();
+
+    // Correlation ID for this session, recorded on every email it stores
+    this.sessionId = `imap-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
     return new Promise((resolve, reject) => {
       try {
+        let ended = false;
+
         // Create IMAP connection
         this.imap = new Imap({
           user: this.config.gmail.user,
-          password: this.config.gmail.password,
+          ...auth.credentials,
           host: this.config.imap.host,
           port: this.config.imap.port,
           tls: this.config.imap.tls,
           tlsOptions: {
             rejectUnauthorized: false, // For self-signed certs in dev
           },
+          // Let node-imap re-issue IDLE well before Gmail's ~29 minute cutoff
+          keepalive: {
+            interval: 10000,
+            idleInterval: this.config.imap.watchdog.idleReissueInterval,
+            forceNoop: false,
+          },
         });
 
         // Connection ready
         this.imap.once('ready', () => {
           logger.info('IMAP connection established', {
+            account: this.config.name,
             host: this.config.imap.host,
             user: this.config.gmail.user,
+            auth: auth.method,
+            folder: this.folder,
+            sessionId: this.sessionId,
           });
           this.isConnected = true;
-          this.openInbox()
+          this.detectCapabilities();
+          this.watchVanished();
+          this.enableQresync()
+            .then(() => this.loadMailboxes())
+            .then(() => this.openFolder())
             .then(() => resolve())
             .catch(reject);
         });
 
-        // Connection error
-        this.imap.once('error', (err) => {
+        // Connection error (may fire after ready, e.g. socket reset)
+        this.imap.on('error', (err) => {
           logger.error('IMAP connection error', { error: err.message });
           this.isConnected = false;
           this.emit('error', err);
           reject(err);
         });
 
+        // Server reset UIDVALIDITY mid-session; cached UIDs are no longer valid
+        this.imap.on('uidvalidity', (text) => {
+          logger.warn('UIDVALIDITY changed during session', { folder: this.folder, text });
+          this.emit('uidvalidity');
+        });
+
         // Connection ended
         this.imap.once('end', () => {
+          ended = true;
           logger.warn('IMAP connection ended');
+          this.stopWatchdog();
+          this.stopPolling();
+          this.isConnected = false;
+          this.emit('end');
+        });
+
+        // Socket closed without a clean 'end' (network drop, hibernation)
+        this.imap.once('close', (hadError) => {
+          if (ended) return;
+          ended = true;
+          logger.warn('IMAP socket closed', { hadError });
+          this.stopWatchdog();
+          this.stopPolling();
           this.isConnected = false;
           this.emit('end');
         });
@@ -76,37 +252,268 @@ export class ImapClient extends EventEmitter {
   }
 
   /**
-   * Open INBOX folder
+   * Record which strategies the server's CAPABILITY response allows
+   * @private
+   */
+  detectCapabilities() {
+    this.capabilities = Object.fromEntries(
+      Object.entries(STRATEGY_CAPABILITIES).map(([key, name]) => [key, this.imap.serverSupports(name)])
+    );
+    logger.info('IMAP capabilities detected', { host: this.config.imap.host, ...this.capabilities });
+  }
+
+  /**
+   * Turn on QRESYNC (ENABLE QRESYNC) so expunges are reported as VANISHED UIDs
+   * If the server refuses, the client carries on as if it lacked QRESYNC.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async enableQresync() {
+    if (!this.capabilities.qresync) {
+      return;
+    }
+
+    try {
+      await sendCommand(this.imap, 'ENABLE QRESYNC');
+    } catch (err) {
+      logger.warn('QRESYNC could not be enabled', { error: err.message });
+      this.capabilities.qresync = false;
+    }
+  }
+
+  /**
+   * Route VANISHED responses (which node-imap doesn't parse) to handleVanished
+   * @private
+   */
+  watchVanished() {
+    onUntaggedResponse(this.imap, /^\* VANISHED /i, line => this.handleVanished(line));
+  }
+
+  /**
+   * Handle a VANISHED response
+   * VANISHED (EARLIER) answers fetchChanges; a plain VANISHED replaces EXPUNGE once
+   * QRESYNC is enabled, so node-imap's message count is corrected here.
+   * @private
+   * @param {string} line - Untagged response line
+   */
+  handleVanished(line) {
+    const match = line.match(/^\* VANISHED (\(EARLIER\) )?([\d:,]+)\s*$/i);
+    if (!match) return;
+
+    const uids = parseUidSet(match[2]);
+    if (match[1]) {
+      this.vanishedEarlier?.push(...uids);
+      return;
+    }
+
+    if (this.box) {
+      this.box.messages.total = Math.max(0, this.box.messages.total - uids.length);
+    }
+    logger.debug('Messages vanished', { folder: this.folder, count: uids.length });
+    this.emit('expunge', uids);
+  }
+
+  /**
+   * List mailboxes and remember which ones have special-use attributes
+   * A server that can't LIST still works; roles then resolve to their fallbacks.
+   * @private
    * @returns {Promise<void>}
    */
-  async openInbox() {
+  async loadMailboxes() {
+    this.specialUseMailboxes = {};
+
+    const boxes = await new Promise((resolve) => {
+      this.imap.getBoxes((err, result) => {
+        if (err) {
+          logger.warn('Mailbox listing failed', { error: err.message });
+          return resolve({});
+        }
+        resolve(result);
+      });
+    });
+
+    for (const { name, specialUse } of flattenMailboxes(boxes)) {
+      if (specialUse && !this.specialUseMailboxes[specialUse]) {
+        this.specialUseMailboxes[specialUse] = name;
+      }
+    }
+  }
+
+  /**
+   * Resolve a folder name or special-use role to a mailbox name
+   * @param {string} folder - Mailbox name, or a role such as \All, \Trash, \Archive
+   * @returns {string} - Mailbox name
+   */
+  resolveFolder(folder) {
+    if (!folder.startsWith('\\')) {
+      return folder;
+    }
+    return this.specialUseMailboxes[folder] || SPECIAL_USE_FALLBACKS[folder] || folder;
+  }
+
+  /**
+   * Open the monitored folder
+   * @returns {Promise<Object>} - node-imap box (uidvalidity, uidnext, messages)
+   */
+  async openFolder() {
+    const mailbox = this.resolveFolder(this.folder);
+    const specialUse = Object.keys(this.specialUseMailboxes).find(role => this.specialUseMailboxes[role] === mailbox);
+
     return new Promise((resolve, reject) => {
-      this.imap.openBox('INBOX', false, (err, box) => {
+      this.imap.openBox(mailbox, false, (err, box) => {
         if (err) {
-          logger.error('Failed to open INBOX', { error: err.message });
+          logger.error('Failed to open folder', { folder: this.folder, mailbox, error: err.message });
           return reject(err);
         }
-        logger.info('INBOX opened', { messages: box.messages.total });
-        resolve();
+        this.box = box;
+        this.mailbox = mailbox;
+        this.specialUse = specialUse || null;
+        this.folderLabel = folderToLabel(mailbox, specialUse);
+        logger.info('Folder opened', {
+          folder: this.folder,
+          mailbox,
+          messages: box.messages.total,
+          uidvalidity: box.uidvalidity,
+          highestmodseq: box.highestmodseq,
+        });
+        resolve(box);
       });
     });
   }
 
   /**
-   * Start IDLE monitoring for new emails
+   * Start monitoring for new emails: IDLE when the server supports it, polling otherwise
+   * Polling emits 'poll' every IMAP_POLL_INTERVAL_MS; listeners look for new UIDs themselves.
    */
-  startIDLE() {
+  startMonitoring() {
     if (!this.imap || !this.isConnected) {
-      throw new Error('Cannot start IDLE: not connected');
+      throw new Error('Cannot start monitoring: not connected');
     }
 
-    // Listen for new mail
+    // Listen for new mail (also reported in NOOP responses on servers without IDLE)
     this.imap.on('mail', (numNewMsgs) => {
       logger.debug('New mail notification', { count: numNewMsgs });
       this.emit('mail', numNewMsgs);
     });
 
-    logger.info('IDLE activated - monitoring for new emails');
+    // Flag changes and expunges made elsewhere (sequence numbers only; listeners resync)
+    this.imap.on('update', (seqno) => {
+      logger.debug('Message update notification', { seqno });
+      this.emit('update', seqno);
+    });
+    this.imap.on('expunge', (seqno) => {
+      logger.debug('Expunge notification', { seqno });
+      this.emit('expunge', []);
+    });
+
+    this.startWatchdog();
+
+    if (this.capabilities.idle) {
+      logger.info('IDLE activated - monitoring for new emails', { folder: this.folder });
+      return;
+    }
+
+    const { pollInterval } = this.config.imap;
+    this.stopPolling();
+    this.pollTimer = setInterval(() => {
+      if (this.isReady()) {
+        this.emit('poll');
+      }
+    }, pollInterval);
+
+    logger.info('Server has no IDLE - polling for new emails', { folder: this.folder, intervalMs: pollInterval });
+  }
+
+  /**
+   * Stop polling for new emails
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Start liveness watchdog: periodic NOOP with a response deadline
+   * IDLE resumes automatically after each NOOP completes
+   */
+  startWatchdog() {
+    this.stopWatchdog();
+
+    const { heartbeatInterval } = this.config.imap.watchdog;
+    this.lastHeartbeatAt = Date.now();
+
+    this.watchdogTimer = setInterval(() => {
+      const elapsed = Date.now() - this.lastHeartbeatAt;
+      this.lastHeartbeatAt = Date.now();
+
+      // Timers don't fire while the machine sleeps, so a long gap means we just woke up
+      if (elapsed > heartbeatInterval * 2) {
+        logger.info('Clock jump detected (likely wake from sleep), checking connection', { elapsedMs: elapsed });
+      }
+
+      this.heartbeat();
+    }, heartbeatInterval);
+  }
+
+  /**
+   * Stop liveness watchdog
+   */
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+    this.heartbeatPending = false;
+  }
+
+  /**
+   * Send a NOOP and declare the connection stale if no reply arrives in time
+   * @private
+   */
+  heartbeat() {
+    if (!this.isReady() || this.heartbeatPending) return;
+
+    const { responseTimeout } = this.config.imap.watchdog;
+    const imap = this.imap;
+    this.heartbeatPending = true;
+
+    const deadline = setTimeout(() => {
+      if (this.imap !== imap) return;
+      this.markStale(`No response to NOOP within ${responseTimeout}ms`);
+    }, responseTimeout);
+
+    this.noop()
+      .catch((err) => {
+        // A NO/BAD reply still proves the server is alive
+        logger.debug('Heartbeat NOOP returned error', { error: err.message });
+      })
+      .finally(() => {
+        clearTimeout(deadline);
+        if (this.imap === imap) {
+          this.heartbeatPending = false;
+        }
+      });
+  }
+
+  /**
+   * Send NOOP command and wait for the tagged completion
+   * @returns {Promise<void>}
+   */
+  async noop() {
+    return sendNoop(this.imap);
+  }
+
+  /**
+   * Tear down an unresponsive connection and notify listeners
+   * @private
+   * @param {string} reason - Why the connection is considered stale
+   */
+  markStale(reason) {
+    logger.warn('IMAP connection stale', { reason });
+    this.resetConnection();
+    this.emit('stale', reason);
   }
 
   /**
@@ -126,26 +533,48 @@ export class ImapClient extends EventEmitter {
   }
 
   /**
-   * Fetch email by id
-   * @param {number} id - Email id
+   * Fetch email by UID
+   * @param {number} uid - Message UID in the monitored folder
    * @returns {Promise<Object>} - Email data
    */
-  async fetchEmail(id) {
+  async fetchEmail(uid) {
+    const [emailData] = await this.fetchEmails([uid]);
+    return emailData || {};
+  }
+
+  /**
+   * Fetch several emails with a single UID FETCH command
+   * @param {Array<number>} uids - Message UIDs in the monitored folder
+   * @returns {Promise<Array<Object>>} - Email data per message { uid, attrs, headers, body }
+   *   (headers and body as Buffers)
+   */
+  async fetchEmails(uids) {
+    if (uids.length === 0) {
+      return [];
+    }
+
     return new Promise((resolve, reject) => {
-      const fetch = this.imap.fetch([id], {
-        bodies: ['HEADER.FIELDS (FROM TO CC SUBJECT DATE)', 'TEXT'],
+      const fetch = this.imap.fetch(uids, {
+        // Full header block: threading/auth headers are stored, MIME headers split the body
+        bodies: ['HEADER', 'TEXT'],
         struct: true,
       });
 
-      let emailData = {};
+      const results = [];
 
       fetch.on('message', (msg) => {
+        const emailData = {};
+        results.push(emailData);
+
         msg.on('body', (stream, info) => {
-          let buffer = '';
+          // Kept as bytes: 8bit/binary parts and characters split across chunks
+          // only decode correctly once the whole part is parsed
+          const chunks = [];
           stream.on('data', (chunk) => {
-            buffer += chunk.toString('utf8');
+            chunks.push(chunk);
           });
           stream.once('end', () => {
+            const buffer = Buffer.concat(chunks);
             if (info.which === 'TEXT') {
               emailData.body = buffer;
             } else {
@@ -156,7 +585,61 @@ export class ImapClient extends EventEmitter {
 
         msg.once('attributes', (attrs) => {
           emailData.attrs = attrs;
-          emailData.id = attrs.id;
+          emailData.uid = attrs.uid;
+        });
+      });
+
+      fetch.once('error', (err) => {
+        reject(err);
+      });
+
+      fetch.once('end', () => {
+        resolve(results);
+      });
+    });
+  }
+
+  /**
+   * Detach and destroy the current underlying connection, if any
+   * @private
+   */
+  resetConnection() {
+    this.stopWatchdog();
+    this.stopPolling();
+    if (!this.imap) return;
+
+    const oldImap = this.imap;
+    this.imap = null;
+    this.box = null;
+    this.isConnected = false;
+
+    oldImap.removeAllListeners();
+    // Swallow late socket errors from the discarded connection
+    oldImap.on('error', () => {});
+    try {
+      oldImap.destroy();
+    } catch (error) {
+      // The socket may already be gone; the connection is discarded either way
+    }
+  }
+
+  /**
+   * Fetch message attributes only (UID, flags, Gmail ids), no bodies
+   * @param {Array<number>} uids - Message UIDs
+   * @returns {Promise<Array<Object>>} - node-imap attributes per message
+   */
+  async fetchAttributes(uids) {
+    if (uids.length === 0) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const fetch = this.imap.fetch(uids, { bodies: [] });
+      const results = [];
+
+      fetch.on('message', (msg) => {
+        msg.once('attributes', (attrs) => {
+          results.push(attrs);
         });
       });
 
@@ -165,15 +648,191 @@ export class ImapClient extends EventEmitter {
       });
 
       fetch.once('end', () => {
-        resolve(emailData);
+        resolve(results);
       });
     });
   }
 
+  /**
+   * Fetch flag (and Gmail label) changes of already synced messages
+   * With a MODSEQ this is UID FETCH ... (CHANGEDSINCE modseq), plus VANISHED on QRESYNC
+   * servers so expunged UIDs come back too. Without one, every message is fetched.
+   * @param {number} lastUid - Highest UID synced so far
+   * @param {string|null} modseq - Highest MODSEQ already applied (null for a full fetch)
+   * @returns {Promise<{messages: Array<Object>, vanished: Array<number>|null}>} - node-imap attributes
+   *   (uid, flags, modseq, Gmail ids/labels) of changed messages; vanished is null unless QRESYNC reported it
+   */
+  async fetchChanges(lastUid, modseq) {
+    if (lastUid < 1) {
+      return { messages: [], vanished: [] };
+    }
+
+    return new Promise((resolve, reject) => {
+      const fetch = this.imap.fetch(`1:${lastUid}`, {
+        bodies: [],
+        modifiers: modseq ? { changedsince: modseq } : undefined,
+      });
+
+      // node-imap has no VANISHED modifier
+      const reportVanished = Boolean(modseq && this.capabilities.qresync) && addFetchModifier(this.imap, 'VANISHED');
+      if (reportVanished) {
+        this.vanishedEarlier = [];
+      }
+
+      const messages = [];
+      fetch.on('message', (msg) => {
+        msg.once('attributes', (attrs) => {
+          messages.push(attrs);
+        });
+      });
+
+      fetch.once('error', (err) => {
+        this.vanishedEarlier = null;
+        reject(err);
+      });
+
+      fetch.once('end', () => {
+        const vanished = reportVanished ? this.vanishedEarlier : null;
+        this.vanishedEarlier = null;
+        resolve({ messages, vanished });
+      });
+    });
+  }
+
+  /**
+   * Find a stored email's message in the selected folder
+   * Gmail messages are found by X-GM-MSGID, others by their Message-ID header
+   * @param {Object} email - Stored email row ({ id, message_id })
+   * @returns {Promise<number|null>} - Message UID, or null if it isn't in this folder
+   */
+  async findEmail(email) {
+    if (this.capabilities?.gmail) {
+      return this.findByGmailId(stripNamespace(email.id));
+    }
+    if (!email.message_id) {
+      return null;
+    }
+    const uids = await this.search([['HEADER', 'MESSAGE-ID', `<${email.message_id}>`]]);
+    return uids[0] || null;
+  }
+
+  /**
+   * Find a message in the selected folder by its Gmail message ID
+   * @param {string} gmailId - X-GM-MSGID in hex (as stored in emails.id, without the account namespace)
+   * @returns {Promise<number|null>} - Message UID, or null if it isn't in this folder
+   */
+  async findByGmailId(gmailId) {
+    if (!/^[0-9a-f]+$/i.test(gmailId)) {
+      return null;
+    }
+    const uids = await this.search([['X-GM-MSGID', BigInt(`0x${gmailId}`).toString()]]);
+    return uids[0] || null;
+  }
+
+  /**
+   * Run a node-imap mailbox operation that takes a callback
+   * @private
+   * @param {string} method - node-imap method name
+   * @param {...*} args - Arguments before the callback
+   * @returns {Promise<void>}
+   */
+  async runOperation(method, ...args) {
+    if (!this.imap) {
+      throw new Error('IMAP client is not connected');
+    }
+
+    return new Promise((resolve, reject) => {
+      this.imap[method](...args, (err) => {
+        if (err) {
+          logger.error('IMAP operation failed', { folder: this.folder, operation: method, error: err.message });
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Mark a message as read
+   * @param {number} uid - Message UID in the selected folder
+   * @returns {Promise<void>}
+   */
+  async markRead(uid) {
+    await this.runOperation('addFlags', uid, '\\Seen');
+  }
+
+  /**
+   * Mark a message as unread
+   * @param {number} uid - Message UID in the selected folder
+   * @returns {Promise<void>}
+   */
+  async markUnread(uid) {
+    await this.runOperation('delFlags', uid, '\\Seen');
+  }
+
+  /**
+   * Fail label changes on servers whose labels are just folders
+   * @private
+   */
+  requireLabels() {
+    if (!this.capabilities?.gmail) {
+      throw new Error('Labels need the X-GM-EXT-1 extension; this server only has folders');
+    }
+  }
+
+  /**
+   * Add Gmail labels (STORE +X-GM-LABELS)
+   * @param {number} uid - Message UID in the selected folder
+   * @param {Array<string>} labels - Label names
+   * @returns {Promise<void>}
+   */
+  async addLabels(uid, labels) {
+    this.requireLabels();
+    await this.runOperation('addLabels', uid, labels);
+  }
+
+  /**
+   * Remove Gmail labels (STORE -X-GM-LABELS)
+   * @param {number} uid - Message UID in the selected folder
+   * @param {Array<string>} labels - Label names
+   * @returns {Promise<void>}
+   */
+  async removeLabels(uid, labels) {
+    this.requireLabels();
+    await this.runOperation('delLabels', uid, labels);
+  }
+
+  /**
+   * Archive a message
+   * Gmail archiving is removing the \Inbox label; elsewhere the message moves to the archive folder
+   * @param {number} uid - Message UID in the selected folder
+   * @param {string} [archiveFolder] - Archive mailbox name or role (default: \Archive)
+   * @returns {Promise<void>}
+   */
+  async archive(uid, archiveFolder = '\\Archive') {
+    if (this.capabilities?.gmail) {
+      await this.removeLabels(uid, ['\\Inbox']);
+      return;
+    }
+    await this.runOperation('move', uid, this.resolveFolder(archiveFolder));
+  }
+
+  /**
+   * Move a message to the trash folder
+   * @param {number} uid - Message UID in the selected folder
+   * @param {string} trashFolder - Trash mailbox name or role (e.g. \Trash, [Gmail]/Trash)
+   * @returns {Promise<void>}
+   */
+  async trash(uid, trashFolder) {
+    await this.runOperation('move', uid, this.resolveFolder(trashFolder));
+  }
+
   /**
    * Disconnect from IMAP server
    */
   disconnect() {
+    this.stopWatchdog();
+    this.stopPolling();
     if (this.imap) {
       this.imap.end();
       this.isConnected = false;
@@ -0,0 +1,108 @@
+/**
+ * node-imap private API adapter
+ * node-imap has no way to send ENABLE or a NOOP with a completion callback, to see
+ * untagged responses its parser doesn't know (VANISHED), or to add FETCH modifiers
+ * other than CHANGEDSINCE. Everything that
+ * reaches into its private members lives here, written against the version pinned in
+ * package.json (SUPPORTED_IMAP_VERSION); tests/integration/imap-internals.test.js
+ * covers each function against a fake server, so an upgrade only needs this module checked.
+ */
+
+import { createRequire } from 'module';
+
+/**
+ * node-imap version these internals are written against
+ */
+export const SUPPORTED_IMAP_VERSION = '0.8.19';
+
+const { version: installedVersion } = createRequire(import.meta.url)('imap/package.json');
+
+/**
+ * Check that a connection still has the private members used here
+ * @private
+ * @param {Imap} imap - node-imap connection
+ * @param {string} feature - What the caller needs, for the error message
+ * @param {Function} check - (imap) => boolean
+ * @throws {Error} if node-imap no longer matches
+ */
+function assertInternals(imap, feature, check) {
+  if (!check(imap)) {
+    throw new Error(`${feature} unsupported by node-imap ${installedVersion} (written for ${SUPPORTED_IMAP_VERSION})`);
+  }
+}
+
+/**
+ * Send a command node-imap has no method for and wait for its tagged completion
+ * @param {Imap} imap - node-imap connection
+ * @param {string} command - Command and arguments, e.g. "ENABLE QRESYNC"
+ * @returns {Promise<void>} - Rejects on a NO/BAD completion
+ */
+export function sendCommand(imap, command) {
+  assertInternals(imap, command, connection => typeof connection._enqueue === 'function');
+
+  return new Promise((resolve, reject) => {
+    imap._enqueue(command, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Send a NOOP and wait for its tagged completion (the watchdog heartbeat)
+ * node-imap reserves an upper-case NOOP for its own keepalive, which it sends without a
+ * callback and uses to resume IDLE; the command is matched case-sensitively, so a
+ * lower-case noop is queued as a regular command (servers treat it the same). No public
+ * method will do: status() refuses the selected mailbox, and any other mailbox costs the
+ * server more than a NOOP and may not exist.
+ * @param {Imap} imap - node-imap connection
+ * @returns {Promise<void>} - Rejects on a NO/BAD completion
+ */
+export function sendNoop(imap) {
+  return sendCommand(imap, 'noop');
+}
+
+/**
+ * Call a handler for untagged responses matching a pattern
+ * node-imap's parser drops untagged responses it doesn't know, so its handler is
+ * wrapped to see each one first. Must be called once the connection is ready.
+ * @param {Imap} imap - node-imap connection
+ * @param {RegExp} pattern - Tested against the full response line ("* VANISHED 41:43")
+ * @param {Function} handler - (line) => void
+ */
+export function onUntaggedResponse(imap, pattern, handler) {
+  assertInternals(imap, 'Untagged response hook', connection =>
+    typeof connection._parser?._resUntagged === 'function');
+
+  const parser = imap._parser;
+  const resUntagged = parser._resUntagged;
+
+  parser._resUntagged = function () {
+    if (pattern.test(this._buffer)) {
+      handler(this._buffer);
+    }
+    return resUntagged.call(this);
+  };
+}
+
+/**
+ * Add a modifier to the FETCH just queued by imap.fetch()
+ * Requests are sent on the next tick, so this must run in the same tick as the fetch.
+ * node-imap only writes the modifier list when it sends CHANGEDSINCE (the server
+ * supports CONDSTORE and the mailbox has MODSEQs); otherwise nothing is added.
+ * @param {Imap} imap - node-imap connection
+ * @param {string} modifier - Modifier to append, e.g. "VANISHED"
+ * @returns {boolean} - Whether the modifier was added
+ */
+export function addFetchModifier(imap, modifier) {
+  assertInternals(imap, 'FETCH modifiers', connection => Array.isArray(connection._queue));
+
+  const request = imap._queue[imap._queue.length - 1];
+  if (!/^(?:UID )?FETCH .* \(CHANGEDSINCE \d+\)$/.test(request?.fullcmd)) {
+    return false;
+  }
+  request.fullcmd = `${request.fullcmd.slice(0, -1)} ${modifier})`;
+  return true;
+}
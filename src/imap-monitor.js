@@ -1,157 +1,506 @@
 /**
  * Gmail IMAP Email Monitor - Main Entry Point
- * Maintains persistent IMAP connection and stores emails in SQLite
+ * Maintains persistent IMAP connections (one per monitored folder of each account) and
+ * stores emails in SQLite
  */
 
 import { config } from './config.js';
 import { logger } from './logger.js';
-import { initDatabase, closeDatabase } from './database.js';
-import { initState } from './state-manager.js';
+import {
+  initDatabase,
+  closeDatabase,
+  emailExists,
+  getFolderUids,
+  clearFolderUids,
+  assignUnownedEmails,
+} from './database.js';
+import {
+  initState,
+  readState,
+  updateAccountState,
+  getFolderState,
+  updateFolderState,
+  hasUidValidityChanged,
+} from './state-manager.js';
 import { ImapClient } from './imap-client.js';
-import { processEmail } from './email-processor.js';
+import { processEmails, getFolderEmailId, applyFlagChanges, removeExpungedEmails } from './email-processor.js';
+import { startDeliveryWorker, stopDeliveryWorker } from './subscribers.js';
 
 /**
  * Global state
  */
 let db = null;
-let imapClient = null;
 let isShuttingDown = false;
 
+/**
+ * Per-folder monitors, keyed by "<account>/<folder>"
+ * Each entry: { account, folder, client, isConnecting, reconnectAttempt, reconnectTimer, syncInFlight, syncRequested }
+ */
+const folderMonitors = new Map();
+
 /**
  * Initialize application
  */
 async function initialize() {
   try {
-    logger.info('Starting Gmail IMAP Monitor');
+    logger.info('Starting Gmail IMAP Monitor', {
+      accounts: config.accounts.map(account => ({ name: account.name, user: account.gmail.user, folders: account.imap.folders })),
+    });
 
     // Initialize database
     db = initDatabase(config.database.path);
     logger.info('Database initialized', { dbPath: config.database.path });
 
+    // Emails stored before accounts existed belong to the primary account
+    const primaryAccount = config.accounts[0].name;
+    const assigned = assignUnownedEmails(db, primaryAccount);
+    if (assigned > 0) {
+      logger.info('Assigned stored emails to primary account', { account: primaryAccount, count: assigned });
+    }
+
+    // Deliver subscriber events queued by this process (and retries)
+    startDeliveryWorker(db);
+
     // Initialize state
-    const state = initState(config.state.path);
-    logger.info('State initialized', {
-      last_id: state.last_id,
-      connection_status: state.connection_status,
+    const state = initState(config.state.path, primaryAccount);
+    logger.info('State initialized', { accounts: state.accounts });
+
+    // Create one IMAP client per folder of each account
+    for (const account of config.accounts) {
+      for (const folder of account.imap.folders) {
+        const monitor = {
+          account: account.name,
+          folder,
+          client: new ImapClient(account, folder),
+          isConnecting: false,
+          reconnectAttempt: 0,
+          reconnectTimer: null,
+          syncInFlight: null,
+          syncRequested: false,
+        };
+        folderMonitors.set(`${account.name}/${folder}`, monitor);
+
+        // Setup event handlers
+        setupEventHandlers(monitor);
+      }
+    }
+
+    // Connect to IMAP (failures are retried by the reconnect supervisor)
+    const results = await Promise.all(
+      [...folderMonitors.values()].map(monitor => establishConnection(monitor))
+    );
+
+    if (results.every(Boolean)) {
+      logger.info('Gmail IMAP Monitor started successfully');
+    }
+  } catch (error) {
+    logger.error('Initialization failed', { error: error.message, stack: error.stack });
+    await gracefulShutdown(1);
+  }
+}
+
+/**
+ * Connect a folder monitor, sync missed emails and start IDLE monitoring (or polling)
+ * On failure the error is recorded and a reconnect is scheduled
+ * @param {Object} monitor - Folder monitor
+ * @returns {Promise<boolean>} - true if connection established
+ */
+async function establishConnection(monitor) {
+  if (isShuttingDown || monitor.isConnecting) return false;
+  monitor.isConnecting = true;
+
+  const { account, folder, client } = monitor;
+
+  try {
+    logger.info('Connecting to IMAP', {
+      account,
+      host: client.config.imap.host,
+      folder,
+      attempt: monitor.reconnectAttempt + 1,
     });
+    await client.connect();
 
-    // Create IMAP client
-    imapClient = new ImapClient(config);
+    monitor.reconnectAttempt = 0;
+    monitor.isConnecting = false;
+    recordConnectionState(account, {
+      last_connected_at: new Date().toISOString(),
+      last_error: null,
+    });
 
-    // Setup event handlers
-    setupEventHandlers();
+    const uidvalidity = client.box?.uidvalidity || 0;
+    let state = readState(config.state.path);
 
-    // Connect to IMAP
-    logger.info('Connecting to IMAP', { host: config.imap.host });
-    await imapClient.connect();
+    if (hasUidValidityChanged(state, account, folder, uidvalidity)) {
+      // Stored UIDs are meaningless now; reconcile against the database instead
+      await resyncFolder(monitor, getFolderState(state, account, folder));
+      state = readState(config.state.path);
 
-    // First run: Download last X unread emails
-    if (state.last_id === 0) {
-      await syncInitialUnreadEmails();
+      if (hasUidValidityChanged(state, account, folder, uidvalidity)) {
+        // Resync didn't complete; try again on the next connection
+        throw new Error('UIDVALIDITY resync incomplete');
+      }
+    } else if (getFolderState(state, account, folder).uidvalidity === 0 && uidvalidity) {
+      // Remember which UIDVALIDITY our UIDs belong to
+      state = updateFolderState(config.state.path, account, folder, { uidvalidity });
     }
 
-    // Start IDLE monitoring
-    imapClient.startIDLE();
+    const folderState = getFolderState(state, account, folder);
+    if (folderState.last_id === 0) {
+      // First run for this folder: Download last X unread emails
+      await syncInitialUnreadEmails(monitor);
+    } else {
+      // Catch up on anything that arrived while offline
+      await requestSync(monitor);
+    }
 
-    logger.info('Gmail IMAP Monitor started successfully');
+    // Start IDLE monitoring (or polling on servers without IDLE)
+    client.startMonitoring();
+    return true;
   } catch (error) {
-    logger.error('Initialization failed', { error: error.message, stack: error.stack });
-    await gracefulShutdown(1);
+    monitor.isConnecting = false;
+    logger.error('IMAP connection attempt failed', { account, folder, error: error.message });
+    scheduleReconnect(monitor, error.message);
+    return false;
   }
 }
 
 /**
- * Sync initial unread emails on first run
+ * Calculate exponential backoff delay for a reconnect attempt
+ * (1s, 2s, 4s, 8s... capped at 60s by default)
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} backoff - Account reconnect settings { baseDelay, maxDelay }
+ * @returns {number} - Delay in milliseconds
+ */
+function getReconnectDelay(attempt, { baseDelay, maxDelay }) {
+  return Math.min(baseDelay * 2 ** attempt, maxDelay);
+}
+
+/**
+ * Schedule a reconnection attempt with exponential backoff
+ * No-op while shutting down, connecting, or when a retry is already pending
+ * @param {Object} monitor - Folder monitor
+ * @param {string} reason - Error message that caused the disconnect
  */
-async function syncInitialUnreadEmails() {
+function scheduleReconnect(monitor, reason) {
+  if (isShuttingDown || monitor.isConnecting || monitor.reconnectTimer) return;
+
+  const delay = getReconnectDelay(monitor.reconnectAttempt, monitor.client.config.imap.reconnect);
+  monitor.reconnectAttempt++;
+
+  monitor.reconnectTimer = setTimeout(() => {
+    monitor.reconnectTimer = null;
+    establishConnection(monitor);
+  }, delay);
+
+  recordConnectionState(monitor.account, { last_error: reason || null });
+
+  logger.warn('Scheduling IMAP reconnection', {
+    account: monitor.account,
+    folder: monitor.folder,
+    attempt: monitor.reconnectAttempt,
+    delayMs: delay,
+    reason,
+  });
+}
+
+/**
+ * Connection status of an account across its folder connections
+ * @param {string} account - Account name
+ * @returns {string} - 'connected' | 'reconnecting' | 'disconnected'
+ */
+function getConnectionStatus(account) {
+  const monitors = [...folderMonitors.values()].filter(monitor => monitor.account === account);
+
+  if (monitors.length > 0 && monitors.every(monitor => monitor.client.isReady())) {
+    return 'connected';
+  }
+  if (monitors.some(monitor => monitor.reconnectTimer || monitor.isConnecting)) {
+    return 'reconnecting';
+  }
+  return 'disconnected';
+}
+
+/**
+ * Persist an account's connection state changes without interrupting the caller
+ * connection_status is derived from the account's folder connections
+ * @param {string} account - Account name
+ * @param {Object} updates - Partial account state updates
+ * @returns {Object} - Current state (updated if the write succeeded)
+ */
+function recordConnectionState(account, updates) {
   try {
-    const syncCount = config.initialSync.count;
-    logger.info('First run: Syncing initial unread emails', { count: syncCount });
+    return updateAccountState(config.state.path, account, {
+      ...updates,
+      connection_status: isShuttingDown ? 'disconnected' : getConnectionStatus(account),
+    });
+  } catch (error) {
+    logger.error('Failed to update connection state', { account, error: error.message });
+    return readState(config.state.path);
+  }
+}
 
-    // Search for unread emails
-    const unreadIds = await imapClient.search(['UNSEEN']);
+/**
+ * Run a new-mail and change sync, coalescing concurrent requests
+ * While a sync is running, further requests only mark another pass as needed,
+ * so two notifications never process the same UIDs at the same time
+ * @param {Object} monitor - Folder monitor
+ * @returns {Promise<void>} - Resolves when no more passes are pending
+ */
+function requestSync(monitor) {
+  if (monitor.syncInFlight) {
+    monitor.syncRequested = true;
+    return monitor.syncInFlight;
+  }
+
+  monitor.syncInFlight = (async () => {
+    try {
+      do {
+        monitor.syncRequested = false;
+        await syncNewEmails(monitor);
+        await syncChanges(monitor);
+      } while (monitor.syncRequested && !isShuttingDown && monitor.client.isReady());
+    } finally {
+      monitor.syncInFlight = null;
+    }
+  })();
+
+  return monitor.syncInFlight;
+}
+
+/**
+ * Download emails newer than the folder's last_id (SEARCH UID last_id+1:*)
+ * Used both for catch-up after (re)connecting and for IDLE new-mail events and polls
+ * @param {Object} monitor - Folder monitor
+ */
+async function syncNewEmails(monitor) {
+  const { account, folder, client } = monitor;
+
+  try {
+    const lastId = getFolderState(readState(config.state.path), account, folder).last_id;
+
+    // UID range always includes the highest existing UID, so filter again
+    const uids = await client.search([['UID', `${lastId + 1}:*`]]);
+    const newIds = uids.filter(id => id > lastId);
+
+    if (newIds.length === 0) {
+      logger.debug('No new emails to process', { account, folder, since: lastId });
+      return;
+    }
 
-    if (unreadIds.length === 0) {
-      logger.info('No unread emails found');
+    logger.info('Processing new emails', { account, folder, since: lastId, count: newIds.length });
+
+    const storedCount = await processEmails(client, db, config.state.path, newIds);
+
+    logger.info('New email sync complete', { account, folder, emailsSynced: storedCount });
+  } catch (error) {
+    logger.error('New email sync failed', { account, folder, error: error.message });
+    // Don't throw - the next mail event or reconnect retries from last_id
+  }
+}
+
+/**
+ * Bring stored flags, labels and deletions up to date for already synced messages
+ * CONDSTORE servers report what changed since the folder's highest_modseq (the first
+ * sync reads every message once, which also records UIDs of older rows); expunges come
+ * from QRESYNC VANISHED or, failing that, from comparing stored UIDs with UID SEARCH.
+ * Without CONDSTORE only expunges are picked up.
+ * @param {Object} monitor - Folder monitor
+ */
+async function syncChanges(monitor) {
+  const { account, folder, client } = monitor;
+
+  try {
+    const folderState = getFolderState(readState(config.state.path), account, folder);
+    if (folderState.last_id === 0 || !client.isReady()) {
       return;
     }
 
+    const condstore = client.capabilities.condstore && !client.box.nomodseq;
+    let changed = 0;
+    let vanished = null;
+    let highestModseq = BigInt(folderState.highest_modseq);
+
+    if (condstore) {
+      const since = highestModseq > 0n ? folderState.highest_modseq : null;
+      const changes = await client.fetchChanges(folderState.last_id, since);
+      changed = applyFlagChanges(client, db, changes.messages);
+      vanished = changes.vanished;
+
+      for (const attrs of changes.messages) {
+        if (attrs.modseq && BigInt(attrs.modseq) > highestModseq) {
+          highestModseq = BigInt(attrs.modseq);
+        }
+      }
+    }
+
+    if (!vanished) {
+      const present = new Set(await client.search([['UID', `1:${folderState.last_id}`]]));
+      vanished = getFolderUids(db, account, folder).filter(uid => !present.has(uid));
+    }
+    const removed = removeExpungedEmails(client, db, vanished);
+
+    if (String(highestModseq) !== folderState.highest_modseq) {
+      updateFolderState(config.state.path, account, folder, { highest_modseq: String(highestModseq) });
+    }
+
+    if (changed > 0 || removed.length > 0) {
+      logger.info('Mailbox changes synced', {
+        account,
+        folder,
+        changed,
+        removed: removed.length,
+        highestModseq: String(highestModseq),
+      });
+    }
+  } catch (error) {
+    logger.error('Change sync failed', { account, folder, error: error.message });
+    // Don't throw - the next sync pass picks the changes up again from highest_modseq
+  }
+}
+
+/**
+ * Resync a folder after its UIDVALIDITY changed
+ * Messages received since the previous sync are matched against the database by
+ * email id (Gmail message ID, namespaced by account; elsewhere the id includes the
+ * UIDVALIDITY, so every message is new); only missing ones are downloaded, and storeEmail
+ * still rejects duplicates. The new UIDVALIDITY is recorded only once this finishes,
+ * so an interrupted resync is retried on the next connection.
+ * @param {Object} monitor - Folder monitor
+ * @param {Object} previous - Folder state recorded under the old UIDVALIDITY
+ */
+async function resyncFolder(monitor, previous) {
+  const { account, folder, client } = monitor;
+  const uidvalidity = client.box.uidvalidity;
+
+  logger.warn('UIDVALIDITY changed, resyncing folder', {
+    account,
+    folder,
+    previousUidvalidity: previous.uidvalidity,
+    uidvalidity,
+    lastSyncedAt: previous.last_id_received_at,
+  });
+
+  try {
+    // IMAP SINCE has day granularity; go back an extra day to cover timezones
+    const since = new Date(previous.last_id_received_at);
+    since.setUTCDate(since.getUTCDate() - 1);
+
+    const uids = await client.search([['SINCE', since]]);
+    const attributes = await client.fetchAttributes(uids);
+    const missing = attributes
+      .filter(attrs => !emailExists(db, getFolderEmailId(client, attrs)))
+      .map(attrs => attrs.uid)
+      .sort((a, b) => a - b);
+
+    logger.info('Resync candidates', { account, folder, checked: attributes.length, missing: missing.length });
+
+    await processEmails(client, db, config.state.path, missing);
+
+    // Everything currently in the folder is now accounted for. Stored UIDs and the MODSEQ
+    // belong to the old UIDVALIDITY; the next change sync reads every message again.
+    const lastId = uids.reduce((max, uid) => Math.max(max, uid), (client.box.uidnext || 1) - 1);
+    clearFolderUids(db, account, folder);
+    updateFolderState(config.state.path, account, folder, { uidvalidity, last_id: lastId, highest_modseq: '0' });
+
+    logger.info('Resync complete', { account, folder, emailsSynced: missing.length, lastId });
+  } catch (error) {
+    logger.error('Resync failed', { account, folder, error: error.message });
+  }
+}
+
+/**
+ * Sync initial unread emails on first run of a folder
+ * Afterwards the folder position is set to the current highest UID so older
+ * mail is never bulk-downloaded by the new-mail handler
+ * @param {Object} monitor - Folder monitor
+ */
+async function syncInitialUnreadEmails(monitor) {
+  const { account, folder, client } = monitor;
+
+  try {
+    const syncCount = config.initialSync.count;
+    logger.info('First run: Syncing initial unread emails', { account, folder, count: syncCount });
+
+    // Search for unread emails
+    const unreadIds = await client.search(['UNSEEN']);
+
     // Take only the last X unread emails
-    const uidsToSync = unreadIds.slice(-syncCount);
+    const uidsToSync = syncCount > 0 ? unreadIds.slice(-syncCount) : [];
     logger.info('Found unread emails', {
+      account,
+      folder,
       total: unreadIds.length,
       syncing: uidsToSync.length,
     });
 
-    // Process each email
-    for (const id of uidsToSync) {
-      try {
-        await processEmail(imapClient, db, config.state.path, id);
-      } catch (error) {
-        logger.warn('Failed to sync initial email', { id, error: error.message });
-      }
+    // Fetch and store in batches
+    await processEmails(client, db, config.state.path, uidsToSync);
+
+    // Baseline: everything up to UIDNEXT-1 counts as seen
+    const baseline = Math.max((client.box?.uidnext || 1) - 1, ...uidsToSync, 0);
+    const folderState = getFolderState(readState(config.state.path), account, folder);
+    if (baseline > folderState.last_id) {
+      updateFolderState(config.state.path, account, folder, { last_id: baseline });
     }
 
-    logger.info('Initial sync complete', { emailsSynced: uidsToSync.length });
+    logger.info('Initial sync complete', { account, folder, emailsSynced: uidsToSync.length, lastId: baseline });
   } catch (error) {
-    logger.error('Initial sync failed', { error: error.message });
+    logger.error('Initial sync failed', { account, folder, error: error.message });
     // Don't throw - continue with monitoring even if initial sync fails
   }
 }
 
 /**
- * Setup IMAP event handlers
+ * Setup IMAP event handlers for a folder monitor
+ * @param {Object} monitor - Folder monitor
  */
-function setupEventHandlers() {
-  // New mail event
-  imapClient.on('mail', async (numNewMsgs) => {
-    if (isShuttingDown) return;
+function setupEventHandlers(monitor) {
+  const { account, folder, client } = monitor;
 
-    logger.debug('New mail event', { count: numNewMsgs });
-
-    try {
-      // Search for all messages in INBOX
-      const uids = await imapClient.search(['ALL']);
+  // New mail event
+  client.on('mail', (numNewMsgs) => {
+    if (isShuttingDown || !client.isReady()) return;
 
-      // Get current last_id from state to find new emails
-      const { readState } = await import('./state-manager.js');
-      const state = readState(config.state.path);
-      const lastId = state.last_id;
+    logger.debug('New mail event', { account, folder, count: numNewMsgs });
+    requestSync(monitor);
+  });
 
-      // Filter for UIDs greater than last processed
-      const newIds = uids.filter(id => id > lastId);
+  // Poll tick on servers without IDLE
+  client.on('poll', () => {
+    if (isShuttingDown || !client.isReady()) return;
+    requestSync(monitor);
+  });
 
-      if (newIds.length === 0) {
-        logger.debug('No new emails to process');
-        return;
-      }
+  // Flags changed or messages expunged elsewhere
+  for (const event of ['update', 'expunge']) {
+    client.on(event, () => {
+      if (isShuttingDown || !client.isReady()) return;
+      logger.debug('Mailbox change event', { account, folder, event });
+      requestSync(monitor);
+    });
+  }
 
-      logger.info('Processing new emails', { count: newIds.length });
+  // Error event
+  client.on('error', (err) => {
+    logger.error('IMAP error', { account, folder, error: err.message });
+    scheduleReconnect(monitor, err.message);
+  });
 
-      // Process each new email
-      for (const id of newIds) {
-        try {
-          await processEmail(imapClient, db, config.state.path, id);
-        } catch (error) {
-          // Error already logged in processEmail, continue with next email (FR-014)
-          logger.warn('Skipping email due to processing error', { id });
-        }
-      }
-    } catch (error) {
-      logger.error('Error handling new mail', { error: error.message });
-    }
+  // Connection end event
+  client.on('end', () => {
+    logger.warn('IMAP connection ended', { account, folder });
+    scheduleReconnect(monitor, 'Connection ended');
   });
 
-  // Error event
-  imapClient.on('error', (err) => {
-    logger.error('IMAP error', { error: err.message });
-    // Will be handled by reconnection logic in Phase 4
+  // UIDVALIDITY changed mid-session: reconnect so openBox re-checks it
+  client.on('uidvalidity', () => {
+    client.disconnect();
   });
 
-  // Connection end event
-  imapClient.on('end', () => {
-    logger.warn('IMAP connection ended');
-    // Will be handled by reconnection logic in Phase 4
+  // Watchdog detected an unresponsive connection
+  client.on('stale', (reason) => {
+    logger.warn('IMAP connection stale', { account, folder, reason });
+    scheduleReconnect(monitor, reason);
   });
 }
 
@@ -165,11 +514,23 @@ async function gracefulShutdown(exitCode = 0) {
   logger.info('Initiating graceful shutdown');
 
   try {
-    // Disconnect IMAP
-    if (imapClient) {
-      imapClient.disconnect();
+    for (const monitor of folderMonitors.values()) {
+      // Cancel any pending reconnect
+      if (monitor.reconnectTimer) {
+        clearTimeout(monitor.reconnectTimer);
+        monitor.reconnectTimer = null;
+      }
+
+      // Disconnect IMAP
+      monitor.client.disconnect();
+    }
+
+    for (const account of new Set([...folderMonitors.values()].map(monitor => monitor.account))) {
+      recordConnectionState(account, {});
     }
 
+    await stopDeliveryWorker();
+
     // Close database
     if (db) {
       closeDatabase(db);
@@ -0,0 +1,46 @@
+/**
+ * Label normalization shared by the IMAP and webhook ingestion paths
+ * IMAP delivers `x-gm-labels` as an array (stored as a JSON array string);
+ * the Apps Script sends a comma-separated string ("Work, Receipts").
+ */
+
+/**
+ * Normalize labels to a de-duplicated array of trimmed names
+ * @param {Array<string>|string|null|undefined} value - Array, JSON array string, or comma-separated string
+ * @returns {Array<string>|null} - Label names in first-seen order, or null if the value isn't a label list
+ */
+export function normalizeLabels(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  let names = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[')) {
+      try {
+        names = JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      names = text.split(',');
+    }
+  }
+
+  if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+    return null;
+  }
+
+  return [...new Set(names.map(name => name.trim()).filter(Boolean))];
+}
+
+/**
+ * Normalize labels to the stored column format
+ * @param {Array<string>|string|null|undefined} value - Labels in any accepted form
+ * @returns {string|null} - JSON array string, or null if the value isn't a label list
+ */
+export function serializeLabels(value) {
+  const labels = normalizeLabels(value);
+  return labels ? JSON.stringify(labels) : null;
+}
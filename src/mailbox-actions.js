@@ -0,0 +1,129 @@
+/**
+ * Mailbox actions on stored emails
+ * Applies an action to the message over IMAP, records it in the
+ * email_actions audit table and mirrors label changes into the database.
+ * On servers without Gmail labels, archive and trash move the message between
+ * folders and the label actions fail.
+ */
+
+import { logger } from './logger.js';
+import { normalizeLabels } from './labels.js';
+import { setEmailLabels, recordEmailAction, completeEmailAction } from './database.js';
+
+/**
+ * Supported actions and whether they take a `labels` list
+ */
+export const EMAIL_ACTIONS = {
+  mark_read: { needsLabels: false },
+  mark_unread: { needsLabels: false },
+  add_labels: { needsLabels: true },
+  remove_labels: { needsLabels: true },
+  archive: { needsLabels: false },
+  trash: { needsLabels: false },
+};
+
+/**
+ * Validate an action request
+ * @param {Object} request - { action, labels }
+ * @returns {{valid: boolean, message?: string, labels?: Array<string>}}
+ */
+export function validateActionRequest(request) {
+  if (!request || typeof request !== 'object' || !EMAIL_ACTIONS[request.action]) {
+    return { valid: false, message: `Field 'action' must be one of: ${Object.keys(EMAIL_ACTIONS).join(', ')}` };
+  }
+
+  if (!EMAIL_ACTIONS[request.action].needsLabels) {
+    return { valid: true, labels: [] };
+  }
+
+  const labels = normalizeLabels(request.labels);
+  if (!labels || labels.length === 0) {
+    return { valid: false, message: `Action '${request.action}' requires a non-empty 'labels' list` };
+  }
+  return { valid: true, labels };
+}
+
+/**
+ * Compute the email's labels after an action, matching what Gmail will report
+ * (and the folder labels of other servers: \Inbox for INBOX, \Trash for the trash folder)
+ * @param {Array<string>} current - Current labels
+ * @param {string} action - Action name
+ * @param {Array<string>} labels - Labels the action applies
+ * @returns {Array<string>} - New label list
+ */
+export function applyLabelChange(current, action, labels) {
+  switch (action) {
+    case 'add_labels':
+      return [...new Set([...current, ...labels])];
+    case 'remove_labels':
+      return current.filter(label => !labels.includes(label));
+    case 'archive':
+      return current.filter(label => label !== '\\Inbox');
+    case 'trash':
+      return [...current.filter(label => label !== '\\Inbox'), '\\Trash'];
+    default:
+      return current;
+  }
+}
+
+/**
+ * Perform an action on a stored email
+ * @param {Database} db - Database instance
+ * @param {ImapClient} client - Connected client with All Mail (or INBOX) selected
+ * @param {Object} email - Stored email row
+ * @param {string} action - Action name (key of EMAIL_ACTIONS)
+ * @param {Array<string>} labels - Normalized labels for add/remove
+ * @param {Object} options
+ * @param {string} options.trashFolder - Trash mailbox name or special-use role
+ * @param {string} [options.archiveFolder] - Archive mailbox (servers without Gmail labels)
+ * @param {string} options.correlationId - Request correlation ID (stored in the audit row)
+ * @returns {Promise<{found: boolean, labels?: Array<string>}>} - found is false if the message
+ *   isn't in the mailbox any more
+ */
+export async function performEmailAction(db, client, email, action, labels, { trashFolder, archiveFolder, correlationId }) {
+  const auditId = recordEmailAction(db, {
+    email_id: email.id,
+    action,
+    params: labels.length > 0 ? { labels } : null,
+    correlation_id: correlationId,
+  });
+
+  try {
+    const uid = await client.findEmail(email);
+    if (!uid) {
+      completeEmailAction(db, auditId, 'failed', 'Message not found in mailbox');
+      return { found: false };
+    }
+
+    switch (action) {
+      case 'mark_read':
+        await client.markRead(uid);
+        break;
+      case 'mark_unread':
+        await client.markUnread(uid);
+        break;
+      case 'add_labels':
+        await client.addLabels(uid, labels);
+        break;
+      case 'remove_labels':
+        await client.removeLabels(uid, labels);
+        break;
+      case 'archive':
+        await client.archive(uid, archiveFolder);
+        break;
+      case 'trash':
+        await client.trash(uid, trashFolder);
+        break;
+    }
+
+    const current = normalizeLabels(email.labels) || [];
+    const updated = setEmailLabels(db, email.id, applyLabelChange(current, action, labels));
+    completeEmailAction(db, auditId, 'success');
+
+    logger.info('Email action applied', { correlationId, id: email.id, action, labels: updated });
+    return { found: true, labels: updated };
+  } catch (error) {
+    completeEmailAction(db, auditId, 'failed', error.message);
+    throw new Error(`Email action failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Schema migration CLI
+ * Usage: node src/migrate.js [--dry-run] [dbPath]
+ * Defaults to $DB_PATH or ./data/emails.db
+ */
+
+import Database from 'better-sqlite3';
+import { existsSync } from 'fs';
+import { runMigrations, getSchemaVersion, LATEST_VERSION } from './migrations.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const dbPath = args.find(arg => !arg.startsWith('--')) || process.env.DB_PATH || './data/emails.db';
+
+if (!existsSync(dbPath)) {
+  console.error(`Database not found: ${dbPath}`);
+  process.exit(1);
+}
+
+const db = new Database(dbPath);
+
+try {
+  console.log(`Database: ${dbPath}`);
+  console.log(`Schema version: ${getSchemaVersion(db)} (latest ${LATEST_VERSION})`);
+
+  const result = runMigrations(db, { dryRun });
+
+  if (result.applied.length === 0) {
+    console.log('Schema is up to date');
+  }
+
+  for (const migration of result.applied) {
+    console.log(`${dryRun ? 'Would apply' : 'Applied'} ${migration.version} (${migration.name}): ${migration.description}`);
+    if (dryRun) {
+      const changes = migration.changes.length > 0 ? migration.changes : ['no changes'];
+      for (const change of changes) {
+        console.log(`  - ${change}`);
+      }
+    }
+  }
+
+  if (result.backupPath) {
+    console.log(`Backup: ${result.backupPath}`);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,982 @@
+/**
+ * Versioned schema migrations
+ * The schema version is tracked in `PRAGMA user_version`. Each migration runs in
+ * its own transaction and bumps the version on success; a backup of the database
+ * is taken before any pending migration is applied.
+ *
+ * Databases created before versioning existed report version 0 but may already
+ * contain some of these changes, so every step must tolerate that.
+ */
+
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Check if a table exists
+ * @param {Database} db - Database instance
+ * @param {string} table - Table name
+ * @returns {boolean}
+ */
+function tableExists(db, table) {
+  return !!db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type='table' AND name = ?"
+  ).get(table);
+}
+
+/**
+ * Add a column to an existing table if it isn't there yet
+ * @param {Database} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!tableInfo.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/*
+ * Row rewrites of released migrations
+ * A migration must give the same result whenever a database is upgraded, so the logic
+ * it applies to stored rows is copied here as released instead of being imported
+ * from modules that keep changing (timestamps.js, labels.js, threading.js).
+ */
+
+// Version 9: timestamp formats accepted by timestamps.js
+const V9_CANONICAL_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const V9_LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const V9_ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+const V9_RFC_2822 = /^(?:[A-Za-z]{3},\s*)?\d{1,2}\s+[A-Za-z]{3}\s+\d{4}\s+\d{1,2}:\d{2}(?::\d{2})?\s+(?:[+-]\d{4}|GMT|UTC|UT)$/;
+
+/**
+ * Offset of a timezone from UTC at a given instant (version 9)
+ * @param {number} time - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Offset in milliseconds (local minus UTC)
+ */
+function v9TimeZoneOffset(time, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (time - (time % 1000));
+}
+
+/**
+ * Normalize a stored timestamp to UTC ISO 8601 (version 9)
+ * @param {string} value - Stored timestamp
+ * @param {string} timeZone - IANA timezone for values without an offset
+ * @returns {string|null} - `YYYY-MM-DDTHH:mm:ss.sssZ`, or null if the value can't be parsed
+ */
+function v9NormalizeTimestamp(value, timeZone) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+
+  if (V9_ISO_WITH_ZONE.test(text) || V9_RFC_2822.test(text)) {
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  const match = text.match(V9_LOCAL_DATE_TIME);
+  if (!match) {
+    return null;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    return null;
+  }
+
+  const fields = match.slice(1).map((part, index) =>
+    index === 6 ? Number((part || '0').padEnd(3, '0')) : Number(part || 0)
+  );
+  const [year, month, day, hour, minute, second, ms] = fields;
+
+  // Reject out-of-range fields instead of letting Date roll them over
+  const probe = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (probe.getUTCFullYear() !== year || probe.getUTCMonth() !== month - 1 || probe.getUTCDate() !== day ||
+      probe.getUTCHours() !== hour || probe.getUTCMinutes() !== minute || probe.getUTCSeconds() !== second) {
+    return null;
+  }
+
+  // Two passes settle the offset around DST transitions
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  let time = wallClock - v9TimeZoneOffset(wallClock, timeZone);
+  time = wallClock - v9TimeZoneOffset(time, timeZone);
+  return new Date(time).toISOString();
+}
+
+/**
+ * Normalize a stored labels value to a de-duplicated array of trimmed names (version 10)
+ * @param {string|null} value - JSON array string, or comma-separated string
+ * @returns {Array<string>|null} - Label names in first-seen order, or null if the value isn't a label list
+ */
+function v10NormalizeLabels(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  let names = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[')) {
+      try {
+        names = JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      names = text.split(',');
+    }
+  }
+
+  if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+    return null;
+  }
+
+  return [...new Set(names.map(name => name.trim()).filter(Boolean))];
+}
+
+// Version 15: threading.js header and subject rules
+const V15_REPLY_PREFIX = /^\s*(?:(?:re|fwd?|aw|wg|sv|vs|antw|r[ée]f)\s*(?:\[\d+\]|\(\d+\))?\s*:|\[[^\]]*\])\s*/i;
+const V15_MESSAGE_ID = /<([^<>\s]+)>/g;
+const V15_SUBJECT_WINDOW_MS = 30 * 86400000;
+
+/**
+ * Extract Message-IDs from a header value (version 15)
+ * @param {string|Array<string>|undefined} value - Message-ID, In-Reply-To or References value(s)
+ * @returns {Array<string>} - Ids without angle brackets, in order
+ */
+function v15ParseMessageIds(value) {
+  if (!value) {
+    return [];
+  }
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  const ids = [...text.matchAll(V15_MESSAGE_ID)].map(match => match[1]);
+
+  // Some clients omit the brackets on a lone id
+  if (ids.length === 0 && /^[^\s<>]+@[^\s<>]+$/.test(text.trim())) {
+    return [text.trim()];
+  }
+  return ids;
+}
+
+/**
+ * Compute an email's threading columns from its stored headers and subject (version 15)
+ * @param {Object} row - { subject, headers }
+ * @returns {{messageId: string|null, references: Array<string>, base: string, isReply: boolean}}
+ */
+function v15ThreadColumns(row) {
+  let headers = {};
+  try {
+    headers = row.headers ? JSON.parse(row.headers) : {};
+  } catch (error) {
+    // Unreadable headers thread like a message without any
+  }
+
+  const [messageId = null] = v15ParseMessageIds(headers['message-id']);
+  const references = v15ParseMessageIds(headers.references);
+  const [inReplyTo] = v15ParseMessageIds(headers['in-reply-to']);
+  if (inReplyTo && references[references.length - 1] !== inReplyTo) {
+    references.push(inReplyTo);
+  }
+
+  // A message can't reference itself; drop loops and repeats
+  const seen = new Set([messageId]);
+  const uniqueReferences = references.filter(id => !seen.has(id) && seen.add(id));
+
+  let base = String(row.subject || '');
+  let isReply = false;
+  for (let match = base.match(V15_REPLY_PREFIX); match; match = base.match(V15_REPLY_PREFIX)) {
+    isReply = isReply || !match[0].trim().startsWith('[');
+    base = base.slice(match[0].length);
+  }
+
+  return {
+    messageId,
+    references: uniqueReferences,
+    base: base.replace(/\s+/g, ' ').trim().toLowerCase(),
+    isReply,
+  };
+}
+
+/**
+ * Thread stored emails, oldest first (version 15)
+ * Each email joins the thread of the nearest message it references, else of a reply
+ * referencing it, else (replies only) of the latest email with its base subject in the
+ * previous 30 days; otherwise it starts a thread named after its References root.
+ * Only emails threaded before it are considered, so lookups use in-memory maps.
+ * @param {Array<Object>} rows - { id, thread_id, subject, received_at, headers }, oldest first
+ * @returns {Array<Object>} - { id, thread_id, message_id, reference_ids, base_subject } per row
+ */
+function v15ThreadEmails(rows) {
+  const threadByMessageId = new Map();
+  const threadByReference = new Map();
+  const latestBySubject = new Map();
+
+  return rows.map(row => {
+    const { messageId, references, base, isReply } = v15ThreadColumns(row);
+
+    let threadId = row.thread_id;
+    for (let i = references.length - 1; i >= 0 && !threadId; i--) {
+      threadId = threadByMessageId.get(references[i]);
+    }
+    if (!threadId && messageId) {
+      threadId = threadByReference.get(messageId);
+    }
+    if (!threadId && isReply && base) {
+      const receivedAt = Date.parse(row.received_at);
+      const since = new Date((Number.isNaN(receivedAt) ? Date.now() : receivedAt) - V15_SUBJECT_WINDOW_MS).toISOString();
+      const latest = latestBySubject.get(base);
+      if (latest && latest.received_at >= since) {
+        threadId = latest.thread_id;
+      }
+    }
+    if (!threadId) {
+      const rootId = references[0] || messageId || row.id;
+      threadId = `t-${createHash('sha256').update(rootId).digest('hex').slice(0, 16)}`;
+    }
+
+    if (messageId && !threadByMessageId.has(messageId)) {
+      threadByMessageId.set(messageId, threadId);
+    }
+    for (const reference of references) {
+      if (!threadByReference.has(reference)) {
+        threadByReference.set(reference, threadId);
+      }
+    }
+    const latest = latestBySubject.get(base);
+    if (!latest || row.received_at >= latest.received_at) {
+      latestBySubject.set(base, { thread_id: threadId, received_at: row.received_at });
+    }
+
+    return {
+      id: row.id,
+      thread_id: threadId,
+      message_id: messageId,
+      reference_ids: JSON.stringify(references),
+      base_subject: base,
+    };
+  });
+}
+
+/**
+ * Ordered list of migrations. Never edit or reorder a released migration;
+ * append a new one instead. `up` may return a short note describing data
+ * changes, which is logged and included in dry-run reports.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'text-ids',
+    description: 'Convert legacy INTEGER email ids to TEXT and add thread_id',
+    up(db) {
+      if (!tableExists(db, 'emails')) {
+        return;
+      }
+
+      const tableInfo = db.prepare('PRAGMA table_info(emails)').all();
+      const idColumn = tableInfo.find(col => col.name === 'id');
+      const hasThreadId = tableInfo.some(col => col.name === 'thread_id');
+
+      if (!idColumn || idColumn.type !== 'INTEGER' || hasThreadId) {
+        return;
+      }
+
+      const oldCount = db.prepare('SELECT COUNT(*) as count FROM emails').get().count;
+
+      db.exec(`
+        CREATE TABLE emails_new (
+          id TEXT PRIMARY KEY NOT NULL,
+          thread_id TEXT NOT NULL,
+          received_at TEXT NOT NULL,
+          downloaded_at TEXT NOT NULL,
+          from_address TEXT NOT NULL,
+          to_address TEXT NOT NULL,
+          cc_address TEXT,
+          subject TEXT NOT NULL,
+          labels TEXT NOT NULL,
+          body TEXT NOT NULL
+        );
+
+        -- Convert integer id to text, add empty thread_id
+        INSERT INTO emails_new
+        SELECT
+          CAST(id AS TEXT) as id,
+          '' as thread_id,
+          received_at,
+          downloaded_at,
+          from_address,
+          to_address,
+          cc_address,
+          subject,
+          labels,
+          body
+        FROM emails;
+      `);
+
+      const newCount = db.prepare('SELECT COUNT(*) as count FROM emails_new').get().count;
+      if (oldCount !== newCount) {
+        throw new Error(`Row count mismatch: old count (${oldCount}) != new count (${newCount})`);
+      }
+
+      db.exec(`
+        DROP TABLE emails;
+        ALTER TABLE emails_new RENAME TO emails;
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'emails-table',
+    description: 'Create the emails table and its base indexes',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS emails (
+          id TEXT PRIMARY KEY NOT NULL,
+          thread_id TEXT NOT NULL,
+          received_at TEXT NOT NULL,
+          downloaded_at TEXT NOT NULL,
+          from_address TEXT NOT NULL,
+          to_address TEXT NOT NULL,
+          cc_address TEXT,
+          subject TEXT NOT NULL,
+          labels TEXT NOT NULL,
+          body TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_downloaded_at ON emails(downloaded_at);
+        CREATE INDEX IF NOT EXISTS idx_from_address ON emails(from_address);
+        CREATE INDEX IF NOT EXISTS idx_thread_id ON emails(thread_id);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'emails-folder',
+    description: 'Add emails.folder for multi-folder monitoring',
+    up(db) {
+      addColumnIfMissing(db, 'emails', 'folder', "TEXT NOT NULL DEFAULT ''");
+      db.exec('CREATE INDEX IF NOT EXISTS idx_folder ON emails(folder)');
+    }
+  },
+  {
+    version: 4,
+    name: 'attachments',
+    description: 'Create the attachments metadata table',
+    up(db) {
+      // Bytes live in the content-addressed attachments/ directory
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS attachments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email_id TEXT NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+          filename TEXT,
+          content_type TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          checksum TEXT NOT NULL,
+          content_id TEXT,
+          content_stored INTEGER NOT NULL DEFAULT 1
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_attachments_email_id ON attachments(email_id);
+        CREATE INDEX IF NOT EXISTS idx_attachments_checksum ON attachments(checksum);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'emails-bodies-headers',
+    description: 'Add emails.body_text, emails.body_html and emails.headers',
+    up(db) {
+      addColumnIfMissing(db, 'emails', 'body_text', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'body_html', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'headers', 'TEXT');
+    }
+  },
+  {
+    version: 6,
+    name: 'search-index',
+    description: 'Create the FTS5 search index and its sync triggers',
+    up(db) {
+      // Standalone FTS5 table keyed by email_id (emails has a TEXT primary key,
+      // so its implicit rowid isn't stable enough for external content)
+      const indexExists = tableExists(db, 'emails_fts');
+
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS emails_fts USING fts5(
+          email_id UNINDEXED,
+          subject,
+          from_address,
+          recipients,
+          body,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS emails_fts_insert AFTER INSERT ON emails BEGIN
+          INSERT INTO emails_fts (email_id, subject, from_address, recipients, body)
+          VALUES (
+            new.id, new.subject, new.from_address,
+            new.to_address || ' ' || COALESCE(new.cc_address, ''),
+            COALESCE(new.body_text, new.body)
+          );
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS emails_fts_delete AFTER DELETE ON emails BEGIN
+          DELETE FROM emails_fts WHERE email_id = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS emails_fts_update AFTER UPDATE ON emails BEGIN
+          DELETE FROM emails_fts WHERE email_id = old.id;
+          INSERT INTO emails_fts (email_id, subject, from_address, recipients, body)
+          VALUES (
+            new.id, new.subject, new.from_address,
+            new.to_address || ' ' || COALESCE(new.cc_address, ''),
+            COALESCE(new.body_text, new.body)
+          );
+        END;
+      `);
+
+      if (!indexExists) {
+        db.exec(`
+          INSERT INTO emails_fts (email_id, subject, from_address, recipients, body)
+          SELECT
+            id, subject, from_address,
+            to_address || ' ' || COALESCE(cc_address, ''),
+            COALESCE(body_text, body)
+          FROM emails
+        `);
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'emails-paging-index',
+    description: 'Index (downloaded_at, id) for cursor pagination',
+    up(db) {
+      db.exec('CREATE INDEX IF NOT EXISTS idx_downloaded_at_id ON emails(downloaded_at, id)');
+    }
+  },
+  {
+    version: 8,
+    name: 'emails-provenance',
+    description: 'Add emails.source, emails.broadcasted_at and emails.ingestion_id',
+    up(db) {
+      // Existing rows keep NULL: their origin wasn't recorded
+      addColumnIfMissing(db, 'emails', 'source', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'broadcasted_at', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'ingestion_id', 'TEXT');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_ingestion_id ON emails(ingestion_id)');
+    }
+  },
+  {
+    version: 9,
+    name: 'utc-timestamps',
+    description: 'Rewrite stored timestamps as UTC ISO 8601 (offset-less values read in DEFAULT_TIMEZONE)',
+    up(db) {
+      const timeZone = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const rows = db.prepare('SELECT id, received_at, downloaded_at, broadcasted_at FROM emails').all();
+      const update = db.prepare(`
+        UPDATE emails SET received_at = ?, downloaded_at = ?, broadcasted_at = ? WHERE id = ?
+      `);
+
+      let repaired = 0;
+      let unparseable = 0;
+      for (const row of rows) {
+        const fixed = {};
+        let changed = false;
+        for (const field of ['received_at', 'downloaded_at', 'broadcasted_at']) {
+          const value = row[field];
+          fixed[field] = value;
+          if (value === null || value === '' || V9_CANONICAL_TIMESTAMP.test(value)) {
+            continue;
+          }
+          const normalized = v9NormalizeTimestamp(value, timeZone);
+          if (normalized) {
+            fixed[field] = normalized;
+            changed = true;
+          } else {
+            unparseable++;
+          }
+        }
+        if (changed) {
+          update.run(fixed.received_at, fixed.downloaded_at, fixed.broadcasted_at || null, row.id);
+          repaired++;
+        }
+      }
+
+      if (unparseable > 0) {
+        logger.warn('Stored timestamps could not be parsed and were left unchanged', { count: unparseable });
+      }
+      return `${repaired} emails with timestamps rewritten (timezone ${timeZone})`;
+    }
+  },
+  {
+    version: 10,
+    name: 'label-tables',
+    description: 'Create labels and email_labels, store emails.labels as JSON arrays, and backfill',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS labels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE
+        );
+
+        CREATE TABLE IF NOT EXISTS email_labels (
+          email_id TEXT NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+          label_id INTEGER NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+          PRIMARY KEY (email_id, label_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_email_labels_label_id ON email_labels(label_id);
+      `);
+
+      const rows = db.prepare('SELECT id, labels FROM emails').all();
+      const updateLabels = db.prepare('UPDATE emails SET labels = ? WHERE id = ?');
+      const insertLabel = db.prepare('INSERT OR IGNORE INTO labels (name) VALUES (?)');
+      const linkLabel = db.prepare(`
+        INSERT OR IGNORE INTO email_labels (email_id, label_id)
+        SELECT ?, id FROM labels WHERE name = ?
+      `);
+
+      let links = 0;
+      for (const row of rows) {
+        // Unreadable values become an empty list rather than blocking the upgrade
+        const names = v10NormalizeLabels(row.labels) || [];
+        const serialized = JSON.stringify(names);
+        if (serialized !== row.labels) {
+          updateLabels.run(serialized, row.id);
+        }
+        for (const name of names) {
+          insertLabel.run(name);
+          links += linkLabel.run(row.id, name).changes;
+        }
+      }
+
+      return `${links} email labels linked across ${rows.length} emails`;
+    }
+  },
+  {
+    version: 11,
+    name: 'email-actions',
+    description: 'Create the email_actions audit table',
+    up(db) {
+      // No foreign key: the audit trail outlives the email rows it refers to
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS email_actions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          params TEXT,
+          status TEXT NOT NULL,
+          error TEXT,
+          correlation_id TEXT,
+          requested_at TEXT NOT NULL,
+          completed_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_email_actions_email_id ON email_actions(email_id);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'email-reminders',
+    description: 'Create the email_reminders table (one Apple Reminder per email)',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS email_reminders (
+          email_id TEXT PRIMARY KEY,
+          reminder_id TEXT NOT NULL,
+          list TEXT NOT NULL,
+          title TEXT NOT NULL,
+          due_at TEXT,
+          priority INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'event-deliveries',
+    description: 'Create the event_deliveries outbox for subscriber events',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS event_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_id TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          email_id TEXT,
+          subscriber TEXT NOT NULL,
+          url TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          last_error TEXT,
+          last_status_code INTEGER,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          delivered_at TEXT,
+          UNIQUE(event_id, subscriber)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_event_deliveries_due ON event_deliveries(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_event_deliveries_email_id ON event_deliveries(email_id);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'email-events',
+    description: 'Create the email_events sequence (one row per stored email) for GET /events',
+    up(db) {
+      // AUTOINCREMENT keeps sequence numbers strictly increasing, so clients can resume after any id.
+      // The trigger covers both ingestion paths, including the other process writing the database.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS email_events (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          email_id TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TRIGGER IF NOT EXISTS emails_event_insert AFTER INSERT ON emails BEGIN
+          INSERT INTO email_events (email_id, created_at)
+          VALUES (new.id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+        END;
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'email-threading',
+    description: 'Add message_id, reference_ids and base_subject to emails, and thread emails without a thread_id',
+    up(db) {
+      addColumnIfMissing(db, 'emails', 'message_id', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'reference_ids', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'base_subject', 'TEXT');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_message_id ON emails(message_id);
+        CREATE INDEX IF NOT EXISTS idx_base_subject ON emails(base_subject, received_at);
+      `);
+
+      // Oldest first, so each email can join threads assigned to the ones before it
+      const rows = db.prepare(`
+        SELECT id, thread_id, subject, received_at, headers FROM emails ORDER BY received_at, id
+      `).all();
+      const update = db.prepare(`
+        UPDATE emails SET thread_id = ?, message_id = ?, reference_ids = ?, base_subject = ? WHERE id = ?
+      `);
+
+      const threads = v15ThreadEmails(rows);
+      for (const thread of threads) {
+        update.run(thread.thread_id, thread.message_id, thread.reference_ids, thread.base_subject, thread.id);
+      }
+
+      const threaded = rows.filter(row => !row.thread_id).length;
+      return `${threaded} of ${rows.length} emails assigned a thread`;
+    }
+  },
+  {
+    version: 16,
+    name: 'email-flags',
+    description: 'Add flags, is_read, deleted_at and uid to emails for flag and expunge sync',
+    up(db) {
+      // flags stays NULL and uid unknown until the monitor's first change sync of the folder
+      addColumnIfMissing(db, 'emails', 'flags', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'is_read', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'emails', 'deleted_at', 'TEXT');
+      addColumnIfMissing(db, 'emails', 'uid', 'INTEGER');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_folder_uid ON emails(folder, uid);
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'email-accounts',
+    description: 'Add account to emails for multi-account monitoring',
+    up(db) {
+      // Existing rows stay NULL until the monitor or webhook server assigns them to the primary account
+      addColumnIfMissing(db, 'emails', 'account', 'TEXT');
+      db.exec(`
+        DROP INDEX IF EXISTS idx_folder_uid;
+        CREATE INDEX IF NOT EXISTS idx_account_folder_uid ON emails(account, folder, uid);
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'search-index-update-columns',
+    description: 'Re-index an email only when an indexed column changes',
+    up(db) {
+      // The version 6 trigger rewrote the index row (scanning emails_fts for the UNINDEXED
+      // email_id) on every update, including flag, label and thread changes. The index stays
+      // keyed by email_id: emails has no INTEGER PRIMARY KEY, so VACUUM (and the VACUUM INTO
+      // backups) may renumber its rowids.
+      db.exec(`
+        DROP TRIGGER IF EXISTS emails_fts_update;
+
+        CREATE TRIGGER emails_fts_update
+        AFTER UPDATE OF id, subject, from_address, to_address, cc_address, body, body_text ON emails BEGIN
+          DELETE FROM emails_fts WHERE email_id = old.id;
+          INSERT INTO emails_fts (email_id, subject, from_address, recipients, body)
+          VALUES (
+            new.id, new.subject, new.from_address,
+            new.to_address || ' ' || COALESCE(new.cc_address, ''),
+            COALESCE(new.body_text, new.body)
+          );
+        END;
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'email-references',
+    description: 'Index the Message-IDs each email references in email_references',
+    up(db) {
+      // Lets threading find the replies to a message through an index instead of scanning
+      // every reference_ids array. The triggers cover both ingestion paths.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS email_references (
+          message_id TEXT NOT NULL,
+          email_id TEXT NOT NULL,
+          PRIMARY KEY (message_id, email_id)
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_email_references_email_id ON email_references(email_id);
+
+        CREATE TRIGGER IF NOT EXISTS emails_references_insert AFTER INSERT ON emails
+        WHEN json_valid(new.reference_ids) BEGIN
+          INSERT OR IGNORE INTO email_references (message_id, email_id)
+          SELECT value, new.id FROM json_each(new.reference_ids);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS emails_references_update AFTER UPDATE OF id, reference_ids ON emails BEGIN
+          DELETE FROM email_references WHERE email_id = old.id;
+          INSERT OR IGNORE INTO email_references (message_id, email_id)
+          SELECT value, new.id FROM json_each(CASE WHEN json_valid(new.reference_ids) THEN new.reference_ids ELSE '[]' END);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS emails_references_delete AFTER DELETE ON emails BEGIN
+          DELETE FROM email_references WHERE email_id = old.id;
+        END;
+      `);
+
+      const result = db.prepare(`
+        INSERT OR IGNORE INTO email_references (message_id, email_id)
+        SELECT r.value, e.id FROM emails e, json_each(e.reference_ids) r
+        WHERE json_valid(e.reference_ids)
+      `).run();
+      return `${result.changes} references indexed`;
+    }
+  }
+];
+
+/**
+ * Latest schema version known to this build
+ */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get current schema version
+ * @param {Database} db - Database instance
+ * @returns {number} - Value of PRAGMA user_version
+ */
+export function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Get migrations that haven't been applied yet
+ * @param {Database} db - Database instance
+ * @returns {Array<Object>} - Pending migrations in order
+ */
+export function getPendingMigrations(db) {
+  const version = getSchemaVersion(db);
+  return MIGRATIONS.filter(migration => migration.version > version);
+}
+
+/**
+ * Snapshot schema objects and table row counts, used to describe dry-run changes
+ * @param {Database} db - Database instance
+ * @returns {Map<string, {sql: string, rows: number|null}>} - Keyed by "type name"
+ */
+function snapshotSchema(db) {
+  const objects = db.prepare(`
+    SELECT type, name, sql FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND sql IS NOT NULL
+  `).all();
+
+  // FTS5 shadow tables are implementation details of their virtual table
+  const shadowTables = new Set(
+    db.pragma('table_list').filter(table => table.type === 'shadow').map(table => table.name)
+  );
+
+  const snapshot = new Map();
+  for (const { type, name, sql } of objects) {
+    if (shadowTables.has(name)) {
+      continue;
+    }
+    const rows = type === 'table'
+      ? db.prepare(`SELECT COUNT(*) as count FROM "${name}"`).get().count
+      : null;
+    snapshot.set(`${type} ${name}`, { sql, rows });
+  }
+  return snapshot;
+}
+
+/**
+ * Describe differences between two schema snapshots
+ * @param {Map} before - Snapshot taken before the migration
+ * @param {Map} after - Snapshot taken after the migration
+ * @returns {Array<string>} - Human readable change list
+ */
+function diffSchema(before, after) {
+  const changes = [];
+
+  for (const [key, entry] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      changes.push(`create ${key}`);
+    } else if (previous.sql !== entry.sql) {
+      changes.push(`alter ${key}`);
+    }
+    if (previous && entry.rows !== null && previous.rows !== entry.rows) {
+      changes.push(`${key}: ${previous.rows} -> ${entry.rows} rows`);
+    } else if (!previous && entry.rows) {
+      changes.push(`${key}: ${entry.rows} rows`);
+    }
+  }
+
+  for (const key of before.keys()) {
+    if (!after.has(key)) {
+      changes.push(`drop ${key}`);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Copy the database to a timestamped file next to it before migrating
+ * @param {Database} db - Database instance
+ * @param {number} version - Schema version being backed up
+ * @returns {string|null} - Backup path, or null for in-memory/empty databases
+ */
+function backupDatabase(db, version) {
+  if (db.memory || !tableExists(db, 'emails')) {
+    return null;
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${db.name}.v${version}-${timestamp}.bak`;
+
+  if (existsSync(backupPath)) {
+    throw new Error(`Backup file already exists: ${backupPath}`);
+  }
+
+  // VACUUM INTO produces a consistent, compacted copy (WAL contents included)
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+/**
+ * Apply pending migrations in order
+ * In dry-run mode each pending migration is run inside a savepoint that is
+ * rolled back, and the resulting schema/row-count changes are reported instead.
+ * @param {Database} db - Database instance
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report changes without applying them
+ * @returns {{from: number, to: number, backupPath: string|null, applied: Array<Object>}}
+ */
+export function runMigrations(db, { dryRun = false } = {}) {
+  const from = getSchemaVersion(db);
+  const pending = getPendingMigrations(db);
+
+  if (from > LATEST_VERSION) {
+    throw new Error(`Database schema version ${from} is newer than supported version ${LATEST_VERSION}`);
+  }
+
+  const result = { from, to: from, backupPath: null, applied: [] };
+  if (pending.length === 0) {
+    return result;
+  }
+
+  if (dryRun) {
+    let current = null;
+    db.exec('SAVEPOINT dry_run');
+    try {
+      for (const migration of pending) {
+        current = migration;
+        const before = snapshotSchema(db);
+        const note = migration.up(db);
+        result.applied.push({
+          version: migration.version,
+          name: migration.name,
+          description: migration.description,
+          changes: [...diffSchema(before, snapshotSchema(db)), ...(note ? [note] : [])]
+        });
+        result.to = migration.version;
+      }
+    } catch (error) {
+      throw new Error(`Migration ${current.version} (${current.name}) dry run failed: ${error.message}`);
+    } finally {
+      db.exec('ROLLBACK TO dry_run');
+      db.exec('RELEASE dry_run');
+    }
+    return result;
+  }
+
+  result.backupPath = backupDatabase(db, from);
+  if (result.backupPath) {
+    logger.info('Database backed up before migrating', { version: from, path: result.backupPath });
+  }
+
+  for (const migration of pending) {
+    const startTime = Date.now();
+    let note;
+    try {
+      note = db.transaction(() => {
+        const migrationNote = migration.up(db);
+        db.pragma(`user_version = ${migration.version}`);
+        return migrationNote;
+      })();
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info('Migration applied', {
+      version: migration.version,
+      name: migration.name,
+      durationMs: duration,
+      ...(note ? { note } : {})
+    });
+    result.applied.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description
+    });
+    result.to = migration.version;
+  }
+
+  return result;
+}
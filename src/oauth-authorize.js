@@ -0,0 +1,116 @@
+/**
+ * OAuth authorization CLI
+ * One-time consent for an account's XOAUTH2 sign-in: prints the provider's consent URL,
+ * receives the redirect on a loopback address, exchanges the code (with PKCE) and stores
+ * the refresh token in the tokens file (see oauth.js).
+ * Usage: node src/oauth-authorize.js [account] [--port n]
+ * Defaults to the primary account and a free port; the OAuth client must accept
+ * http://127.0.0.1 redirects (a "Desktop app" client on Google Cloud).
+ */
+
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { config } from './config.js';
+import {
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeAuthorizationCode,
+  storeRefreshToken,
+  getTokensPath,
+} from './oauth.js';
+
+// How long to wait for the browser to come back
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+};
+
+const port = Number(option('--port') ?? 0);
+const [accountName = config.accounts[0].name] = args.filter(arg => !arg.startsWith('--'));
+
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+  console.error('--port must be a port number');
+  process.exit(1);
+}
+
+const account = config.accounts.find(entry => entry.name === accountName);
+if (!account) {
+  console.error(`Account not configured: ${accountName}`);
+  process.exit(1);
+}
+if (!account.gmail.oauth) {
+  console.error(`Account "${accountName}" has no OAuth settings (GMAIL_OAUTH_CLIENT_ID or "oauth" in the accounts file)`);
+  process.exit(1);
+}
+
+const state = randomBytes(16).toString('hex');
+const { verifier, challenge } = createPkcePair();
+let redirectUri = null;
+let timeout = null;
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, redirectUri);
+  if (url.pathname !== '/') {
+    res.writeHead(404).end();
+    return;
+  }
+
+  const reply = (statusCode, message) => {
+    // Connection: close so the browser's keep-alive doesn't hold the server open
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8', 'Connection': 'close' });
+    res.end(`${message}\n`);
+  };
+
+  if (url.searchParams.get('state') !== state) {
+    reply(400, 'Unexpected authorization response (state mismatch).');
+    return;
+  }
+
+  try {
+    const error = url.searchParams.get('error');
+    if (error) {
+      throw new Error(`Authorization denied: ${error}`);
+    }
+
+    const tokens = await exchangeAuthorizationCode(account, {
+      code: url.searchParams.get('code'),
+      redirectUri,
+      codeVerifier: verifier,
+    });
+    storeRefreshToken(account.name, tokens.refresh_token, tokens.scope);
+
+    reply(200, `Account "${account.name}" authorized. You can close this window.`);
+    console.log(`Refresh token for "${account.name}" stored in ${getTokensPath()}`);
+  } catch (error) {
+    reply(500, error.message);
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    clearTimeout(timeout);
+    server.close();
+  }
+});
+
+server.listen(port, '127.0.0.1', () => {
+  redirectUri = `http://127.0.0.1:${server.address().port}/`;
+  const authorizationUrl = buildAuthorizationUrl(account, { redirectUri, state, codeChallenge: challenge });
+
+  console.log(`Authorizing account "${account.name}" (${account.gmail.user}).`);
+  console.log('Open this URL in a browser and grant access:\n');
+  console.log(`  ${authorizationUrl}\n`);
+  console.log(`Waiting for the redirect to ${redirectUri} ...`);
+
+  timeout = setTimeout(() => {
+    console.error('Timed out waiting for authorization');
+    process.exitCode = 1;
+    server.close();
+  }, TIMEOUT_MS);
+});
+
+server.on('error', error => {
+  console.error(`Callback server failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,349 @@
+/**
+ * OAuth2 (XOAUTH2) sign-in for IMAP
+ * Accounts with OAuth client credentials sign in with short-lived access tokens instead of
+ * an app password. Access tokens come from the account's refresh token (stored by
+ * `npm run oauth:authorize`, or set in the configuration), are cached in memory and are
+ * refreshed shortly before they expire.
+ *
+ * App passwords remain the fallback: an account that also has one signs in with it while
+ * it has no refresh token or when the token endpoint can't issue an access token.
+ *
+ * Refresh tokens are stored in the tokens file (OAUTH_TOKENS_PATH, default
+ * ./data/oauth-tokens.json, readable by the owner only):
+ * {
+ *   "accounts": {
+ *     "personal": { "refresh_token": "...", "scope": "https://mail.google.com/", "authorized_at": "..." }
+ *   }
+ * }
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { logger } from './logger.js';
+
+// Google endpoints; other providers are configured per account or with OAUTH_AUTH_URL/OAUTH_TOKEN_URL
+const AUTH_URL = process.env.OAUTH_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth';
+const TOKEN_URL = process.env.OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+
+/**
+ * Scope granting IMAP access to Gmail
+ */
+export const GMAIL_SCOPE = 'https://mail.google.com/';
+
+// Access tokens are refreshed when they have less than this left
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const TOKEN_TIMEOUT_MS = 10000;
+
+// Cached access tokens by account name: { accessToken, expiresAt }
+const accessTokens = new Map();
+// In-flight refreshes by account name, shared by the folder connections of an account
+const pendingRefreshes = new Map();
+
+/**
+ * Path of the tokens file
+ * @returns {string}
+ */
+export function getTokensPath() {
+  return process.env.OAUTH_TOKENS_PATH || './data/oauth-tokens.json';
+}
+
+/**
+ * Read the tokens file
+ * @private
+ * @param {string} tokensPath
+ * @returns {Object} - { accounts: { [name]: { refresh_token, scope, authorized_at } } }
+ */
+function readTokens(tokensPath) {
+  if (!existsSync(tokensPath)) {
+    return { accounts: {} };
+  }
+
+  try {
+    const tokens = JSON.parse(readFileSync(tokensPath, 'utf8'));
+    return { ...tokens, accounts: tokens.accounts || {} };
+  } catch (error) {
+    throw new Error(`OAuth tokens read failed: ${error.message}`);
+  }
+}
+
+/**
+ * Stored refresh token of an account
+ * @param {string} accountName
+ * @param {string} [tokensPath] - Tokens file path (default: getTokensPath())
+ * @returns {string|null}
+ */
+export function readRefreshToken(accountName, tokensPath = getTokensPath()) {
+  return readTokens(tokensPath).accounts[accountName]?.refresh_token || null;
+}
+
+/**
+ * Store an account's refresh token (temp file + rename, owner-only permissions)
+ * @param {string} accountName
+ * @param {string} refreshToken
+ * @param {string} [scope] - Granted scope
+ * @param {string} [tokensPath] - Tokens file path (default: getTokensPath())
+ */
+export function storeRefreshToken(accountName, refreshToken, scope, tokensPath = getTokensPath()) {
+  const tokens = readTokens(tokensPath);
+  tokens.accounts[accountName] = {
+    refresh_token: refreshToken,
+    scope: scope || null,
+    authorized_at: new Date().toISOString(),
+  };
+
+  const tempPath = `${tokensPath}.tmp`;
+  try {
+    mkdirSync(dirname(tokensPath), { recursive: true });
+    writeFileSync(tempPath, JSON.stringify(tokens, null, 2), { encoding: 'utf8', mode: 0o600 });
+    renameSync(tempPath, tokensPath);
+  } catch (error) {
+    try {
+      if (existsSync(tempPath)) {
+        unlinkSync(tempPath);
+      }
+    } catch (cleanupError) {
+      // A leftover temp file is overwritten by the next write; report the write failure instead
+    }
+    throw new Error(`OAuth tokens write failed: ${error.message}`);
+  }
+
+  // A new grant invalidates whatever was cached for the old one
+  accessTokens.delete(accountName);
+}
+
+/**
+ * Refresh token of an account: the configured one, else the stored one
+ * @param {Object} account - Account configuration (an entry of config.accounts)
+ * @returns {string|null}
+ */
+export function getRefreshToken(account) {
+  const oauth = account.gmail.oauth;
+  if (!oauth) {
+    return null;
+  }
+  return oauth.refreshToken || readRefreshToken(account.name);
+}
+
+/**
+ * POST a request to an account's token endpoint
+ * @private
+ * @param {Object} oauth - OAuth settings of the account ({ clientId, clientSecret, tokenUrl })
+ * @param {Object} params - Grant parameters
+ * @returns {Promise<Object>} - Token response
+ * @throws {Error} with `code` set to the OAuth error (e.g. invalid_grant) when the endpoint refuses
+ */
+async function requestToken(oauth, params) {
+  const body = new URLSearchParams({ client_id: oauth.clientId, ...params });
+  if (oauth.clientSecret) {
+    body.set('client_secret', oauth.clientSecret);
+  }
+
+  const response = await fetch(oauth.tokenUrl || TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+    body,
+    signal: AbortSignal.timeout(TOKEN_TIMEOUT_MS),
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (error) {
+    // Reported below by status
+  }
+
+  if (!response.ok || !data.access_token) {
+    const reason = data.error
+      ? `${data.error}${data.error_description ? ` (${data.error_description})` : ''}`
+      : `HTTP ${response.status}`;
+    const error = new Error(reason);
+    error.code = data.error || null;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Access token of an account, refreshed when missing or about to expire
+ * @param {Object} account - Account configuration (an entry of config.accounts)
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Ignore the cached token (e.g. after the server rejected it)
+ * @returns {Promise<string>}
+ * @throws {Error} if the account has no refresh token or the refresh fails
+ */
+export async function getAccessToken(account, { forceRefresh = false } = {}) {
+  const cached = accessTokens.get(account.name);
+  if (!forceRefresh && cached && cached.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+    return cached.accessToken;
+  }
+
+  if (!pendingRefreshes.has(account.name)) {
+    pendingRefreshes.set(account.name, refreshAccessToken(account).finally(() => {
+      pendingRefreshes.delete(account.name);
+    }));
+  }
+  return pendingRefreshes.get(account.name);
+}
+
+/**
+ * Obtain a new access token with the account's refresh token
+ * @private
+ * @param {Object} account - Account configuration
+ * @returns {Promise<string>}
+ */
+async function refreshAccessToken(account) {
+  const refreshToken = getRefreshToken(account);
+  if (!refreshToken) {
+    throw new Error(`No OAuth refresh token for account "${account.name}"; run npm run oauth:authorize -- ${account.name}`);
+  }
+
+  accessTokens.delete(account.name);
+  let data;
+  try {
+    data = await requestToken(account.gmail.oauth, { grant_type: 'refresh_token', refresh_token: refreshToken });
+  } catch (error) {
+    const wrapped = new Error(`Token refresh failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+
+  // Without expires_in, assume Google's one hour
+  const expiresAt = Date.now() + (Number(data.expires_in) || 3600) * 1000;
+  accessTokens.set(account.name, { accessToken: data.access_token, expiresAt });
+
+  // Some providers rotate refresh tokens; keep the new one unless it's configured explicitly
+  if (data.refresh_token && data.refresh_token !== refreshToken && !account.gmail.oauth.refreshToken) {
+    storeRefreshToken(account.name, data.refresh_token, data.scope);
+  }
+
+  logger.info('OAuth access token refreshed', {
+    account: account.name,
+    expiresAt: new Date(expiresAt).toISOString(),
+  });
+  return data.access_token;
+}
+
+/**
+ * SASL XOAUTH2 initial response
+ * @param {string} user - Email address
+ * @param {string} accessToken
+ * @returns {string} - Base64 string for node-imap's `xoauth2` option
+ */
+export function buildXoauth2Token(user, accessToken) {
+  return Buffer.from(`user=${user}\x01auth=Bearer ${accessToken}\x01\x01`, 'utf8').toString('base64');
+}
+
+/**
+ * Credentials an account signs in with
+ * XOAUTH2 when the account has OAuth settings and a refresh token; the app password
+ * otherwise, or when no access token can be obtained and the account has one.
+ * @param {Object} account - Account configuration (an entry of config.accounts)
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Refresh the access token even if cached
+ * @returns {Promise<{method: string, credentials: Object}>} - method 'xoauth2' or 'password';
+ *   credentials are node-imap options ({ xoauth2 } or { password })
+ * @throws {Error} if the account has no usable credentials
+ */
+export async function getImapAuth(account, { forceRefresh = false } = {}) {
+  const { user, password, oauth } = account.gmail;
+  const passwordAuth = { method: 'password', credentials: { password } };
+
+  if (!oauth) {
+    return passwordAuth;
+  }
+
+  if (password && !getRefreshToken(account)) {
+    logger.warn('No OAuth refresh token, signing in with the app password', { account: account.name });
+    return passwordAuth;
+  }
+
+  try {
+    const accessToken = await getAccessToken(account, { forceRefresh });
+    return { method: 'xoauth2', credentials: { xoauth2: buildXoauth2Token(user, accessToken) } };
+  } catch (error) {
+    if (!password) {
+      throw error;
+    }
+    logger.warn('OAuth sign-in unavailable, signing in with the app password', {
+      account: account.name,
+      error: error.message,
+    });
+    return passwordAuth;
+  }
+}
+
+/**
+ * Check whether an IMAP error is a rejected sign-in
+ * @param {Error} error - node-imap error
+ * @returns {boolean}
+ */
+export function isAuthenticationError(error) {
+  return error?.source === 'authentication';
+}
+
+/**
+ * PKCE verifier and S256 challenge for an authorization request
+ * @returns {{verifier: string, challenge: string}}
+ */
+export function createPkcePair() {
+  const verifier = randomBytes(32).toString('base64url');
+  const challenge = createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * URL of the provider's consent page
+ * Asks for offline access with a fresh consent prompt so a refresh token is issued.
+ * @param {Object} account - Account configuration with OAuth settings
+ * @param {Object} request
+ * @param {string} request.redirectUri - Loopback address receiving the code
+ * @param {string} request.state - Anti-forgery value echoed back in the redirect
+ * @param {string} request.codeChallenge - PKCE S256 challenge
+ * @returns {string}
+ */
+export function buildAuthorizationUrl(account, { redirectUri, state, codeChallenge }) {
+  const url = new URL(account.gmail.oauth.authUrl || AUTH_URL);
+  url.search = new URLSearchParams({
+    client_id: account.gmail.oauth.clientId,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    scope: GMAIL_SCOPE,
+    access_type: 'offline',
+    prompt: 'consent',
+    login_hint: account.gmail.user,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} account - Account configuration with OAuth settings
+ * @param {Object} grant
+ * @param {string} grant.code - Code from the redirect
+ * @param {string} grant.redirectUri - Same redirect URI as the authorization request
+ * @param {string} grant.codeVerifier - PKCE verifier
+ * @returns {Promise<Object>} - Token response (access_token, refresh_token, expires_in, scope)
+ * @throws {Error} if the exchange fails or no refresh token is issued
+ */
+export async function exchangeAuthorizationCode(account, { code, redirectUri, codeVerifier }) {
+  let data;
+  try {
+    data = await requestToken(account.gmail.oauth, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    });
+  } catch (error) {
+    throw new Error(`Authorization code exchange failed: ${error.message}`);
+  }
+
+  if (!data.refresh_token) {
+    throw new Error('Authorization code exchange failed: no refresh token issued');
+  }
+  return data;
+}
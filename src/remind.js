@@ -0,0 +1,55 @@
+/**
+ * Reminder CLI
+ * Creates an Apple Reminder for a stored email (at most one per email).
+ * Usage: node src/remind.js <emailId> [--list name] [--due timestamp|+2h] [--priority none|low|medium|high] [dbPath]
+ * Defaults to $DB_PATH or ./data/emails.db
+ */
+
+import { existsSync } from 'fs';
+import { initDatabase, getEmailById, closeDatabase } from './database.js';
+import { createEmailReminder } from './reminders.js';
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+};
+
+const list = option('--list');
+const due = option('--due');
+const priority = option('--priority');
+const [emailId, dbPath = process.env.DB_PATH || './data/emails.db'] = args.filter(arg => !arg.startsWith('--'));
+
+if (!emailId) {
+  console.error('Usage: node src/remind.js <emailId> [--list name] [--due timestamp|+2h] [--priority none|low|medium|high] [dbPath]');
+  process.exit(1);
+}
+if (!existsSync(dbPath)) {
+  console.error(`Database not found: ${dbPath}`);
+  process.exit(1);
+}
+
+const db = initDatabase(dbPath);
+
+try {
+  const email = getEmailById(db, emailId);
+  if (!email) {
+    throw new Error(`Email not found: ${emailId}`);
+  }
+
+  const { created, reminder } = await createEmailReminder(db, email, {
+    list,
+    due,
+    priority: /^\d$/.test(priority ?? '') ? Number(priority) : priority,
+  });
+
+  console.log(`${created ? 'Created' : 'Already reminded'}: ${reminder.title} (${reminder.list}) ${reminder.reminder_id}`);
+  if (reminder.due_at) {
+    console.log(`Due: ${reminder.due_at}`);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase(db);
+}
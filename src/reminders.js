@@ -0,0 +1,222 @@
+/**
+ * Apple Reminders for stored emails
+ * Creates one reminder per email (subject as title, Gmail link in the notes) and
+ * records its id in the email_reminders table so an email is never reminded twice.
+ *
+ * Reminders are created by running AppleScript through an executor:
+ *   async (script, args) => stdout
+ * The default executor runs `osascript` (macOS only); pass another one to run
+ * elsewhere, e.g. a fake that returns a made-up reminder id.
+ */
+
+import { execFile } from 'child_process';
+import { logger } from './logger.js';
+import { normalizeTimestamp } from './timestamps.js';
+import { getEmailReminder, recordEmailReminder } from './database.js';
+import { getAccountUser, stripNamespace } from './accounts.js';
+
+/**
+ * Default list, as in apple-reminders-add.sh
+ */
+export const DEFAULT_REMINDER_LIST = 'HCP Email';
+
+/**
+ * Priority names (and apple-reminders-add.sh's 0-3 scale) to Reminders' values
+ * Reminders uses 0 = none, 1 = high, 5 = medium, 9 = low.
+ */
+export const REMINDER_PRIORITIES = {
+  none: 0,
+  low: 9,
+  medium: 5,
+  high: 1,
+};
+const NUMERIC_PRIORITIES = ['none', 'low', 'medium', 'high'];
+
+// Reminders being created, by email id, so concurrent calls don't create two
+const inFlight = new Map();
+
+const RELATIVE_DUE = /^\+(\d+)([mhd])$/;
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000 };
+
+// Arguments: title, list, notes, priority, then due date fields (empty when no due date)
+const CREATE_REMINDER_SCRIPT = `
+on run {title, listName, notes, pri, dueYear, dueMonth, dueDay, dueSeconds}
+    tell application "Reminders"
+        if not (exists list listName) then
+            make new list with properties {name:listName}
+        end if
+        tell list listName
+            set r to make new reminder with properties {name:title, priority:(pri as integer)}
+            if notes is not "" then
+                set body of r to notes
+            end if
+            if dueYear is not "" then
+                set d to current date
+                set day of d to 1
+                set year of d to (dueYear as integer)
+                set month of d to (dueMonth as integer)
+                set day of d to (dueDay as integer)
+                set time of d to (dueSeconds as integer)
+                set due date of r to d
+            end if
+            return id of r
+        end tell
+    end tell
+end run
+`;
+
+/**
+ * Run AppleScript with osascript
+ * @param {string} script - AppleScript source (read from stdin)
+ * @param {Array<string>} args - Arguments passed to the script's run handler
+ * @returns {Promise<string>} - Script output
+ */
+export function osascriptExecutor(script, args) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('osascript', ['-', ...args], (error, stdout, stderr) => {
+      if (error) {
+        return reject(new Error(error.code === 'ENOENT'
+          ? 'osascript not available (Apple Reminders requires macOS)'
+          : stderr.trim() || error.message));
+      }
+      resolve(stdout);
+    });
+    child.stdin.end(script);
+  });
+}
+
+/**
+ * Gmail web link to an email's conversation
+ * @param {Object} email - Stored email row ({ id, thread_id, account })
+ * @param {string} [account] - Gmail address to open it in (default: the address of the email's account)
+ * @returns {string}
+ */
+export function buildGmailLink(email, account = getAccountUser(email.account)) {
+  const query = account ? `?authuser=${encodeURIComponent(account)}` : '';
+  return `https://mail.google.com/mail/u/0/${query}#all/${stripNamespace(email.thread_id || email.id)}`;
+}
+
+/**
+ * Map a priority to Reminders' value
+ * @param {string|number|undefined} priority - none|low|medium|high, or 0-3 as in apple-reminders-add.sh
+ * @returns {number|null} - 0, 1, 5 or 9; null if the priority is invalid
+ */
+export function mapPriority(priority) {
+  if (priority === undefined || priority === null) {
+    return REMINDER_PRIORITIES.none;
+  }
+  const name = typeof priority === 'number' ? NUMERIC_PRIORITIES[priority] : String(priority).toLowerCase();
+  return REMINDER_PRIORITIES[name] ?? null;
+}
+
+/**
+ * Resolve a due date
+ * @param {string|Date|undefined} due - Timestamp (see timestamps.js) or offset from now: +30m, +2h, +1d
+ * @param {Date} [now] - Reference time for offsets
+ * @returns {Date|null|undefined} - Due date; undefined without one, null if invalid
+ */
+export function resolveDueDate(due, now = new Date()) {
+  if (due === undefined || due === null || due === '') {
+    return undefined;
+  }
+
+  const relative = typeof due === 'string' && due.trim().match(RELATIVE_DUE);
+  if (relative) {
+    return new Date(now.getTime() + Number(relative[1]) * UNIT_MS[relative[2]]);
+  }
+
+  const timestamp = normalizeTimestamp(due);
+  return timestamp ? new Date(timestamp) : null;
+}
+
+/**
+ * Create a reminder for an email unless it already has one
+ * @param {Database} db - Database instance
+ * @param {Object} email - Stored email row
+ * @param {Object} [options]
+ * @param {string} [options.title] - Title (default: the subject)
+ * @param {string} [options.list] - Reminders list (default: DEFAULT_REMINDER_LIST)
+ * @param {string|Date} [options.due] - Due date, see resolveDueDate
+ * @param {string|number} [options.priority] - Priority, see mapPriority
+ * @param {string} [options.account] - Gmail address for the link (default: the email's account)
+ * @param {Function} [options.executor] - AppleScript executor (default: osascriptExecutor)
+ * @returns {Promise<{created: boolean, reminder: Object}>} - created is false if the email
+ *   already had a reminder (reminder is then the existing one)
+ * @throws {Error} on invalid options or if the reminder can't be created
+ */
+export async function createEmailReminder(db, email, options = {}) {
+  const existing = getEmailReminder(db, email.id);
+  if (existing) {
+    return { created: false, reminder: existing };
+  }
+
+  if (inFlight.has(email.id)) {
+    await inFlight.get(email.id).catch(() => {});
+    return createEmailReminder(db, email, options);
+  }
+
+  const pending = addReminder(db, email, options);
+  inFlight.set(email.id, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(email.id);
+  }
+}
+
+/**
+ * Create the reminder and record it
+ * @private
+ * @param {Database} db - Database instance
+ * @param {Object} email - Stored email row
+ * @param {Object} options - See createEmailReminder
+ * @returns {Promise<{created: boolean, reminder: Object}>}
+ */
+async function addReminder(db, email, options) {
+  const { list = DEFAULT_REMINDER_LIST, account, executor = osascriptExecutor } = options;
+  const title = options.title || email.subject || '(no subject)';
+
+  const priority = mapPriority(options.priority);
+  if (priority === null) {
+    throw new Error(`Invalid reminder priority: ${options.priority}`);
+  }
+  const due = resolveDueDate(options.due);
+  if (due === null) {
+    throw new Error(`Invalid reminder due date: ${options.due}`);
+  }
+
+  const notes = [`From: ${email.from_address}`, buildGmailLink(email, account)].join('\n');
+  // Due date fields in this machine's local time, as Reminders reads them
+  const dueArgs = due
+    ? [due.getFullYear(), due.getMonth() + 1, due.getDate(), due.getHours() * 3600 + due.getMinutes() * 60]
+    : ['', '', '', ''];
+
+  let reminderId;
+  try {
+    const output = await executor(CREATE_REMINDER_SCRIPT, [title, list, notes, String(priority), ...dueArgs.map(String)]);
+    reminderId = output.trim();
+  } catch (error) {
+    throw new Error(`Reminder creation failed: ${error.message}`);
+  }
+  if (!reminderId) {
+    throw new Error('Reminder creation failed: no reminder id returned');
+  }
+
+  const reminder = {
+    email_id: email.id,
+    reminder_id: reminderId,
+    list,
+    title,
+    due_at: due ? due.toISOString() : null,
+    priority,
+  };
+
+  // Another caller may have reminded the same email meanwhile; keep the first record
+  if (!recordEmailReminder(db, reminder)) {
+    logger.warn('Duplicate reminder created', { id: email.id, reminderId });
+    return { created: false, reminder: getEmailReminder(db, email.id) };
+  }
+
+  logger.info('Reminder created', { id: email.id, reminderId, list, due: reminder.due_at });
+  return { created: true, reminder: getEmailReminder(db, email.id) };
+}
@@ -0,0 +1,370 @@
+/**
+ * Rules engine for incoming emails
+ * Evaluates the declarative rules file (RULES_PATH, default ./rules.json) against
+ * each newly stored email and runs the actions of every matching rule.
+ *
+ * Rules file format (see rules.example.json):
+ * {
+ *   "rules": [{
+ *     "name": "receipts",
+ *     "enabled": true,                      // optional, default true
+ *     "match": {                            // every given condition must hold
+ *       "from": ["billing@", "shop.com"],   // sender contains any (case-insensitive)
+ *       "subject": "invoice|receipt",       // regex, case-insensitive
+ *       "labels": ["Work"],                 // has any of these labels
+ *       "thread_id": "18f2...",             // belongs to this thread
+ *       "in_thread": true,                  // true: a reply in a thread already stored; false: first of its thread
+ *       "body": ["urgent", "asap"]          // body contains any keyword (case-insensitive)
+ *     },
+ *     "actions": [
+ *       { "type": "tag", "labels": ["Receipts"] },
+ *       { "type": "webhook", "url": "https://...", "secret": "optional HMAC secret" },
+ *       { "type": "reminder", "title": "Pay {{subject}}", "list": "Bills", "due": "+1d", "priority": "high" },
+ *       { "type": "imap", "action": "mark_read" | "archive" | "trash" | "add_labels" | ..., "labels": [...] }
+ *     ],
+ *     "stop": false                         // optional: skip later rules when this one matches
+ *   }]
+ * }
+ * Action strings may use {{field}} placeholders for email fields (id, subject, from_address, ...).
+ */
+
+import { readFileSync, statSync, existsSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { normalizeLabels } from './labels.js';
+import { setEmailLabels } from './database.js';
+import { computeSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './webhook-signature.js';
+import { validateActionRequest, performEmailAction } from './mailbox-actions.js';
+import { createEmailReminder, mapPriority, resolveDueDate } from './reminders.js';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Path of the rules file
+ * @returns {string}
+ */
+export function getRulesPath() {
+  return process.env.RULES_PATH || resolve(projectRoot, 'rules.json');
+}
+
+const ACTION_TYPES = ['tag', 'webhook', 'reminder', 'imap'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Compiled rules, reloaded when the file changes
+let cache = { path: null, mtimeMs: 0, rules: [] };
+
+/**
+ * Normalize a string-or-array condition to a lower-cased list
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+function toLowerList(value) {
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+/**
+ * Validate and compile match conditions (a rule's `match`, or a subscriber's `filter`)
+ * @param {Object} match - Conditions as written in the file
+ * @param {Function} fail - Called with a message when a condition is invalid; must throw
+ * @returns {Object} - Compiled conditions for matchConditions
+ */
+export function compileConditions(match, fail) {
+  const conditions = {};
+
+  if (match.from !== undefined) conditions.from = toLowerList(match.from);
+  if (match.body !== undefined) conditions.body = toLowerList(match.body);
+  if (match.labels !== undefined) {
+    conditions.labels = normalizeLabels(match.labels);
+    if (!conditions.labels) fail('"labels" must be a list of strings');
+  }
+  if (match.subject !== undefined) {
+    try {
+      conditions.subject = new RegExp(match.subject, 'i');
+    } catch (error) {
+      fail(`invalid "subject" regex: ${error.message}`);
+    }
+  }
+  if (match.thread_id !== undefined) conditions.threadId = String(match.thread_id);
+  if (match.in_thread !== undefined) {
+    if (typeof match.in_thread !== 'boolean') fail('"in_thread" must be true or false');
+    conditions.inThread = match.in_thread;
+  }
+
+  return conditions;
+}
+
+/**
+ * Validate and compile a rules document
+ * @param {Object} document - Parsed rules file
+ * @returns {Array<Object>} - Compiled rules
+ * @throws {Error} if the document is invalid
+ */
+export function compileRules(document) {
+  if (!document || !Array.isArray(document.rules)) {
+    throw new Error('rules file must contain a "rules" array');
+  }
+
+  return document.rules.map((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    const fail = message => {
+      throw new Error(`rule "${name}": ${message}`);
+    };
+
+    if (!Array.isArray(rule.actions)) {
+      fail('"actions" must be an array');
+    }
+
+    const compiled = {
+      name,
+      enabled: rule.enabled !== false,
+      stop: rule.stop === true,
+      conditions: compileConditions(rule.match || {}, message => fail(`match: ${message}`)),
+      actions: rule.actions,
+    };
+
+    for (const action of rule.actions) {
+      if (!action || !ACTION_TYPES.includes(action.type)) {
+        fail(`action type must be one of: ${ACTION_TYPES.join(', ')}`);
+      }
+      if (action.type === 'tag' && !normalizeLabels(action.labels)?.length) {
+        fail('"tag" action requires "labels"');
+      }
+      if (action.type === 'webhook' && typeof action.url !== 'string') {
+        fail('"webhook" action requires "url"');
+      }
+      if (action.type === 'reminder') {
+        if (action.title !== undefined && typeof action.title !== 'string') fail('"reminder" title must be a string');
+        if (mapPriority(action.priority) === null) fail(`invalid "reminder" priority: ${action.priority}`);
+        if (resolveDueDate(action.due) === null) fail(`invalid "reminder" due: ${action.due}`);
+      }
+      if (action.type === 'imap') {
+        const validation = validateActionRequest(action);
+        if (!validation.valid) fail(`"imap" action: ${validation.message}`);
+      }
+    }
+
+    return compiled;
+  });
+}
+
+/**
+ * Load rules from the rules file (cached until the file changes)
+ * @param {string} [rulesPath] - Rules file path (default: getRulesPath())
+ * @returns {Array<Object>} - Compiled rules; empty when the file doesn't exist
+ * @throws {Error} if the file can't be read or is invalid
+ */
+export function loadRules(rulesPath = getRulesPath()) {
+  if (!existsSync(rulesPath)) {
+    return [];
+  }
+
+  const { mtimeMs } = statSync(rulesPath);
+  if (cache.path === rulesPath && cache.mtimeMs === mtimeMs) {
+    return cache.rules;
+  }
+
+  try {
+    const rules = compileRules(JSON.parse(readFileSync(rulesPath, 'utf8')));
+    cache = { path: rulesPath, mtimeMs, rules };
+    logger.info('Rules loaded', { path: rulesPath, count: rules.length });
+    return rules;
+  } catch (error) {
+    throw new Error(`Rules load failed: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether an email satisfies compiled conditions
+ * @param {Object} conditions - Output of compileConditions
+ * @param {Object} email - Stored email row
+ * @param {Database} db - Database instance (for thread membership)
+ * @returns {boolean}
+ */
+export function matchConditions(conditions, email, db) {
+  if (conditions.from) {
+    const from = (email.from_address || '').toLowerCase();
+    if (!conditions.from.some(value => from.includes(value))) return false;
+  }
+
+  if (conditions.subject && !conditions.subject.test(email.subject || '')) {
+    return false;
+  }
+
+  if (conditions.labels) {
+    const labels = normalizeLabels(email.labels) || [];
+    if (!conditions.labels.some(label => labels.includes(label))) return false;
+  }
+
+  if (conditions.threadId !== undefined && email.thread_id !== conditions.threadId) {
+    return false;
+  }
+
+  if (conditions.inThread !== undefined) {
+    const others = email.thread_id
+      ? db.prepare('SELECT COUNT(*) AS count FROM emails WHERE thread_id = ? AND id != ? AND received_at <= ?')
+        .get(email.thread_id, email.id, email.received_at).count
+      : 0;
+    if ((others > 0) !== conditions.inThread) return false;
+  }
+
+  if (conditions.body) {
+    const body = (email.body_text || email.body || '').toLowerCase();
+    if (!conditions.body.some(keyword => body.includes(keyword))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Rules an email matches, in file order (honoring `stop`)
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Object} email - Stored email row
+ * @param {Database} db - Database instance
+ * @returns {Array<Object>} - Matching rules
+ */
+export function evaluateRules(rules, email, db) {
+  const matched = [];
+  for (const rule of rules) {
+    if (!rule.enabled || !matchConditions(rule.conditions, email, db)) continue;
+    matched.push(rule);
+    if (rule.stop) break;
+  }
+  return matched;
+}
+
+/**
+ * Replace {{field}} placeholders with email fields
+ * @param {string} template
+ * @param {Object} email
+ * @returns {string}
+ */
+function renderTemplate(template, email) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, field) => email[field] ?? '');
+}
+
+/**
+ * POST the email to a webhook, signed when the action has a secret
+ * @param {Object} action - { url, secret }
+ * @param {Object} rule - Compiled rule
+ * @param {Object} email - Stored email row
+ */
+async function callWebhook(action, rule, email) {
+  const body = JSON.stringify({
+    rule: rule.name,
+    email: {
+      id: email.id,
+      thread_id: email.thread_id,
+      received_at: email.received_at,
+      from_address: email.from_address,
+      to_address: email.to_address,
+      subject: email.subject,
+      labels: normalizeLabels(email.labels) || [],
+    },
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (action.secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers[TIMESTAMP_HEADER] = String(timestamp);
+    headers[SIGNATURE_HEADER] = computeSignature(action.secret, timestamp, body);
+  }
+
+  const response = await fetch(action.url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`webhook responded ${response.status}`);
+  }
+}
+
+/**
+ * Run one action of a matched rule
+ * @param {Object} action - Action definition
+ * @param {Object} rule - Compiled rule
+ * @param {Object} email - Stored email row (labels kept current after tag/imap actions)
+ * @param {Object} context - See runRules
+ */
+async function runAction(action, rule, email, context) {
+  switch (action.type) {
+    case 'tag': {
+      const current = normalizeLabels(email.labels) || [];
+      const labels = normalizeLabels(action.labels).map(label => renderTemplate(label, email));
+      email.labels = JSON.stringify(setEmailLabels(context.db, email.id, [...current, ...labels]));
+      break;
+    }
+    case 'webhook':
+      await callWebhook(action, rule, email);
+      break;
+    case 'reminder':
+      await createEmailReminder(context.db, email, {
+        title: action.title && renderTemplate(action.title, email),
+        list: action.list && renderTemplate(action.list, email),
+        due: action.due,
+        priority: action.priority,
+        executor: context.reminderExecutor,
+      });
+      break;
+    case 'imap': {
+      if (!context.getImapClient) {
+        throw new Error('no IMAP connection available');
+      }
+      const { labels } = validateActionRequest(action);
+      const client = await context.getImapClient();
+      const result = await performEmailAction(context.db, client, email, action.action, labels, {
+        trashFolder: client.config.imap.trashFolder,
+        archiveFolder: client.config.imap.archiveFolder,
+        correlationId: context.correlationId,
+      });
+      if (!result.found) {
+        throw new Error('message not found in mailbox');
+      }
+      email.labels = JSON.stringify(result.labels);
+      break;
+    }
+  }
+}
+
+/**
+ * Evaluate rules against a newly stored email and run the matching actions
+ * Never throws: rule and action failures are logged so ingestion isn't affected.
+ * @param {Object} email - Stored email row (as returned by getEmailById)
+ * @param {Object} context
+ * @param {Database} context.db - Database instance
+ * @param {Function} [context.getImapClient] - async () => connected ImapClient for imap actions
+ * @param {Function} [context.reminderExecutor] - AppleScript executor for reminder actions (see reminders.js)
+ * @param {string} [context.correlationId] - Ingestion correlation ID (for logs and audit rows)
+ * @returns {Promise<Array<string>>} - Names of the rules that matched
+ */
+export async function runRules(email, context) {
+  let rules;
+  try {
+    rules = loadRules();
+  } catch (error) {
+    logger.error('Rules evaluation skipped', { id: email.id, error: error.message });
+    return [];
+  }
+
+  const matched = evaluateRules(rules, email, context.db);
+  for (const rule of matched) {
+    logger.info('Rule matched', { rule: rule.name, id: email.id, correlationId: context.correlationId });
+    for (const action of rule.actions) {
+      try {
+        await runAction(action, rule, email, context);
+      } catch (error) {
+        logger.error('Rule action failed', {
+          rule: rule.name,
+          action: action.type,
+          id: email.id,
+          correlationId: context.correlationId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return matched.map(rule => rule.name);
+}
@@ -0,0 +1,79 @@
+/**
+ * Rules dry-run CLI
+ * Replays the rules file against stored emails and reports which rules would have
+ * matched. No actions are run and nothing is written.
+ * Usage: node src/rules-replay.js [--rules path] [--limit n] [--since timestamp] [dbPath]
+ * Defaults to $RULES_PATH or ./rules.json, the 500 most recent emails, and $DB_PATH or ./data/emails.db
+ */
+
+import Database from 'better-sqlite3';
+import { existsSync } from 'fs';
+import { loadRules, evaluateRules, getRulesPath } from './rules-engine.js';
+import { normalizeTimestamp } from './timestamps.js';
+
+const DEFAULT_LIMIT = 500;
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+};
+
+const rulesPath = option('--rules') || getRulesPath();
+const limit = Number(option('--limit') ?? DEFAULT_LIMIT);
+const sinceArg = option('--since');
+const since = sinceArg === undefined ? null : normalizeTimestamp(sinceArg);
+const dbPath = args.find(arg => !arg.startsWith('--')) || process.env.DB_PATH || './data/emails.db';
+
+if (!Number.isInteger(limit) || limit < 1) {
+  console.error('--limit must be a positive integer');
+  process.exit(1);
+}
+if (sinceArg !== undefined && !since) {
+  console.error(`Invalid --since timestamp: ${sinceArg}`);
+  process.exit(1);
+}
+if (!existsSync(rulesPath)) {
+  console.error(`Rules file not found: ${rulesPath}`);
+  process.exit(1);
+}
+if (!existsSync(dbPath)) {
+  console.error(`Database not found: ${dbPath}`);
+  process.exit(1);
+}
+
+const db = new Database(dbPath, { readonly: true });
+
+try {
+  const rules = loadRules(rulesPath);
+  const emails = db.prepare(`
+    SELECT * FROM emails
+    WHERE received_at >= ?
+    ORDER BY received_at DESC, id DESC
+    LIMIT ?
+  `).all(since || '', limit);
+
+  console.log(`Rules: ${rulesPath} (${rules.length} rules)`);
+  console.log(`Database: ${dbPath} (${emails.length} emails${since ? ` received since ${since}` : ''})`);
+
+  const matches = new Map(rules.map(rule => [rule.name, []]));
+  for (const email of emails) {
+    for (const rule of evaluateRules(rules, email, db)) {
+      matches.get(rule.name).push(email);
+    }
+  }
+
+  for (const rule of rules) {
+    const matched = matches.get(rule.name);
+    const actions = rule.actions.map(action => action.type).join(', ') || 'no actions';
+    console.log(`\n${rule.name}${rule.enabled ? '' : ' (disabled)'}: ${matched.length} matched [${actions}]`);
+    for (const email of matched) {
+      console.log(`  - ${email.received_at}  ${email.id}  ${email.from_address}  ${email.subject}`);
+    }
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
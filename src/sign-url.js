@@ -0,0 +1,36 @@
+/**
+ * Signed URL CLI
+ * Prints a signed URL for GET /events, for clients that can't send the signature
+ * headers (a browser EventSource on a local dashboard).
+ * Usage: node src/sign-url.js [target] [--ttl seconds]
+ * target defaults to /events; --ttl defaults to one day. Signs with $WEBHOOK_SECRET.
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { signUrl } from './webhook-signature.js';
+
+dotenv.config({ path: resolve(dirname(fileURLToPath(import.meta.url)), '..', '.env') });
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+};
+
+const ttl = option('--ttl') ?? '86400';
+const [target = '/events'] = args.filter(arg => !arg.startsWith('--'));
+
+if (!process.env.WEBHOOK_SECRET) {
+  console.error('WEBHOOK_SECRET is not set');
+  process.exit(1);
+}
+if (!/^\d+$/.test(ttl) || !target.startsWith('/')) {
+  console.error('Usage: node src/sign-url.js [target] [--ttl seconds]');
+  process.exit(1);
+}
+
+const expires = Math.floor(Date.now() / 1000) + Number(ttl);
+console.log(signUrl(process.env.WEBHOOK_SECRET, target, expires));
+console.error(`Valid until ${new Date(expires * 1000).toISOString()}`);
@@ -1,6 +1,7 @@
 /**
  * State manager for connection state persistence
- * Manages current_state.json with atomic writes
+ * Manages current_state.json with atomic writes; each monitored account has its own
+ * entry (connection status and per-folder sync positions) under `accounts`
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, unlinkSync } from 'fs';
@@ -10,19 +11,36 @@ import { dirname } from 'path';
  * Initial state structure
  */
 const INITIAL_STATE = {
-  last_id: 0,
-  last_id_received_at: '1970-01-01T00:00:00.000Z',
+  accounts: {},
+};
+
+/**
+ * Initial per-account state
+ */
+const INITIAL_ACCOUNT_STATE = {
+  folders: {},
   last_connected_at: '1970-01-01T00:00:00.000Z',
   last_error: null,
   connection_status: 'disconnected',
 };
 
+/**
+ * Initial per-folder sync position
+ */
+const INITIAL_FOLDER_STATE = {
+  uidvalidity: 0,
+  last_id: 0,
+  last_id_received_at: '1970-01-01T00:00:00.000Z',
+  highest_modseq: '0', // CONDSTORE MODSEQ of the last flag sync (64-bit, kept as a string); '0' = never synced
+};
+
 /**
  * Initialize or load connection state from file
  * @param {string} stateFilePath - Absolute path to state JSON file
+ * @param {string} primaryAccount - Account that state files from single-account versions belong to
  * @returns {Object} - Connection state object
  */
-export function initState(stateFilePath) {
+export function initState(stateFilePath, primaryAccount) {
   try {
     // Ensure parent directory exists
     const dir = dirname(stateFilePath);
@@ -30,8 +48,12 @@ export function initState(stateFilePath) {
       mkdirSync(dir, { recursive: true });
     }
 
-    // If file exists, load and validate
+    // If file exists, upgrade legacy format, then load and validate
     if (existsSync(stateFilePath)) {
+      const raw = JSON.parse(readFileSync(stateFilePath, 'utf8'));
+      if (!('accounts' in raw)) {
+        writeStateAtomic(stateFilePath, migrateLegacyState(raw, primaryAccount));
+      }
       const state = readState(stateFilePath);
       return state;
     }
@@ -79,6 +101,81 @@ export function updateState(stateFilePath, updates) {
   }
 }
 
+/**
+ * Get an account's state (defaults for accounts never connected)
+ * @param {Object} state - Connection state object
+ * @param {string} account - Account name
+ * @returns {Object} - Account state { folders, last_connected_at, last_error, connection_status }
+ */
+export function getAccountState(state, account) {
+  return { ...INITIAL_ACCOUNT_STATE, ...state.accounts?.[account] };
+}
+
+/**
+ * Update a single account's state (atomic write)
+ * @param {string} stateFilePath - Path to state JSON file
+ * @param {string} account - Account name
+ * @param {Object} updates - Partial account state updates
+ * @returns {Object} - Updated state object
+ */
+export function updateAccountState(stateFilePath, account, updates) {
+  try {
+    const currentState = readState(stateFilePath);
+    const accountState = { ...getAccountState(currentState, account), ...updates };
+    return updateState(stateFilePath, {
+      accounts: { ...currentState.accounts, [account]: accountState },
+    });
+  } catch (error) {
+    throw new Error(`Account state update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get sync position for a folder (defaults for folders never synced)
+ * @param {Object} state - Connection state object
+ * @param {string} account - Account name
+ * @param {string} folder - Mailbox name (e.g. "INBOX")
+ * @returns {Object} - Folder state { uidvalidity, last_id, last_id_received_at, highest_modseq }
+ */
+export function getFolderState(state, account, folder) {
+  return { ...INITIAL_FOLDER_STATE, ...state.accounts?.[account]?.folders?.[folder] };
+}
+
+/**
+ * Check a folder's stored UIDVALIDITY against the value reported by openBox
+ * A mismatch means stored UIDs refer to a different mailbox generation
+ * @param {Object} state - Connection state object
+ * @param {string} account - Account name
+ * @param {string} folder - Mailbox name
+ * @param {number} uidvalidity - UIDVALIDITY from the server
+ * @returns {boolean} - true if the stored last_id can no longer be trusted
+ */
+export function hasUidValidityChanged(state, account, folder, uidvalidity) {
+  const { uidvalidity: stored } = getFolderState(state, account, folder);
+  return stored !== 0 && stored !== uidvalidity;
+}
+
+/**
+ * Update sync position for a single folder (atomic write)
+ * @param {string} stateFilePath - Path to state JSON file
+ * @param {string} account - Account name
+ * @param {string} folder - Mailbox name
+ * @param {Object} updates - Partial folder state updates
+ * @returns {Object} - Updated state object
+ */
+export function updateFolderState(stateFilePath, account, folder, updates) {
+  try {
+    const currentState = readState(stateFilePath);
+    const { folders } = getAccountState(currentState, account);
+    const folderState = { ...getFolderState(currentState, account, folder), ...updates };
+    return updateAccountState(stateFilePath, account, {
+      folders: { ...folders, [folder]: folderState },
+    });
+  } catch (error) {
+    throw new Error(`Folder state update failed: ${error.message}`);
+  }
+}
+
 /**
  * Validate state object structure and types
  * @param {Object} state - State object to validate
@@ -86,48 +183,113 @@ export function updateState(stateFilePath, updates) {
  * @throws {Error} if validation fails
  */
 export function validateState(state) {
+  if (!state.accounts || typeof state.accounts !== 'object' || Array.isArray(state.accounts)) {
+    throw new Error('accounts must be an object keyed by account name');
+  }
+  for (const [account, accountState] of Object.entries(state.accounts)) {
+    validateAccountState(accountState, `accounts["${account}"]`);
+  }
+
+  return state;
+}
+
+/**
+ * Validate one account's state
+ * @private
+ * @param {Object} state - Account state to validate
+ * @param {string} path - Location in the state file (for error messages)
+ * @throws {Error} if validation fails
+ */
+function validateAccountState(state, path) {
   // Check required fields
-  const required = ['last_id', 'last_id_received_at', 'last_connected_at', 'last_error', 'connection_status'];
+  const required = ['folders', 'last_connected_at', 'last_error', 'connection_status'];
   for (const field of required) {
     if (!(field in state)) {
-      throw new Error(`Missing required field: ${field}`);
+      throw new Error(`Missing required field: ${path}.${field}`);
     }
   }
 
-  // Validate types
-  if (!Number.isInteger(state.last_id) || state.last_id < 0) {
-    throw new Error('last_id must be a non-negative integer');
+  // Validate per-folder sync positions
+  if (!state.folders || typeof state.folders !== 'object' || Array.isArray(state.folders)) {
+    throw new Error(`${path}.folders must be an object keyed by folder name`);
+  }
+  for (const [folder, folderState] of Object.entries(state.folders)) {
+    const folderPath = `${path}.folders["${folder}"]`;
+    if (!Number.isInteger(folderState.last_id) || folderState.last_id < 0) {
+      throw new Error(`${folderPath}.last_id must be a non-negative integer`);
+    }
+    if (!Number.isInteger(folderState.uidvalidity) || folderState.uidvalidity < 0) {
+      throw new Error(`${folderPath}.uidvalidity must be a non-negative integer`);
+    }
+    if (!folderState.last_id_received_at || typeof folderState.last_id_received_at !== 'string') {
+      throw new Error(`${folderPath}.last_id_received_at must be a valid ISO 8601 string`);
+    }
+    if ('highest_modseq' in folderState && !/^\d+$/.test(folderState.highest_modseq)) {
+      throw new Error(`${folderPath}.highest_modseq must be a string of digits`);
+    }
   }
 
   // Validate connection_status enum
   const validStatuses = ['connected', 'reconnecting', 'disconnected'];
   if (!validStatuses.includes(state.connection_status)) {
-    throw new Error(`connection_status must be one of: ${validStatuses.join(', ')}`);
+    throw new Error(`${path}.connection_status must be one of: ${validStatuses.join(', ')}`);
   }
 
   // Validate date strings (basic check)
-  if (!state.last_id_received_at || typeof state.last_id_received_at !== 'string') {
-    throw new Error('last_id_received_at must be a valid ISO 8601 string');
-  }
   if (!state.last_connected_at || typeof state.last_connected_at !== 'string') {
-    throw new Error('last_connected_at must be a valid ISO 8601 string');
+    throw new Error(`${path}.last_connected_at must be a valid ISO 8601 string`);
   }
 
   // Validate last_error (string or null)
   if (state.last_error !== null && typeof state.last_error !== 'string') {
-    throw new Error('last_error must be a string or null');
+    throw new Error(`${path}.last_error must be a string or null`);
   }
-
-  return state;
 }
 
 /**
- * Clear last error (convenience function)
+ * Clear an account's last error (convenience function)
  * @param {string} stateFilePath - Path to state JSON file
+ * @param {string} account - Account name
  * @returns {Object} - Updated state
  */
-export function clearError(stateFilePath) {
-  return updateState(stateFilePath, { last_error: null });
+export function clearError(stateFilePath, account) {
+  return updateAccountState(stateFilePath, account, { last_error: null });
+}
+
+/**
+ * Convert single-account state to the per-account format
+ * Single-folder state (top-level last_id, which always referred to INBOX) is
+ * converted to per-folder state first
+ * @private
+ * @param {Object} legacyState - State object without an accounts map
+ * @param {string} account - Account the state belongs to
+ * @returns {Object} - State object in current format
+ */
+function migrateLegacyState(legacyState, account) {
+  let accountState = legacyState;
+
+  if (!('folders' in legacyState)) {
+    const { last_id, last_id_received_at, ...rest } = legacyState;
+    const lastId = parseInt(last_id, 10);
+
+    accountState = {
+      ...rest,
+      folders: {
+        INBOX: {
+          ...INITIAL_FOLDER_STATE,
+          last_id: Number.isInteger(lastId) && lastId > 0 ? lastId : 0,
+          last_id_received_at: last_id_received_at || INITIAL_FOLDER_STATE.last_id_received_at,
+        },
+      },
+    };
+  }
+
+  return {
+    ...INITIAL_STATE,
+    accounts: {
+      [account]: { ...INITIAL_ACCOUNT_STATE, ...accountState },
+    },
+  };
 }
 
 /**
@@ -0,0 +1,387 @@
+/**
+ * Outbound events for downstream subscribers
+ * Every newly stored email is queued as an `email.received` event for each subscriber
+ * whose filter it matches, in the same transaction as the email itself (the
+ * event_deliveries outbox). A delivery worker POSTs queued events, retrying failures
+ * with exponential backoff; a delivery that keeps failing ends up `dead` and can be
+ * inspected through GET /deliveries. One failing subscriber never holds up the others.
+ *
+ * Subscribers file (SUBSCRIBERS_PATH, default ./subscribers.json; see subscribers.example.json):
+ * {
+ *   "subscribers": [{
+ *     "name": "crm",                           // unique; deliveries are tracked by name
+ *     "url": "https://example.com/hooks/email",
+ *     "secret": "optional HMAC secret",        // signs like POST /webhook (see webhook-signature.js)
+ *     "enabled": true,                         // optional, default true
+ *     "filter": { "from": "@client.com" }      // optional; same conditions as a rule's "match"
+ *   }]
+ * }
+ */
+
+import { readFileSync, statSync, existsSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { normalizeLabels } from './labels.js';
+import { insertEventDelivery, claimDueDeliveries, completeEventDelivery } from './database.js';
+import { computeSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './webhook-signature.js';
+import { compileConditions, matchConditions } from './rules-engine.js';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Event type sent for newly stored emails
+ */
+export const EMAIL_RECEIVED_EVENT = 'email.received';
+
+/**
+ * Delivery states in the outbox
+ */
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const EVENT_ID_HEADER = 'X-Event-Id';
+const EVENT_TYPE_HEADER = 'X-Event-Type';
+const DELIVERY_ATTEMPT_HEADER = 'X-Delivery-Attempt';
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_BATCH_SIZE = 20;
+// Longer than a delivery can take, so a claimed row isn't picked up again mid-request
+const DELIVERY_LEASE_MS = 60000;
+const RETRY_BASE_MS = 30000;
+const RETRY_MAX_MS = 3600000;
+
+// Compiled subscribers, reloaded when the file changes
+let cache = { path: null, mtimeMs: 0, subscribers: [] };
+
+// Delivery worker for this process (see startDeliveryWorker)
+let worker = null;
+
+/**
+ * Path of the subscribers file
+ * @returns {string}
+ */
+export function getSubscribersPath() {
+  return process.env.SUBSCRIBERS_PATH || resolve(projectRoot, 'subscribers.json');
+}
+
+/**
+ * Validate and compile a subscribers document
+ * @param {Object} document - Parsed subscribers file
+ * @returns {Array<Object>} - Compiled subscribers
+ * @throws {Error} if the document is invalid
+ */
+export function compileSubscribers(document) {
+  if (!document || !Array.isArray(document.subscribers)) {
+    throw new Error('subscribers file must contain a "subscribers" array');
+  }
+
+  const names = new Set();
+  return document.subscribers.map((subscriber, index) => {
+    const name = subscriber.name;
+    const fail = message => {
+      throw new Error(`subscriber ${name ? `"${name}"` : index + 1}: ${message}`);
+    };
+
+    if (typeof name !== 'string' || name.trim() === '') fail('"name" is required');
+    if (names.has(name)) fail('"name" must be unique');
+    names.add(name);
+
+    let url;
+    try {
+      url = new URL(subscriber.url);
+    } catch (error) {
+      fail('"url" must be an absolute URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') fail('"url" must be http or https');
+    if (subscriber.secret !== undefined && typeof subscriber.secret !== 'string') fail('"secret" must be a string');
+
+    return {
+      name,
+      url: subscriber.url,
+      secret: subscriber.secret || null,
+      enabled: subscriber.enabled !== false,
+      conditions: compileConditions(subscriber.filter || {}, message => fail(`filter: ${message}`)),
+    };
+  });
+}
+
+/**
+ * Load subscribers from the subscribers file (cached until the file changes)
+ * @param {string} [subscribersPath] - Subscribers file path (default: getSubscribersPath())
+ * @returns {Array<Object>} - Compiled subscribers; empty when the file doesn't exist
+ * @throws {Error} if the file can't be read or is invalid
+ */
+export function loadSubscribers(subscribersPath = getSubscribersPath()) {
+  if (!existsSync(subscribersPath)) {
+    return [];
+  }
+
+  const { mtimeMs } = statSync(subscribersPath);
+  if (cache.path === subscribersPath && cache.mtimeMs === mtimeMs) {
+    return cache.subscribers;
+  }
+
+  try {
+    const subscribers = compileSubscribers(JSON.parse(readFileSync(subscribersPath, 'utf8')));
+    cache = { path: subscribersPath, mtimeMs, subscribers };
+    logger.info('Subscribers loaded', { path: subscribersPath, count: subscribers.length });
+    return subscribers;
+  } catch (error) {
+    throw new Error(`Subscribers load failed: ${error.message}`);
+  }
+}
+
+/**
+ * Summary of a stored email as sent in events (no bodies or headers)
+ * @param {Object} email - Stored email record
+ * @returns {Object}
+ */
+export function summarizeEmail(email) {
+  return {
+    id: email.id,
+    thread_id: email.thread_id,
+    received_at: email.received_at,
+    downloaded_at: email.downloaded_at,
+    from_address: email.from_address,
+    to_address: email.to_address,
+    cc_address: email.cc_address || null,
+    subject: email.subject,
+    labels: normalizeLabels(email.labels) || [],
+    folder: email.folder || null,
+    account: email.account || null,
+    source: email.source || null,
+    ingestion_id: email.ingestion_id || null,
+  };
+}
+
+/**
+ * Build the `email.received` event for a stored email
+ * @param {Object} email - Stored email record
+ * @returns {Object} - { id, type, created_at, data }
+ */
+export function buildEmailReceivedEvent(email) {
+  return {
+    id: `evt-${randomUUID()}`,
+    type: EMAIL_RECEIVED_EVENT,
+    created_at: new Date().toISOString(),
+    data: summarizeEmail(email),
+  };
+}
+
+/**
+ * Queue an `email.received` event for every subscriber the email matches
+ * Call right after storeEmail returns true, inside the same transaction, so the
+ * event is recorded if and only if the email is. An unreadable subscribers file
+ * is logged and doesn't affect storage.
+ * @param {Database} db - Database instance
+ * @param {Object} email - Stored email record
+ * @returns {number} - Number of deliveries queued
+ */
+export function enqueueEmailReceived(db, email) {
+  let subscribers;
+  try {
+    subscribers = loadSubscribers();
+  } catch (error) {
+    logger.error('Event not queued', { id: email.id, error: error.message });
+    return 0;
+  }
+
+  const matching = subscribers.filter(subscriber =>
+    subscriber.enabled && matchConditions(subscriber.conditions, email, db));
+  if (matching.length === 0) {
+    return 0;
+  }
+
+  const event = buildEmailReceivedEvent(email);
+  for (const subscriber of matching) {
+    insertEventDelivery(db, {
+      event_id: event.id,
+      event_type: event.type,
+      email_id: email.id,
+      subscriber: subscriber.name,
+      url: subscriber.url,
+      payload: event,
+    });
+  }
+
+  // Deliver as soon as the surrounding transaction has committed
+  if (worker) {
+    setImmediate(() => worker?.wake());
+  }
+  return matching.length;
+}
+
+/**
+ * Delay before retrying a delivery
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds (30s doubling per attempt, at most 1h)
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Whether a subscriber's response status is worth retrying
+ * Other 4xx responses mean the request itself is rejected, so the delivery goes dead.
+ * @param {number} statusCode - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(statusCode) {
+  return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+/**
+ * POST one claimed delivery and record the outcome
+ * @param {Database} db - Database instance
+ * @param {Object} delivery - Claimed event_deliveries row
+ * @param {Map<string, Object>} subscribers - Current subscribers by name
+ * @param {number} maxAttempts - Attempts before a delivery goes dead
+ */
+async function attemptDelivery(db, delivery, subscribers, maxAttempts) {
+  const subscriber = subscribers.get(delivery.subscriber);
+  if (!subscriber) {
+    completeEventDelivery(db, delivery.id, { status: 'dead', error: 'Subscriber no longer configured' });
+    logger.warn('Event delivery dead', { deliveryId: delivery.id, subscriber: delivery.subscriber, reason: 'not configured' });
+    return;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    [EVENT_ID_HEADER]: delivery.event_id,
+    [EVENT_TYPE_HEADER]: delivery.event_type,
+    [DELIVERY_ATTEMPT_HEADER]: String(delivery.attempts),
+  };
+  if (subscriber.secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers[TIMESTAMP_HEADER] = String(timestamp);
+    headers[SIGNATURE_HEADER] = computeSignature(subscriber.secret, timestamp, delivery.payload);
+  }
+
+  let statusCode = null;
+  let error;
+  try {
+    const response = await fetch(subscriber.url, {
+      method: 'POST',
+      headers,
+      body: delivery.payload,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    if (response.ok) {
+      completeEventDelivery(db, delivery.id, { status: 'delivered', statusCode });
+      logger.info('Event delivered', {
+        deliveryId: delivery.id,
+        eventId: delivery.event_id,
+        subscriber: delivery.subscriber,
+        attempts: delivery.attempts,
+      });
+      return;
+    }
+    error = `Subscriber responded ${statusCode}`;
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const retry = (statusCode === null || isRetryableStatus(statusCode)) && delivery.attempts < maxAttempts;
+  const nextAttemptAt = retry ? new Date(Date.now() + getRetryDelay(delivery.attempts)).toISOString() : null;
+  completeEventDelivery(db, delivery.id, { status: retry ? 'pending' : 'dead', statusCode, error, nextAttemptAt });
+
+  logger.warn(retry ? 'Event delivery failed, will retry' : 'Event delivery dead', {
+    deliveryId: delivery.id,
+    eventId: delivery.event_id,
+    subscriber: delivery.subscriber,
+    attempts: delivery.attempts,
+    error,
+    nextAttemptAt,
+  });
+}
+
+/**
+ * Deliver every due event once
+ * @param {Database} db - Database instance
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before a delivery goes dead (default: DELIVERY_MAX_ATTEMPTS or 10)
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+export async function deliverDueEvents(db, { maxAttempts = Number(process.env.DELIVERY_MAX_ATTEMPTS) || 10 } = {}) {
+  let attempted = 0;
+
+  for (;;) {
+    const deliveries = claimDueDeliveries(db, DELIVERY_BATCH_SIZE, DELIVERY_LEASE_MS);
+    if (deliveries.length === 0) {
+      return attempted;
+    }
+
+    let subscribers;
+    try {
+      subscribers = new Map(loadSubscribers().map(subscriber => [subscriber.name, subscriber]));
+    } catch (error) {
+      // Leave the claimed rows to be retried when their lease runs out
+      logger.error('Event delivery skipped', { error: error.message });
+      return attempted;
+    }
+
+    // Subscribers are independent: one slow or failing endpoint doesn't block the others
+    await Promise.all(deliveries.map(delivery => attemptDelivery(db, delivery, subscribers, maxAttempts)));
+    attempted += deliveries.length;
+  }
+}
+
+/**
+ * Start this process's delivery worker
+ * Polls the outbox (deliveries queued by the other process, retries coming due) and
+ * is woken right away when this process queues an event.
+ * @param {Database} db - Database instance
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Poll interval (default: DELIVERY_POLL_INTERVAL_MS or 5000)
+ */
+export function startDeliveryWorker(db, { intervalMs = Number(process.env.DELIVERY_POLL_INTERVAL_MS) || 5000 } = {}) {
+  if (worker) {
+    return;
+  }
+
+  let running = null;
+  let rerun = false;
+
+  const run = () => {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = deliverDueEvents(db)
+      .catch(error => logger.error('Event delivery run failed', { error: error.message }))
+      .finally(() => {
+        running = null;
+        if (rerun && worker) {
+          rerun = false;
+          run();
+        }
+      });
+  };
+
+  const timer = setInterval(run, intervalMs);
+  worker = {
+    wake: run,
+    stop: async () => {
+      clearInterval(timer);
+      await running;
+    },
+  };
+
+  logger.info('Event delivery worker started', { intervalMs });
+  run();
+}
+
+/**
+ * Stop the delivery worker, waiting for in-flight deliveries
+ * @returns {Promise<void>}
+ */
+export async function stopDeliveryWorker() {
+  if (!worker) {
+    return;
+  }
+  const { stop } = worker;
+  worker = null;
+  await stop();
+}
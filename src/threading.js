@@ -0,0 +1,234 @@
+/**
+ * Conversation threading from Message-ID / In-Reply-To / References
+ * Gmail supplies thread ids (X-GM-THRID); everything else (IMAP servers without
+ * Gmail extensions, rows stored before thread ids existed) is threaded here,
+ * following Jamie Zawinski's algorithm (https://www.jwz.org/doc/threading.html):
+ * messages are linked through their References chains, and replies whose parents
+ * are unknown fall back to matching the normalized subject.
+ *
+ * Generated thread ids are `t-` plus 16 hex characters of the SHA-256 of the
+ * thread's root Message-ID, so messages of one conversation get the same id
+ * whichever of them is stored first.
+ *
+ * Threads never span accounts: emails only join threads of their own account
+ * namespace (see accounts.js), whose prefix generated thread ids carry as well.
+ */
+
+import { createHash } from 'crypto';
+import { getNamespace } from './accounts.js';
+
+// Re:, Fwd:, Fw:, Aw:, Wg:, Sv:, Vs:, Antw:, Réf: (optionally numbered: Re[2]:, Re(2):), and [list] tags
+const REPLY_PREFIX = /^\s*(?:(?:re|fwd?|aw|wg|sv|vs|antw|r[ée]f)\s*(?:\[\d+\]|\(\d+\))?\s*:|\[[^\]]*\])\s*/i;
+const MESSAGE_ID = /<([^<>\s]+)>/g;
+
+// Replies only join a thread by subject when it had a message this recently
+const SUBJECT_WINDOW_MS = 30 * 86400000;
+
+// Account namespace of emails.id in SQL (same as getNamespace: '' for the primary account)
+const ID_NAMESPACE = "substr(id, 1, instr(id, ':'))";
+
+/**
+ * Extract Message-IDs from a header value
+ * @param {string|Array<string>|undefined} value - Message-ID, In-Reply-To or References value(s)
+ * @returns {Array<string>} - Ids without angle brackets, in order
+ */
+export function parseMessageIds(value) {
+  if (!value) {
+    return [];
+  }
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  const ids = [...text.matchAll(MESSAGE_ID)].map(match => match[1]);
+
+  // Some clients omit the brackets on a lone id
+  if (ids.length === 0 && /^[^\s<>]+@[^\s<>]+$/.test(text.trim())) {
+    return [text.trim()];
+  }
+  return ids;
+}
+
+/**
+ * Normalize a subject for thread matching (JWZ "base subject")
+ * @param {string} subject
+ * @returns {{base: string, isReply: boolean}} - Lower-cased subject without reply/forward
+ *   prefixes or list tags; isReply when a prefix was removed
+ */
+export function normalizeSubject(subject) {
+  let base = String(subject || '');
+  let isReply = false;
+
+  for (let match = base.match(REPLY_PREFIX); match; match = base.match(REPLY_PREFIX)) {
+    isReply = isReply || !match[0].trim().startsWith('[');
+    base = base.slice(match[0].length);
+  }
+
+  return { base: base.replace(/\s+/g, ' ').trim().toLowerCase(), isReply };
+}
+
+/**
+ * Read threading headers from an email record
+ * @param {Object} email - Email record ({ headers } as a JSON object string)
+ * @returns {{messageId: string|null, references: Array<string>}} - references runs from the
+ *   thread root to the direct parent (In-Reply-To is appended when References lacks it)
+ */
+export function getThreadHeaders(email) {
+  let headers = {};
+  try {
+    headers = email.headers ? JSON.parse(email.headers) : {};
+  } catch (error) {
+    // Unreadable headers thread like a message without any
+  }
+
+  const [messageId = null] = parseMessageIds(headers['message-id']);
+  const references = parseMessageIds(headers.references);
+  const [inReplyTo] = parseMessageIds(headers['in-reply-to']);
+  if (inReplyTo && references[references.length - 1] !== inReplyTo) {
+    references.push(inReplyTo);
+  }
+
+  // A message can't reference itself; drop loops and repeats
+  const seen = new Set([messageId]);
+  return { messageId, references: references.filter(id => !seen.has(id) && seen.add(id)) };
+}
+
+/**
+ * Generated thread id for a conversation root
+ * @param {string} rootId - Root Message-ID (or the email id when there is none)
+ * @returns {string}
+ */
+export function generateThreadId(rootId) {
+  return `t-${createHash('sha256').update(rootId).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Compute an email's threading columns, assigning a thread id when it has none
+ * Lookup order: stored messages it references (nearest parent first), stored replies
+ * that reference it, a recent message with the same base subject (replies only),
+ * and finally a generated id for the root of its References chain. Only emails of
+ * the same account are considered.
+ * @param {Database} db - Database instance
+ * @param {Object} email - Email record ({ id, thread_id, subject, received_at, headers })
+ * @returns {{thread_id: string, message_id: string|null, reference_ids: string, base_subject: string}}
+ */
+export function resolveThread(db, email) {
+  const { messageId, references } = getThreadHeaders(email);
+  const { base, isReply } = normalizeSubject(email.subject);
+  const columns = { message_id: messageId, reference_ids: JSON.stringify(references), base_subject: base };
+
+  if (email.thread_id) {
+    return { thread_id: email.thread_id, ...columns };
+  }
+
+  const namespace = getNamespace(email.id);
+  const byMessageId = db.prepare(`
+    SELECT thread_id FROM emails WHERE message_id = ? AND thread_id != '' AND id != ? AND ${ID_NAMESPACE} = ?
+  `);
+  for (const reference of [...references].reverse()) {
+    const parent = byMessageId.get(reference, email.id, namespace);
+    if (parent) {
+      return { thread_id: parent.thread_id, ...columns };
+    }
+  }
+
+  if (messageId) {
+    const reply = db.prepare(`
+      SELECT thread_id FROM emails
+      WHERE id IN (SELECT email_id FROM email_references WHERE message_id = ?)
+        AND thread_id != '' AND id != ? AND ${ID_NAMESPACE} = ?
+      LIMIT 1
+    `).get(messageId, email.id, namespace);
+    if (reply) {
+      return { thread_id: reply.thread_id, ...columns };
+    }
+  }
+
+  if (isReply && base) {
+    const receivedAt = Date.parse(email.received_at);
+    const since = new Date((Number.isNaN(receivedAt) ? Date.now() : receivedAt) - SUBJECT_WINDOW_MS).toISOString();
+    const sameSubject = db.prepare(`
+      SELECT thread_id FROM emails
+      WHERE base_subject = ? AND thread_id != '' AND id != ? AND ${ID_NAMESPACE} = ? AND received_at >= ?
+      ORDER BY received_at DESC
+      LIMIT 1
+    `).get(base, email.id, namespace, since);
+    if (sameSubject) {
+      return { thread_id: sameSubject.thread_id, ...columns };
+    }
+  }
+
+  return { thread_id: namespace + generateThreadId(references[0] || messageId || email.id), ...columns };
+}
+
+/**
+ * Build the reply hierarchy of a thread's emails (JWZ containers)
+ * Each email hangs under the nearest message in its References chain that is part
+ * of the thread; messages whose parents are missing become roots, except replies
+ * that can be grouped under a root with the same subject.
+ * @param {Array<Object>} emails - Emails of one thread (with message_id and reference_ids)
+ * @returns {Array<Object>} - Root nodes { email, children }, oldest first at every level
+ */
+export function buildThreadTree(emails) {
+  const nodes = emails.map(email => ({ email, children: [] }));
+  const byMessageId = new Map();
+  for (const node of nodes) {
+    if (node.email.message_id && !byMessageId.has(node.email.message_id)) {
+      byMessageId.set(node.email.message_id, node);
+    }
+  }
+
+  const roots = [];
+  for (const node of nodes) {
+    let references = [];
+    try {
+      references = JSON.parse(node.email.reference_ids || '[]');
+    } catch (error) {
+      // Treat as a root
+    }
+
+    // Nearest stored ancestor; skipping missing ones is JWZ's pruning of empty containers
+    let parent = null;
+    for (let i = references.length - 1; i >= 0 && !parent; i--) {
+      const candidate = byMessageId.get(references[i]);
+      if (candidate && candidate !== node && !isDescendant(candidate, node)) {
+        parent = candidate;
+      }
+    }
+
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const byDate = (a, b) => String(a.email.received_at).localeCompare(String(b.email.received_at));
+  roots.sort(byDate);
+
+  // JWZ subject grouping: a parentless reply hangs under the earliest non-reply root with its subject
+  const subjectRoots = new Map();
+  const grouped = [];
+  for (const node of roots) {
+    const { base, isReply } = normalizeSubject(node.email.subject);
+    const root = base ? subjectRoots.get(base) : undefined;
+    if (isReply && root) {
+      root.children.push(node);
+      continue;
+    }
+    if (base && !isReply && !subjectRoots.has(base)) {
+      subjectRoots.set(base, node);
+    }
+    grouped.push(node);
+  }
+
+  const sort = list => {
+    list.sort(byDate);
+    list.forEach(node => sort(node.children));
+    return list;
+  };
+  return sort(grouped);
+}
+
+/**
+ * Check whether a node is somewhere below another (guards against reference loops)
+ * @param {Object} node
+ * @param {Object} ancestor
+ * @returns {boolean}
+ */
+function isDescendant(node, ancestor) {
+  return ancestor.children.some(child => child === node || isDescendant(node, child));
+}
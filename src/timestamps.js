@@ -0,0 +1,144 @@
+/**
+ * Timestamp normalization
+ * Every stored timestamp is UTC ISO 8601 with milliseconds (`Date#toISOString()`),
+ * so `ORDER BY` on the text columns sorts chronologically.
+ *
+ * Accepted inputs:
+ * - ISO 8601 with `Z` or a numeric offset (2025-11-01T12:00:00.000Z, 2025-11-01T12:00:00-03:00)
+ * - Local date-times without an offset, as produced by Apps Script's
+ *   `Utilities.formatDate(..., 'yyyy-MM-dd HH:mm:ss')` (2025-11-01 12:00:00, 2025-11-01T12:00),
+ *   interpreted in a given IANA timezone
+ * - RFC 2822 dates with a zone (Sat, 01 Nov 2025 12:00:00 +0000)
+ * - Date objects
+ */
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const ISO_WITH_ZONE = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+const RFC_2822 = /^(?:[A-Za-z]{3},\s*)?(\d{1,2})\s+([A-Za-z]{3})\s+(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s+(?:[+-]\d{4}|GMT|UTC|UT)$/;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Canonical stored form (output of toISOString)
+ */
+export const CANONICAL_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+/**
+ * Timezone for timestamps that carry no offset
+ * DEFAULT_TIMEZONE if set, otherwise the machine's timezone.
+ * @returns {string} - IANA timezone name
+ */
+export function getDefaultTimeZone() {
+  return process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {number} time - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Offset in milliseconds (local minus UTC)
+ */
+function getTimeZoneOffset(time, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (time - (time % 1000));
+}
+
+/**
+ * Check that date-time fields name a real calendar date and time of day
+ * Date would otherwise roll them over (2025-11-31 becomes 2025-12-01)
+ * @param {Array<number>} fields - [year, month (1-12), day, hour, minute, second]
+ * @returns {boolean}
+ */
+function isValidDateTime([year, month, day, hour, minute, second]) {
+  const probe = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return probe.getUTCFullYear() === year && probe.getUTCMonth() === month - 1 && probe.getUTCDate() === day &&
+    probe.getUTCHours() === hour && probe.getUTCMinutes() === minute && probe.getUTCSeconds() === second;
+}
+
+/**
+ * Convert wall-clock fields in a timezone to epoch milliseconds
+ * @param {Array<number>} fields - [year, month (1-12), day, hour, minute, second, ms]
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Epoch milliseconds
+ */
+function fromZonedFields([year, month, day, hour, minute, second, ms], timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+
+  // Two passes settle the offset around DST transitions
+  let time = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  time = wallClock - getTimeZoneOffset(time, timeZone);
+  return time;
+}
+
+/**
+ * Normalize a timestamp to UTC ISO 8601
+ * @param {string|Date} value - Timestamp in one of the accepted formats
+ * @param {string} [timeZone] - IANA timezone for values without an offset (default: getDefaultTimeZone())
+ * @returns {string|null} - `YYYY-MM-DDTHH:mm:ss.sssZ`, or null if the value can't be parsed
+ */
+export function normalizeTimestamp(value, timeZone = getDefaultTimeZone()) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+
+  const iso = text.match(ISO_WITH_ZONE);
+  const rfc = text.match(RFC_2822);
+  if (iso || rfc) {
+    // Date.parse rolls impossible dates over, so check the fields first
+    const [year, month, day, hour, minute, second] = iso
+      ? iso.slice(1)
+      : [rfc[3], MONTHS.indexOf(rfc[2].toLowerCase()) + 1, rfc[1], rfc[4], rfc[5], rfc[6]];
+    if (!isValidDateTime([year, month, day, hour, minute, second].map(part => Number(part || 0)))) {
+      return null;
+    }
+
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  const match = text.match(LOCAL_DATE_TIME);
+  if (!match || !isValidTimeZone(timeZone)) {
+    return null;
+  }
+
+  const fields = match.slice(1).map((part, index) =>
+    index === 6 ? Number((part || '0').padEnd(3, '0')) : Number(part || 0)
+  );
+  if (!isValidDateTime(fields)) {
+    return null;
+  }
+
+  return new Date(fromZonedFields(fields, timeZone)).toISOString();
+}
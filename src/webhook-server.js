@@ -11,37 +11,205 @@
  * POST /webhook
  *   Receives email data and stores in database.
  *   Content-Type: application/json
+ *   Requests must be signed (see webhook-signature.js):
+ *     X-Webhook-Timestamp: unix seconds, within WEBHOOK_SIGNATURE_TOLERANCE_SECONDS of server time
+ *     X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed by WEBHOOK_SECRET>
+ *   WEBHOOK_SECRET_PREVIOUS is also accepted while rotating secrets.
+ *   Each signature is accepted once: a repeated request needs a new timestamp.
  *   Payload format:
  *   {
  *     "id": "string (Gmail message ID, required)",
  *     "thread_id": "string (Gmail thread ID, required)",
  *     "received_at": "string (timestamp, required)",
  *     "downloaded_at": "string (timestamp, required)",
- *     "broadcasted_at": "string (timestamp, optional)",
+ *     "broadcasted_at": "string (timestamp, optional; when the sender delivered it)",
  *     "from_address": "string (email address, required)",
  *     "to_address": "string (email address, required)",
  *     "cc_address": "string (email address, optional)",
  *     "subject": "string (email subject, required)",
- *     "labels": "string (Gmail labels, required)",
- *     "body": "string (email body, required)"
+ *     "labels": "string or array (Gmail labels, comma-separated or JSON array; stored as a JSON array)",
+ *     "body": "string (email body, required)",
+ *     "body_text": "string (plain-text body, optional)",
+ *     "body_html": "string (HTML body, optional)",
+ *     "headers": "object or JSON object string (raw headers by lower-cased name, optional)",
+ *     "timezone": "string (IANA timezone for timestamps without an offset, optional; default DEFAULT_TIMEZONE)"
  *   }
+ *   Other fields are ignored: flags, folder, account and the like are only set by the server.
+ *   Timestamps may be ISO 8601, "yyyy-MM-dd HH:mm:ss" (local to timezone) or RFC 2822; they are
+ *   stored as UTC ISO 8601. Unparseable values are rejected with code INVALID_TIMESTAMP.
  *   Response 200 OK: { "status": "success", "action": "stored"|"skipped", "id": "..." }
  *   Response 400 Bad Request: { "status": "error", "message": "...", "code": "..." }
+ *   Response 401 Unauthorized: { "status": "error", "message": "...", "code": "INVALID_SIGNATURE" }
  *   Response 500 Internal Server Error: { "status": "error", "message": "...", "code": "..." }
+ *   Emails are stored for the primary account (see accounts.js), whose mailbox the script runs in.
+ *   Newly stored emails are queued as email.received events for subscribers (see subscribers.js)
+ *   and then run through the rules engine (see rules-engine.js).
+ *
+ * POST /webhook/batch
+ *   Receives an array of email payloads (same format and signing as POST /webhook,
+ *   at most 100 items, 10MB) and stores the valid ones in a single transaction.
+ *   Invalid items are reported individually and don't affect the rest of the batch.
+ *   Response 200 OK: {
+ *     "status": "success",
+ *     "results": [{ "index": 0, "id": "...", "result": "stored"|"skipped"|"error", "message": "...", "code": "..." }],
+ *     "stored": 1, "skipped": 0, "failed": 0
+ *   }
+ *   Response 400 Bad Request: { "status": "error", "message": "...", "code": "INVALID_BATCH"|... }
+ *   Response 401 Unauthorized / 500 Internal Server Error: as for POST /webhook
+ *
+ * Reading stored data (GET /emails, /emails/:id, /threads/:thread_id, /events and /deliveries) needs the same
+ * signature headers, computed over the request target (path and query string, e.g.
+ * "/emails?limit=10") in place of the body. Unsigned requests get 401 INVALID_SIGNATURE.
+ *
+ * GET /emails
+ *   Lists stored emails, newest download first (summaries without bodies or headers).
+ *   Query parameters (all optional):
+ *     from      - sender contains this text
+ *     label     - has this label
+ *     thread_id - belongs to this thread
+ *     account   - belongs to this account (see accounts.js)
+ *     since     - received at or after this timestamp
+ *     until     - received at or before this timestamp
+ *     limit     - page size (default 50, max 200)
+ *     cursor    - next_cursor from the previous page
+ *   Response 200 OK: { "status": "success", "emails": [...], "next_cursor": "..."|null }
+ *   Response 400 Bad Request: { "status": "error", "message": "...", "code": "INVALID_QUERY" }
+ *
+ * GET /emails/:id
+ *   Returns one email with bodies, headers and attachment metadata.
+ *   Response 200 OK: { "status": "success", "email": { ..., "attachments": [...] } }
+ *   Response 404 Not Found: { "status": "error", "message": "...", "code": "EMAIL_NOT_FOUND" }
+ *
+ * POST /emails/:id/actions
+ *   Applies a mailbox action to the message over IMAP (signed like POST /webhook), connecting
+ *   to the email's account (GMAIL_USER/GMAIL_APP_PASSWORD, or the accounts file); the message is
+ *   looked up in IMAP_ALL_MAIL_FOLDER (by Gmail message ID, or by Message-ID header on servers
+ *   without Gmail extensions).
+ *   Payload: { "action": "mark_read"|"mark_unread"|"add_labels"|"remove_labels"|"archive"|"trash",
+ *              "labels": ["..."] (add_labels/remove_labels only) }
+ *   Every request is recorded in the email_actions table; label changes are mirrored
+ *   into the stored email's labels.
+ *   Response 200 OK: { "status": "success", "id": "...", "action": "...", "labels": [...] }
+ *   Response 400 Bad Request: { "status": "error", "message": "...", "code": "INVALID_ACTION"|... }
+ *   Response 404 Not Found: { "status": "error", "message": "...", "code": "EMAIL_NOT_FOUND"|"MESSAGE_NOT_IN_MAILBOX" }
+ *   Response 502 Bad Gateway: { "status": "error", "message": "...", "code": "MAILBOX_ERROR" }
+ *   Response 503 Service Unavailable: { "status": "error", "message": "...", "code": "MAILBOX_UNAVAILABLE" }
+ *
+ * GET /threads/:thread_id
+ *   Returns every email in a thread in chronological order.
+ *   Gmail emails use Gmail's thread ids; others are threaded from Message-ID/References
+ *   (see threading.js) and have ids like "t-3f2a...".
+ *   Query parameters (optional):
+ *     view - "list" (default) or "tree" for the reply hierarchy
+ *   Response 200 OK: { "status": "success", "thread_id": "...", "emails": [...] }
+ *   Response 200 OK (view=tree): { "status": "success", "thread_id": "...", "count": 3,
+ *     "roots": [{ "email": { "id": "...", "message_id": "...", "subject": "...", ... }, "children": [...] }] }
+ *   Response 400 Bad Request: { "status": "error", "message": "...", "code": "INVALID_QUERY" }
+ *   Response 404 Not Found: { "status": "error", "message": "...", "code": "THREAD_NOT_FOUND" }
+ *
+ * GET /events
+ *   Server-Sent Events stream with an `email.received` event for every email stored from
+ *   now on (by this server or the IMAP monitor). Event ids are increasing sequence numbers;
+ *   reconnecting with a Last-Event-ID header (or ?last_event_id=) replays what was missed.
+ *   A comment line is sent every 15 seconds as a heartbeat.
+ *   Besides the signature headers, a signed URL is accepted (see signUrl in
+ *   webhook-signature.js): "/events?label=Work&expires=<unix seconds>&signature=sha256%3D...",
+ *   expiring at most SIGNED_URL_MAX_SECONDS (default 7 days) ahead. It can be requested
+ *   again until it expires, so a browser EventSource can use it and reconnect.
+ *   Query parameters (all optional):
+ *     from  - sender contains this text
+ *     label - has this label
+ *   Event: "id: 42\nevent: email.received\ndata: { "id": "...", "from_address": "...", "subject": "...", "labels": [...], ... }"
+ *   Response 400 Bad Request: { "status": "error", "message": "...", "code": "INVALID_QUERY" }
+ *
+ * GET /deliveries
+ *   Lists outbound event deliveries to subscribers (see subscribers.js), newest first.
+ *   Query parameters (all optional):
+ *     status     - pending, delivered or dead
+ *     subscriber - subscriber name
+ *     email_id   - deliveries of this email's events
+ *     limit      - page size (default 50, max 200)
+ *     cursor     - next_cursor from the previous page
+ *   Response 200 OK: {
+ *     "status": "success",
+ *     "counts": { "pending": 0, "delivered": 12, "dead": 1 },
+ *     "deliveries": [{ "id": 1, "event_id": "...", "subscriber": "...", "status": "...", "attempts": 1,
+ *                      "next_attempt_at": "...", "last_error": "...", "last_status_code": 500, ... }],
+ *     "next_cursor": "..."|null
+ *   }
+ *   Response 400 Bad Request: { "status": "error", "message": "...", "code": "INVALID_QUERY" }
  *
  * GET /health
- *   Health check endpoint for monitoring.
- *   Response 200 OK: { "status": "healthy"|"degraded", "uptime": 123, "port": 8455, "database": "connected"|"disconnected", "timestamp": "..." }
+ *   Health check endpoint for monitoring; needs no signature. `imap` sums up the IMAP monitor's
+ *   connection status across accounts, as last recorded in its state file ("unknown" if the
+ *   monitor never ran). Requests with the read signature headers also get `accounts`, each
+ *   account's status with its name and last error; an invalid signature gets 401.
+ *   Response 200 OK: { "status": "healthy"|"degraded", "uptime": 123, "port": 8455, "database": "connected"|"disconnected",
+ *                      "imap": "connected"|"reconnecting"|"disconnected"|"unknown", "event_clients": 0, "timestamp": "...",
+ *                      "accounts": [{ "name": "...", "connection_status": "connected"|"reconnecting"|"disconnected",
+ *                                     "last_connected_at": "...", "last_error": null, "folders": ["INBOX"] }] (signed only) }
  */
 
 import http from 'http';
-import { initDatabase, storeEmail } from './database.js';
+import dotenv from 'dotenv';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import {
+  initDatabase,
+  assignUnownedEmails,
+  storeEmail,
+  getEmailById,
+  getEmailsByThread,
+  getThreadTree,
+  getRecentEmails,
+  getAttachmentsByEmail,
+  getEventDeliveries,
+  countEventDeliveries
+} from './database.js';
 import { logger } from './logger.js';
+import {
+  verifySignature,
+  verifySignedUrl,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  SIGNATURE_PARAM
+} from './webhook-signature.js';
+import { normalizeTimestamp, getDefaultTimeZone, isValidTimeZone } from './timestamps.js';
+import { serializeLabels } from './labels.js';
+import { ImapClient } from './imap-client.js';
+import { getPrimaryAccountName } from './accounts.js';
+import { readState, getAccountState } from './state-manager.js';
+import { validateActionRequest, performEmailAction } from './mailbox-actions.js';
+import { runRules } from './rules-engine.js';
+import { enqueueEmailReceived, startDeliveryWorker, stopDeliveryWorker, DELIVERY_STATUSES } from './subscribers.js';
+import {
+  addEventClient,
+  wakeEventStream,
+  closeEventClients,
+  countEventClients,
+  parseLastEventId
+} from './event-stream.js';
+
+// Load .env file from project root (webhook secrets)
+dotenv.config({ path: resolve(dirname(fileURLToPath(import.meta.url)), '..', '.env') });
 
 // Configuration
 const PORT = 8455;
 const DB_PATH = './data/emails.db';
+const STATE_PATH = process.env.STATE_FILE_PATH || './data/current_state.json';
 const MAX_PAYLOAD_SIZE = 1048576; // 1MB in bytes
+const MAX_BATCH_PAYLOAD_SIZE = 10485760; // 10MB in bytes
+const MAX_BATCH_ITEMS = 100;
+
+// Webhook signing secrets: current, plus the previous one while rotating
+const WEBHOOK_SECRETS = [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS || '300', 10);
+// Longest lifetime of a signed GET /events URL (default 7 days)
+const SIGNED_URL_MAX_SECONDS = parseInt(process.env.SIGNED_URL_MAX_SECONDS || '604800', 10);
+
+// Signatures accepted within the tolerance window; a request is only accepted once
+const seenSignatures = new Map();
 
 // T002: Correlation ID generator for request tracing
 function generateCorrelationId() {
@@ -59,14 +227,59 @@ const REQUIRED_FIELDS = [
   'body'
 ];
 
+// Optional fields shared with the IMAP path (string when present)
+const OPTIONAL_STRING_FIELDS = ['body_text', 'body_html', 'broadcasted_at', 'timezone'];
+
+// Payload fields copied into the stored record; anything else (flags, is_read, uid, folder,
+// account, deleted_at, source, ...) is set by the server or the IMAP monitor, never by senders
+const STORED_FIELDS = [
+  ...REQUIRED_FIELDS,
+  'to_address',
+  'cc_address',
+  'body_text',
+  'body_html'
+];
+
+// Timestamp fields normalized to UTC ISO 8601 before storage
+const TIMESTAMP_FIELDS = ['received_at', 'downloaded_at', 'broadcasted_at'];
+
+// Page size bounds for GET /emails
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
 // Server start time for uptime calculation (T023)
 const SERVER_START_TIME = Date.now();
 
+// The webhook is reachable through the public tunnel, so refuse to run unsigned
+if (WEBHOOK_SECRETS.length === 0) {
+  logger.error('WEBHOOK_SECRET is not set; refusing to accept unsigned webhook requests');
+  process.exit(1);
+}
+
+// Lazily connected IMAP clients for mailbox actions, and pending connections, by account name
+const actionClients = new Map();
+const actionClientPromises = new Map();
+
+// Webhook emails belong to the primary account
+let primaryAccount;
+try {
+  primaryAccount = getPrimaryAccountName();
+} catch (error) {
+  logger.error('Accounts file invalid', { error: error.message });
+  process.exit(1);
+}
+
 // Initialize database connection
 let db;
 try {
   db = initDatabase(DB_PATH);
   logger.info('Database initialized', { path: DB_PATH });
+
+  // Emails stored before accounts existed belong to the primary account
+  const assigned = assignUnownedEmails(db, primaryAccount);
+  if (assigned > 0) {
+    logger.info('Assigned stored emails to primary account', { account: primaryAccount, count: assigned });
+  }
 } catch (error) {
   logger.error('Database initialization failed', { error: error.message });
   process.exit(1);
@@ -100,9 +313,84 @@ function validatePayload(payload) {
     }
   }
 
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    if (payload[field] !== undefined && payload[field] !== null && typeof payload[field] !== 'string') {
+      return {
+        valid: false,
+        message: `Field '${field}' must be a string, got ${typeof payload[field]}`,
+        code: 'VALIDATION_ERROR'
+      };
+    }
+  }
+
+  // labels: array of strings, JSON array string, or comma-separated string
+  if (payload.labels !== undefined && payload.labels !== null && serializeLabels(payload.labels) === null) {
+    return {
+      valid: false,
+      message: "Field 'labels' must be an array of strings or a comma-separated string",
+      code: 'VALIDATION_ERROR'
+    };
+  }
+
+  // Timestamps must parse; offset-less values are read in the payload's timezone
+  if (payload.timezone && !isValidTimeZone(payload.timezone)) {
+    return {
+      valid: false,
+      message: `Field 'timezone' is not a known IANA timezone: ${payload.timezone}`,
+      code: 'INVALID_TIMESTAMP'
+    };
+  }
+  const timeZone = payload.timezone || getDefaultTimeZone();
+  for (const field of TIMESTAMP_FIELDS) {
+    const value = payload[field];
+    if (value !== undefined && value !== null && value !== '' && !normalizeTimestamp(value, timeZone)) {
+      return {
+        valid: false,
+        message: `Field '${field}' is not a recognized timestamp: ${value}`,
+        code: 'INVALID_TIMESTAMP'
+      };
+    }
+  }
+
+  // headers: object, or a string containing a JSON object
+  if (payload.headers !== undefined && payload.headers !== null && payload.headers !== '') {
+    let headers = payload.headers;
+    if (typeof headers === 'string') {
+      try {
+        headers = JSON.parse(headers);
+      } catch (error) {
+        headers = null;
+      }
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      return {
+        valid: false,
+        message: "Field 'headers' must be a JSON object",
+        code: 'VALIDATION_ERROR'
+      };
+    }
+  }
+
   return { valid: true };
 }
 
+// Copy the stored fields, serialized into the column formats, and record provenance
+function normalizePayload(payload, correlationId) {
+  const headers = payload.headers;
+  const timeZone = payload.timezone || getDefaultTimeZone();
+  return {
+    ...Object.fromEntries(STORED_FIELDS.map(field => [field, payload[field]])),
+    headers: headers && typeof headers === 'object' ? JSON.stringify(headers) : (headers || null),
+    labels: serializeLabels(payload.labels),
+    received_at: normalizeTimestamp(payload.received_at, timeZone),
+    downloaded_at: normalizeTimestamp(payload.downloaded_at, timeZone),
+    broadcasted_at: payload.broadcasted_at ? normalizeTimestamp(payload.broadcasted_at, timeZone) : null,
+    source: 'webhook',
+    ingestion_id: correlationId,
+    account: primaryAccount
+  };
+}
+
 // T011: Format success response
 function formatSuccessResponse(messageId, action) {
   return {
@@ -121,39 +409,110 @@ function formatErrorResponse(message, code) {
   };
 }
 
-// T007: Parse JSON request body
-function parseRequestBody(req) {
+// Send a JSON response
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Opaque pagination cursor: the sort key of the last email on a page
+function encodeCursor(email) {
+  return Buffer.from(JSON.stringify([email.downloaded_at, email.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(key) && key.length === 2 && key.every(part => typeof part === 'string')) {
+      return { downloaded_at: key[0], id: key[1] };
+    }
+  } catch (error) {
+    // Fall through to invalid cursor
+  }
+  return null;
+}
+
+// Decode a URL path segment (null if malformed)
+function decodePathParam(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse and validate GET /emails query parameters
+function parseEmailQuery(params) {
+  const invalid = message => ({ valid: false, message, code: 'INVALID_QUERY' });
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (params.has('limit')) {
+    limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return invalid(`Parameter 'limit' must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let before;
+  if (params.has('cursor')) {
+    before = decodeCursor(params.get('cursor'));
+    if (!before) {
+      return invalid("Parameter 'cursor' is invalid");
+    }
+  }
+
+  const dateRange = {};
+  for (const [param, bound] of [['since', 'start'], ['until', 'end']]) {
+    if (params.has(param)) {
+      const time = Date.parse(params.get(param));
+      if (Number.isNaN(time)) {
+        return invalid(`Parameter '${param}' must be a timestamp`);
+      }
+      dateRange[bound] = new Date(time).toISOString();
+    }
+  }
+
+  return {
+    valid: true,
+    limit,
+    options: {
+      before,
+      from: params.get('from') || undefined,
+      label: params.get('label') || undefined,
+      threadId: params.get('thread_id') || undefined,
+      account: params.get('account') || undefined,
+      dateRange
+    }
+  };
+}
+
+// T007: Read raw request body (kept as bytes so the signature can be verified)
+function readRequestBody(req, maxSize = MAX_PAYLOAD_SIZE) {
   return new Promise((resolve, reject) => {
-    let body = '';
+    const chunks = [];
     let size = 0;
+    let tooLarge = false;
 
     req.on('data', chunk => {
       size += chunk.length;
 
-      // T018: Check payload size limit (1MB max)
-      if (size > MAX_PAYLOAD_SIZE) {
+      // T018: Check payload size limit (1MB max, 10MB for batches)
+      if (size > maxSize) {
+        tooLarge = true;
         reject({
-          message: 'Payload too large (max 1MB)',
+          message: `Payload too large (max ${maxSize / 1048576}MB)`,
           code: 'PAYLOAD_TOO_LARGE',
           statusCode: 400
         });
         return;
       }
 
-      body += chunk.toString();
+      chunks.push(chunk);
     });
 
     req.on('end', () => {
-      try {
-        const parsed = JSON.parse(body);
-        resolve(parsed);
-      } catch (error) {
-        // T016: Handle JSON parse errors
-        reject({
-          message: 'Invalid JSON in request body',
-          code: 'INVALID_JSON',
-          statusCode: 400
-        });
+      if (!tooLarge) {
+        resolve(Buffer.concat(chunks));
       }
     });
 
@@ -167,6 +526,115 @@ function parseRequestBody(req) {
   });
 }
 
+// Parse JSON request body
+function parseRequestBody(rawBody) {
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    // T016: Handle JSON parse errors
+    throw {
+      message: 'Invalid JSON in request body',
+      code: 'INVALID_JSON',
+      statusCode: 400
+    };
+  }
+}
+
+// Verify HMAC signature and timestamp headers
+function verifyRequestSignature(req, rawBody) {
+  return verifySignature({
+    signature: req.headers[SIGNATURE_HEADER],
+    timestamp: req.headers[TIMESTAMP_HEADER],
+    body: rawBody
+  }, WEBHOOK_SECRETS, SIGNATURE_TOLERANCE_SECONDS, Date.now(), seenSignatures);
+}
+
+// Authenticate a request that reads stored data: signed like POST /webhook, with the
+// request target (path and query string) in place of the body. Replies 401 if invalid.
+function authenticateRead(req, res, correlationId) {
+  return checkSignature(req, res, correlationId, verifyRequestSignature(req, Buffer.from(req.url)));
+}
+
+// Authenticate GET /events: signed headers, or a signed URL for clients that can't send
+// headers (a browser EventSource). A signed URL is accepted until it expires, so the
+// EventSource can reconnect with it and resume from Last-Event-ID.
+function authenticateEvents(req, res, correlationId, params) {
+  if (!params.has(SIGNATURE_PARAM)) {
+    return authenticateRead(req, res, correlationId);
+  }
+  return checkSignature(req, res, correlationId, verifySignedUrl(req.url, WEBHOOK_SECRETS, SIGNED_URL_MAX_SECONDS));
+}
+
+// Reply 401 unless a signature check passed
+function checkSignature(req, res, correlationId, signature) {
+  if (signature.valid) {
+    return true;
+  }
+
+  logger.warn('Signature verification failed', { correlationId, path: req.url, error: signature.message });
+  sendJson(res, 401, formatErrorResponse(signature.message, 'INVALID_SIGNATURE'));
+  return false;
+}
+
+// Check Content-Type, read, authenticate and parse a signed JSON request
+// Rejects with { message, code, statusCode } like readRequestBody
+async function readSignedJsonBody(req, maxSize = MAX_PAYLOAD_SIZE) {
+  const contentType = req.headers['content-type'];
+  if (!contentType || !contentType.includes('application/json')) {
+    throw {
+      message: 'Content-Type must be application/json',
+      code: 'INVALID_CONTENT_TYPE',
+      statusCode: 400
+    };
+  }
+
+  const rawBody = await readRequestBody(req, maxSize);
+
+  const signature = verifyRequestSignature(req, rawBody);
+  if (!signature.valid) {
+    throw {
+      message: signature.message,
+      code: 'INVALID_SIGNATURE',
+      statusCode: 401
+    };
+  }
+
+  return parseRequestBody(rawBody);
+}
+
+// T010: Store a validated payload, returning false for duplicates
+// Subscriber events are queued in the same transaction as the email
+function storePayload(payload, correlationId) {
+  try {
+    return db.transaction(() => {
+      const record = normalizePayload(payload, correlationId);
+      const stored = storeEmail(db, record);
+      if (stored) {
+        enqueueEmailReceived(db, record);
+        wakeEventStream();
+      }
+      return stored;
+    })();
+  } catch (error) {
+    // T014: Handle duplicate message IDs (UNIQUE constraint errors)
+    if (error.message && error.message.includes('UNIQUE constraint failed')) {
+      return false; // Treat as duplicate
+    }
+    // T019: Handle other database errors
+    throw error;
+  }
+}
+
+// Run the rules engine on a stored email after the response is sent
+// Failures are logged only; the sender already got its result
+function applyRules(id, correlationId) {
+  Promise.resolve()
+    .then(() => runRules(getEmailById(db, id), { db, getImapClient: () => getActionClient(primaryAccount), correlationId }))
+    .catch(error => {
+      logger.error('Rules evaluation failed', { correlationId, messageId: id, error: error.message });
+    });
+}
+
 // T008: POST /webhook route handler
 async function handleWebhookPost(req, res, correlationId) {
   const startTime = Date.now();
@@ -185,10 +653,24 @@ async function handleWebhookPost(req, res, correlationId) {
       return;
     }
 
-    // Parse request body
+    // Read, authenticate and parse request body
     let payload;
     try {
-      payload = await parseRequestBody(req);
+      const rawBody = await readRequestBody(req);
+
+      const signature = verifyRequestSignature(req, rawBody);
+      if (!signature.valid) {
+        logger.warn('Signature verification failed', { correlationId, error: signature.message });
+
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(formatErrorResponse(signature.message, 'INVALID_SIGNATURE')));
+
+        const latency = Date.now() - startTime;
+        logger.info('Response sent', { correlationId, statusCode: 401, latencyMs: latency });
+        return;
+      }
+
+      payload = parseRequestBody(rawBody);
       messageId = payload.id || null;
     } catch (parseError) {
       // T016: Handle JSON parse errors and T018: payload size errors
@@ -233,18 +715,7 @@ async function handleWebhookPost(req, res, correlationId) {
     }
 
     // T010: Store email in database
-    let wasStored;
-    try {
-      wasStored = storeEmail(db, payload);
-    } catch (error) {
-      // T014: Handle duplicate message IDs (UNIQUE constraint errors)
-      if (error.message && error.message.includes('UNIQUE constraint failed')) {
-        wasStored = false; // Treat as duplicate
-      } else {
-        // T019: Handle other database errors
-        throw error;
-      }
-    }
+    const wasStored = storePayload(payload, correlationId);
 
     const action = wasStored ? 'stored' : 'skipped';
 
@@ -262,6 +733,10 @@ async function handleWebhookPost(req, res, correlationId) {
     const latency = Date.now() - startTime;
     logger.info('Response sent', { correlationId, statusCode: 200, latencyMs: latency });
 
+    if (wasStored) {
+      applyRules(payload.id, correlationId);
+    }
+
   } catch (error) {
     // T019: Database error handling
     // T020: Error logging with full details
@@ -283,8 +758,350 @@ async function handleWebhookPost(req, res, correlationId) {
   }
 }
 
+// POST /webhook/batch route handler
+async function handleWebhookBatchPost(req, res, correlationId) {
+  const startTime = Date.now();
+
+  const sendResponse = (statusCode, body) => {
+    sendJson(res, statusCode, body);
+    const latency = Date.now() - startTime;
+    logger.info('Response sent', { correlationId, statusCode, latencyMs: latency });
+  };
+
+  let payloads;
+  try {
+    payloads = await readSignedJsonBody(req, MAX_BATCH_PAYLOAD_SIZE);
+  } catch (requestError) {
+    logger.warn('Request rejected', { correlationId, error: requestError.message, code: requestError.code });
+    sendResponse(requestError.statusCode || 400, formatErrorResponse(requestError.message, requestError.code));
+    return;
+  }
+
+  if (!Array.isArray(payloads) || payloads.length === 0 || payloads.length > MAX_BATCH_ITEMS) {
+    sendResponse(400, formatErrorResponse(
+      `Request body must be an array of 1 to ${MAX_BATCH_ITEMS} email payloads`,
+      'INVALID_BATCH'
+    ));
+    return;
+  }
+
+  logger.info('Request received', {
+    method: 'POST',
+    path: '/webhook/batch',
+    correlationId,
+    count: payloads.length
+  });
+
+  let results;
+  try {
+    // One transaction for the whole batch; a failing item only rolls back its own insert
+    results = db.transaction(() => payloads.map((payload, index) => {
+      const id = payload && typeof payload.id === 'string' ? payload.id : null;
+
+      const validation = payload && typeof payload === 'object' && !Array.isArray(payload)
+        ? validatePayload(payload)
+        : { valid: false, message: 'Item must be a JSON object', code: 'VALIDATION_ERROR' };
+      if (!validation.valid) {
+        return { index, id, result: 'error', message: validation.message, code: validation.code };
+      }
+
+      try {
+        return { index, id, result: storePayload(payload, correlationId) ? 'stored' : 'skipped' };
+      } catch (error) {
+        logger.error('Batch item storage failed', { correlationId, messageId: id, error: error.message });
+        return { index, id, result: 'error', message: 'Database operation failed', code: 'DATABASE_ERROR' };
+      }
+    }))();
+  } catch (error) {
+    logger.error('Database operation failed', { correlationId, error: error.message, stack: error.stack });
+    sendResponse(500, formatErrorResponse('Database operation failed', 'DATABASE_ERROR'));
+    return;
+  }
+
+  const count = result => results.filter(item => item.result === result).length;
+  const summary = { stored: count('stored'), skipped: count('skipped'), failed: count('error') };
+
+  logger.info('Batch processed', { correlationId, ...summary });
+  sendResponse(200, { status: 'success', results, ...summary });
+
+  for (const item of results) {
+    if (item.result === 'stored') {
+      applyRules(item.id, correlationId);
+    }
+  }
+}
+
+// Connect (or reuse) the IMAP client used for an account's mailbox actions
+async function getActionClient(accountName) {
+  const current = actionClients.get(accountName);
+  if (current && current.isReady()) {
+    return current;
+  }
+
+  if (!actionClientPromises.has(accountName)) {
+    actionClientPromises.set(accountName, (async () => {
+      // Loaded on demand so the server runs without Gmail credentials until an action is requested
+      const { config } = await import('./config.js');
+      const account = config.accounts.find(entry => entry.name === accountName);
+      if (!account) {
+        throw new Error(`Account not configured: ${accountName}`);
+      }
+      const client = new ImapClient(account, account.imap.allMailFolder);
+
+      // Drop the client when its connection goes away; the next action reconnects
+      const drop = () => {
+        if (actionClients.get(accountName) === client) {
+          actionClients.delete(accountName);
+        }
+      };
+      client.on('error', drop);
+      client.on('end', drop);
+
+      try {
+        await client.connect();
+      } catch (error) {
+        client.disconnect();
+        throw error;
+      }
+
+      actionClients.set(accountName, client);
+      return client;
+    })().finally(() => {
+      actionClientPromises.delete(accountName);
+    }));
+  }
+
+  return actionClientPromises.get(accountName);
+}
+
+// POST /emails/:id/actions route handler
+async function handleEmailActionPost(req, res, correlationId, id) {
+  const startTime = Date.now();
+
+  const sendResponse = (statusCode, body) => {
+    sendJson(res, statusCode, body);
+    const latency = Date.now() - startTime;
+    logger.info('Response sent', { correlationId, statusCode, latencyMs: latency });
+  };
+
+  let request;
+  try {
+    request = await readSignedJsonBody(req);
+  } catch (requestError) {
+    logger.warn('Request rejected', { correlationId, error: requestError.message, code: requestError.code });
+    sendResponse(requestError.statusCode || 400, formatErrorResponse(requestError.message, requestError.code));
+    return;
+  }
+
+  const validation = validateActionRequest(request);
+  if (!validation.valid) {
+    sendResponse(400, formatErrorResponse(validation.message, 'INVALID_ACTION'));
+    return;
+  }
+
+  logger.info('Request received', {
+    method: 'POST',
+    path: '/emails/:id/actions',
+    correlationId,
+    messageId: id,
+    action: request.action
+  });
+
+  const email = getEmailById(db, id);
+  if (!email) {
+    sendResponse(404, formatErrorResponse(`Email not found: ${id}`, 'EMAIL_NOT_FOUND'));
+    return;
+  }
+
+  let client;
+  try {
+    client = await getActionClient(email.account || primaryAccount);
+  } catch (error) {
+    logger.error('Mailbox connection failed', { correlationId, account: email.account, error: error.message });
+    sendResponse(503, formatErrorResponse('Mailbox connection unavailable', 'MAILBOX_UNAVAILABLE'));
+    return;
+  }
+
+  try {
+    const result = await performEmailAction(db, client, email, request.action, validation.labels, {
+      trashFolder: client.config.imap.trashFolder,
+      archiveFolder: client.config.imap.archiveFolder,
+      correlationId
+    });
+
+    if (!result.found) {
+      sendResponse(404, formatErrorResponse(
+        `Message not found in ${client.mailbox}: ${id}`,
+        'MESSAGE_NOT_IN_MAILBOX'
+      ));
+      return;
+    }
+
+    sendResponse(200, { status: 'success', id, action: request.action, labels: result.labels });
+  } catch (error) {
+    logger.error('Email action failed', { correlationId, messageId: id, action: request.action, error: error.message });
+    sendResponse(502, formatErrorResponse(error.message, 'MAILBOX_ERROR'));
+  }
+}
+
+// Parse and validate GET /deliveries query parameters
+function parseDeliveryQuery(params) {
+  const invalid = message => ({ valid: false, message, code: 'INVALID_QUERY' });
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (params.has('limit')) {
+    limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return invalid(`Parameter 'limit' must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let before;
+  if (params.has('cursor')) {
+    before = Number(params.get('cursor'));
+    if (!Number.isInteger(before) || before < 1) {
+      return invalid("Parameter 'cursor' is invalid");
+    }
+  }
+
+  const status = params.get('status') || undefined;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return invalid(`Parameter 'status' must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  return {
+    valid: true,
+    limit,
+    options: {
+      before,
+      status,
+      subscriber: params.get('subscriber') || undefined,
+      emailId: params.get('email_id') || undefined
+    }
+  };
+}
+
+// GET /deliveries route handler
+function handleDeliveriesGet(req, res, correlationId, params) {
+  const query = parseDeliveryQuery(params);
+  if (!query.valid) {
+    logger.warn('Invalid query', { correlationId, path: req.url, error: query.message });
+    sendJson(res, 400, formatErrorResponse(query.message, query.code));
+    return;
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const rows = getEventDeliveries(db, query.limit + 1, query.options);
+  const deliveries = rows.slice(0, query.limit);
+  const nextCursor = rows.length > query.limit ? String(deliveries[deliveries.length - 1].id) : null;
+
+  sendJson(res, 200, {
+    status: 'success',
+    counts: countEventDeliveries(db),
+    deliveries,
+    next_cursor: nextCursor
+  });
+  logger.info('Deliveries listed', { correlationId, count: deliveries.length, hasMore: nextCursor !== null });
+}
+
+// GET /events route handler (Server-Sent Events)
+function handleEventsGet(req, res, correlationId, params) {
+  const lastEventId = parseLastEventId(req.headers['last-event-id'] ?? params.get('last_event_id') ?? undefined);
+  if (lastEventId === null) {
+    sendJson(res, 400, formatErrorResponse('Last-Event-ID must be a non-negative integer', 'INVALID_QUERY'));
+    return;
+  }
+
+  addEventClient(db, req, res, {
+    lastEventId,
+    from: params.get('from') || undefined,
+    label: params.get('label') || undefined,
+    correlationId
+  });
+}
+
+// GET /emails route handler
+function handleEmailsGet(req, res, correlationId, params) {
+  const query = parseEmailQuery(params);
+  if (!query.valid) {
+    logger.warn('Invalid query', { correlationId, path: req.url, error: query.message });
+    sendJson(res, 400, formatErrorResponse(query.message, query.code));
+    return;
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const rows = getRecentEmails(db, query.limit + 1, query.options);
+  const emails = rows.slice(0, query.limit);
+  const nextCursor = rows.length > query.limit ? encodeCursor(emails[emails.length - 1]) : null;
+
+  sendJson(res, 200, { status: 'success', emails, next_cursor: nextCursor });
+  logger.info('Emails listed', { correlationId, count: emails.length, hasMore: nextCursor !== null });
+}
+
+// GET /emails/:id route handler
+function handleEmailGet(req, res, correlationId, id) {
+  const email = getEmailById(db, id);
+  if (!email) {
+    logger.info('Email not found', { correlationId, messageId: id });
+    sendJson(res, 404, formatErrorResponse(`Email not found: ${id}`, 'EMAIL_NOT_FOUND'));
+    return;
+  }
+
+  const attachments = getAttachmentsByEmail(db, id);
+  sendJson(res, 200, { status: 'success', email: { ...email, attachments } });
+  logger.info('Email returned', { correlationId, messageId: id });
+}
+
+// GET /threads/:thread_id route handler
+function handleThreadGet(req, res, correlationId, threadId, params) {
+  const view = params.get('view') || 'list';
+  if (view !== 'list' && view !== 'tree') {
+    sendJson(res, 400, formatErrorResponse("Parameter 'view' must be list or tree", 'INVALID_QUERY'));
+    return;
+  }
+
+  if (view === 'tree') {
+    const tree = getThreadTree(db, threadId);
+    if (!tree) {
+      logger.info('Thread not found', { correlationId, threadId });
+      sendJson(res, 404, formatErrorResponse(`Thread not found: ${threadId}`, 'THREAD_NOT_FOUND'));
+      return;
+    }
+
+    sendJson(res, 200, { status: 'success', ...tree });
+    logger.info('Thread tree returned', { correlationId, threadId, count: tree.count });
+    return;
+  }
+
+  const emails = getEmailsByThread(db, threadId);
+  if (emails.length === 0) {
+    logger.info('Thread not found', { correlationId, threadId });
+    sendJson(res, 404, formatErrorResponse(`Thread not found: ${threadId}`, 'THREAD_NOT_FOUND'));
+    return;
+  }
+
+  sendJson(res, 200, { status: 'success', thread_id: threadId, emails });
+  logger.info('Thread returned', { correlationId, threadId, count: emails.length });
+}
+
+// Wrap read-only query handlers with database error handling
+function handleQuery(req, res, correlationId, handler, ...args) {
+  try {
+    handler(req, res, correlationId, ...args);
+  } catch (error) {
+    logger.error('Database query failed', {
+      correlationId,
+      path: req.url,
+      error: error.message,
+      stack: error.stack
+    });
+    sendJson(res, 500, formatErrorResponse('Database query failed', 'DATABASE_ERROR'));
+  }
+}
+
 // T024: GET /health route handler
-function handleHealthGet(req, res, correlationId) {
+// Account names and errors are only included for signed requests (`detailed`)
+function handleHealthGet(req, res, correlationId, detailed) {
   const uptime = Math.floor((Date.now() - SERVER_START_TIME) / 1000); // seconds
 
   // T025: Check database connection
@@ -302,13 +1119,19 @@ function handleHealthGet(req, res, correlationId) {
   }
 
   // T026: Format health response
+  const accounts = getAccountStatuses(correlationId);
   const healthResponse = {
     status: overallStatus,
     uptime: uptime,
     port: PORT,
     database: databaseStatus,
+    imap: summarizeConnectionStatus(accounts),
+    event_clients: countEventClients(),
     timestamp: new Date().toISOString()
   };
+  if (detailed) {
+    healthResponse.accounts = accounts;
+  }
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify(healthResponse));
@@ -316,6 +1139,43 @@ function handleHealthGet(req, res, correlationId) {
   logger.info('Health check', { correlationId, status: overallStatus, uptime });
 }
 
+// Connection status of each account, from the IMAP monitor's state file
+function getAccountStatuses(correlationId) {
+  if (!existsSync(STATE_PATH)) {
+    return [];
+  }
+
+  try {
+    const state = readState(STATE_PATH);
+    return Object.keys(state.accounts).map(name => {
+      const account = getAccountState(state, name);
+      return {
+        name,
+        connection_status: account.connection_status,
+        last_connected_at: account.last_connected_at,
+        last_error: account.last_error,
+        folders: Object.keys(account.folders)
+      };
+    });
+  } catch (error) {
+    logger.warn('Health check: state file unreadable', { correlationId, error: error.message });
+    return [];
+  }
+}
+
+// Overall IMAP connection status: the worst of the accounts' statuses
+function summarizeConnectionStatus(accounts) {
+  if (accounts.length === 0) {
+    return 'unknown';
+  }
+  for (const status of ['disconnected', 'reconnecting']) {
+    if (accounts.some(account => account.connection_status === status)) {
+      return status;
+    }
+  }
+  return 'connected';
+}
+
 // T034: 404 Not Found handler for unknown routes
 function handle404(req, res, correlationId) {
   logger.warn('Endpoint not found', { correlationId, path: req.url });
@@ -347,18 +1207,72 @@ const server = http.createServer(async (req, res) => {
 
   // T021: Request error boundary - wrap all request handling in try-catch
   try {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+    const emailMatch = path.match(/^\/emails\/([^/]+)$/);
+    const actionMatch = path.match(/^\/emails\/([^/]+)\/actions$/);
+    const threadMatch = path.match(/^\/threads\/([^/]+)$/);
+
     // Route handling
-    if (req.url === '/webhook' || req.url === '/webhook/') {
+    if (path === '/webhook') {
       if (req.method === 'POST') {
         await handleWebhookPost(req, res, correlationId);
       } else {
         handle405(req, res, correlationId, 'POST');
       }
-    } else if (req.url === '/health' || req.url === '/health/') {
-      if (req.method === 'GET') {
-        handleHealthGet(req, res, correlationId);
+    } else if (path === '/webhook/batch') {
+      if (req.method === 'POST') {
+        await handleWebhookBatchPost(req, res, correlationId);
       } else {
+        handle405(req, res, correlationId, 'POST');
+      }
+    } else if (path === '/health') {
+      if (req.method !== 'GET') {
+        handle405(req, res, correlationId, 'GET');
+      } else if (!req.headers[SIGNATURE_HEADER]) {
+        handleHealthGet(req, res, correlationId, false);
+      } else if (authenticateRead(req, res, correlationId)) {
+        handleHealthGet(req, res, correlationId, true);
+      }
+    } else if (path === '/emails') {
+      if (req.method !== 'GET') {
         handle405(req, res, correlationId, 'GET');
+      } else if (authenticateRead(req, res, correlationId)) {
+        handleQuery(req, res, correlationId, handleEmailsGet, url.searchParams);
+      }
+    } else if (path === '/events') {
+      if (req.method !== 'GET') {
+        handle405(req, res, correlationId, 'GET');
+      } else if (authenticateEvents(req, res, correlationId, url.searchParams)) {
+        handleQuery(req, res, correlationId, handleEventsGet, url.searchParams);
+      }
+    } else if (path === '/deliveries') {
+      if (req.method !== 'GET') {
+        handle405(req, res, correlationId, 'GET');
+      } else if (authenticateRead(req, res, correlationId)) {
+        handleQuery(req, res, correlationId, handleDeliveriesGet, url.searchParams);
+      }
+    } else if (actionMatch) {
+      const param = decodePathParam(actionMatch[1]);
+      if (req.method !== 'POST') {
+        handle405(req, res, correlationId, 'POST');
+      } else if (param === null) {
+        sendJson(res, 400, formatErrorResponse('Malformed path parameter', 'INVALID_QUERY'));
+      } else {
+        await handleEmailActionPost(req, res, correlationId, param);
+      }
+    } else if (emailMatch || threadMatch) {
+      const param = decodePathParam((emailMatch || threadMatch)[1]);
+      if (req.method !== 'GET') {
+        handle405(req, res, correlationId, 'GET');
+      } else if (param === null) {
+        sendJson(res, 400, formatErrorResponse('Malformed path parameter', 'INVALID_QUERY'));
+      } else if (authenticateRead(req, res, correlationId)) {
+        if (emailMatch) {
+          handleQuery(req, res, correlationId, handleEmailGet, param);
+        } else {
+          handleQuery(req, res, correlationId, handleThreadGet, param, url.searchParams);
+        }
       }
     } else {
       handle404(req, res, correlationId);
@@ -398,10 +1312,20 @@ process.on('SIGINT', () => {
 function shutdown() {
   logger.info('Stopping HTTP server');
 
+  for (const client of actionClients.values()) {
+    client.disconnect();
+  }
+
+  // SSE connections stay open indefinitely; end them so the server can close
+  closeEventClients();
+
   // T030: Close HTTP server (stop accepting new requests)
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
 
+    // Let in-flight event deliveries record their outcome
+    await stopDeliveryWorker();
+
     // T032: Close database connection
     try {
       db.close();
@@ -435,5 +1359,7 @@ server.listen(PORT, () => {
     databasePath: DB_PATH
   });
   logger.info(`Webhook server listening on port ${PORT}`);
-  logger.info(`Endpoints: POST /webhook, GET /health`);
+  logger.info(`Endpoints: POST /webhook, POST /webhook/batch, GET /emails, GET /emails/:id, POST /emails/:id/actions, GET /threads/:thread_id, GET /events, GET /deliveries, GET /health`);
+
+  startDeliveryWorker(db);
 });
@@ -0,0 +1,162 @@
+/**
+ * HMAC-SHA256 webhook request signing
+ *
+ * The signature covers `<timestamp>.<raw body>` so a captured request can't be
+ * replayed with a new timestamp, and verifiers that remember accepted signatures
+ * reject a replay with the original one while its timestamp is still valid. Headers:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex digest>
+ *
+ * Requests without a body (the webhook server's GET routes) sign their request
+ * target, e.g. "/emails?limit=10", in its place.
+ *
+ * Clients that can't send headers (a browser EventSource) use a signed URL instead:
+ * `expires` and `signature` query parameters, the signature covering
+ * `<expires>.<target up to the signature>`. A signed URL can be requested again until
+ * it expires, so an EventSource can reconnect with it.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+export const EXPIRES_PARAM = 'expires';
+export const SIGNATURE_PARAM = 'signature';
+
+/**
+ * Compute the signature header value for a request
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} - `sha256=<hex digest>`
+ */
+export function computeSignature(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a signature against the signature of each accepted secret
+ * @private
+ * @param {string} signature - Received signature
+ * @param {Array<string>} secrets - Accepted secrets
+ * @param {string|number} timestamp - Signed timestamp
+ * @param {Buffer|string} body - Signed content
+ * @returns {boolean}
+ */
+function matchesSecret(signature, secrets, timestamp, body) {
+  const received = Buffer.from(signature);
+  return secrets.some(secret => {
+    const expected = Buffer.from(computeSignature(secret, timestamp, body));
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  });
+}
+
+/**
+ * Verify a signed request against one or more accepted secrets
+ * Several secrets may be active at once so a secret can be rotated without downtime.
+ * @param {Object} request
+ * @param {string} request.signature - Signature header value
+ * @param {string} request.timestamp - Timestamp header value
+ * @param {Buffer|string} request.body - Raw request body
+ * @param {Array<string>} secrets - Accepted secrets
+ * @param {number} toleranceSeconds - Maximum allowed clock difference
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @param {Map<string, number>} [seen] - Signatures already accepted (with the time they expire);
+ *   a signature found here is rejected, a newly accepted one is added
+ * @returns {{valid: boolean, message?: string}}
+ */
+export function verifySignature({ signature, timestamp, body }, secrets, toleranceSeconds, now = Date.now(), seen = null) {
+  if (!signature || !timestamp) {
+    return { valid: false, message: 'Missing signature or timestamp header' };
+  }
+
+  if (!/^\d+$/.test(timestamp)) {
+    return { valid: false, message: 'Invalid timestamp header' };
+  }
+
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (age > toleranceSeconds) {
+    return { valid: false, message: `Timestamp outside the ${toleranceSeconds}s replay window` };
+  }
+
+  if (!matchesSecret(signature, secrets, timestamp, body)) {
+    return { valid: false, message: 'Signature mismatch' };
+  }
+
+  if (seen) {
+    // Past its expiry a signature fails the timestamp check, so it needn't be remembered
+    for (const [seenSignature, expiresAt] of seen) {
+      if (expiresAt < now) {
+        seen.delete(seenSignature);
+      }
+    }
+    if (seen.has(signature)) {
+      return { valid: false, message: 'Signature already used' };
+    }
+    seen.set(signature, (Number(timestamp) + toleranceSeconds) * 1000);
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Sign a request target so it can be requested without headers until it expires
+ * @param {string} secret - Shared secret
+ * @param {string} target - Path and query string, e.g. "/events?label=Work"
+ * @param {number} expires - Unix timestamp in seconds after which the URL is refused
+ * @returns {string} - Target with `expires` and `signature` query parameters appended
+ */
+export function signUrl(secret, target, expires) {
+  const signed = `${target}${target.includes('?') ? '&' : '?'}${EXPIRES_PARAM}=${expires}`;
+  return `${signed}&${SIGNATURE_PARAM}=${encodeURIComponent(computeSignature(secret, expires, signed))}`;
+}
+
+/**
+ * Verify a signed URL (see signUrl) against one or more accepted secrets
+ * Unlike signed headers, a signed URL is accepted any number of times until it expires.
+ * @param {string} target - Request target as received
+ * @param {Array<string>} secrets - Accepted secrets
+ * @param {number} maxLifetimeSeconds - Longest accepted time from now to `expires`
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {{valid: boolean, message?: string}}
+ */
+export function verifySignedUrl(target, secrets, maxLifetimeSeconds, now = Date.now()) {
+  const separator = target.lastIndexOf(`&${SIGNATURE_PARAM}=`);
+  if (separator < 0) {
+    return { valid: false, message: 'Missing signature parameter' };
+  }
+
+  const signed = target.slice(0, separator);
+  const query = signed.includes('?') ? signed.slice(signed.indexOf('?') + 1) : '';
+  // The last one is the one signUrl appended
+  const expires = new URLSearchParams(query).getAll(EXPIRES_PARAM).pop();
+  if (!/^\d+$/.test(expires ?? '')) {
+    return { valid: false, message: 'Invalid expires parameter' };
+  }
+
+  const remaining = Number(expires) - now / 1000;
+  if (remaining < 0) {
+    return { valid: false, message: 'Signed URL expired' };
+  }
+  if (remaining > maxLifetimeSeconds) {
+    return { valid: false, message: `Signed URL expires more than ${maxLifetimeSeconds}s from now` };
+  }
+
+  let signature;
+  try {
+    signature = decodeURIComponent(target.slice(separator + SIGNATURE_PARAM.length + 2));
+  } catch (error) {
+    // Malformed percent-encoding can't be a signature we issued
+    return { valid: false, message: 'Signature mismatch' };
+  }
+
+  if (!matchesSecret(signature, secrets, expires, signed)) {
+    return { valid: false, message: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
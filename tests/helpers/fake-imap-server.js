@@ -0,0 +1,114 @@
+/**
+ * Minimal IMAP server for tests
+ * Answers what ImapClient.connect() needs (CAPABILITY, LOGIN, AUTHENTICATE, LIST, SELECT,
+ * NOOP, LOGOUT); anything else can be scripted with `onCommand`.
+ */
+
+import net from 'node:net';
+
+/**
+ * Start a fake IMAP server on a free port
+ * @param {Object} [options]
+ * @param {string} [options.capabilities] - CAPABILITY response
+ * @param {Function} [options.login] - (user, password) => boolean
+ * @param {Function} [options.xoauth2] - (user, accessToken) => boolean
+ * @param {Object} [options.box] - SELECT response values { exists, uidvalidity, uidnext, highestmodseq }
+ * @param {Function} [options.onCommand] - (command, reply) => boolean; return true when handled.
+ *   command is { tag, name, args, line }; reply is { untagged(text), write(data), ok(text), no(text) },
+ *   write sending raw bytes (e.g. a FETCH response with literals)
+ * @returns {Promise<Object>} - { port, commands, sockets, broadcast(text), close() }
+ */
+export async function startFakeImapServer({
+  capabilities = 'IMAP4rev1 AUTH=XOAUTH2 SASL-IR IDLE',
+  login = () => true,
+  xoauth2 = () => true,
+  box = {},
+  onCommand = () => false,
+} = {}) {
+  const commands = [];
+  const sockets = new Set();
+  const { exists = 0, uidvalidity = 1, uidnext = 1, highestmodseq } = box;
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.write('* OK fake IMAP ready\r\n');
+
+    let buffer = '';
+    socket.on('data', data => {
+      buffer += data.toString('utf8');
+      for (let end = buffer.indexOf('\r\n'); end >= 0; end = buffer.indexOf('\r\n')) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (line === 'DONE') continue;
+
+        const [tag, name = '', ...rest] = line.split(' ');
+        const command = { tag, name: name.toUpperCase(), args: rest.join(' '), line };
+        commands.push(command);
+
+        const reply = {
+          untagged: text => socket.write(`* ${text}\r\n`),
+          write: data => socket.write(data),
+          ok: (text = 'done') => socket.write(`${tag} OK ${text}\r\n`),
+          no: (text = 'failed') => socket.write(`${tag} NO ${text}\r\n`),
+        };
+        if (onCommand(command, reply)) continue;
+
+        switch (command.name) {
+          case 'CAPABILITY':
+            reply.untagged(`CAPABILITY ${capabilities}`);
+            reply.ok();
+            break;
+          case 'LOGIN': {
+            const [user, password] = command.args.match(/"(?:[^"\\]|\\.)*"|\S+/g).map(value => value.replace(/^"|"$/g, ''));
+            if (login(user, password)) reply.ok(); else reply.no('[AUTHENTICATIONFAILED] Invalid credentials');
+            break;
+          }
+          case 'AUTHENTICATE': {
+            const decoded = Buffer.from(command.args.split(' ')[1] || '', 'base64').toString('utf8');
+            const [, user, token] = decoded.match(/^user=([^\x01]*)\x01auth=Bearer ([^\x01]*)\x01\x01$/) || [];
+            if (user && xoauth2(user, token)) reply.ok(); else reply.no('[AUTHENTICATIONFAILED] Invalid credentials');
+            break;
+          }
+          case 'LIST':
+            reply.untagged('LIST (\\HasNoChildren) "/" "INBOX"');
+            reply.ok();
+            break;
+          case 'SELECT':
+          case 'EXAMINE':
+            reply.untagged('FLAGS (\\Seen \\Deleted)');
+            reply.untagged(`${exists} EXISTS`);
+            reply.untagged(`OK [UIDVALIDITY ${uidvalidity}] UIDs valid`);
+            reply.untagged(`OK [UIDNEXT ${uidnext}] next UID`);
+            if (highestmodseq !== undefined) reply.untagged(`OK [HIGHESTMODSEQ ${highestmodseq}] modseq`);
+            reply.ok('[READ-WRITE] selected');
+            break;
+          case 'LOGOUT':
+            reply.untagged('BYE');
+            reply.ok();
+            socket.end();
+            break;
+          case 'NOOP':
+            reply.ok();
+            break;
+          default:
+            socket.write(`${tag} BAD unknown command\r\n`);
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    commands,
+    sockets,
+    broadcast: text => sockets.forEach(socket => socket.write(text)),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    }),
+  };
+}
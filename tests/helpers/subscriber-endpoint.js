@@ -0,0 +1,35 @@
+/**
+ * Local subscriber endpoint stub for tests
+ * Records every delivery and answers with the scripted status codes in turn, then 200.
+ */
+
+import http from 'node:http';
+
+/**
+ * Start the subscriber endpoint on a free port
+ * @param {Object} [options]
+ * @param {Array<number>} [options.statuses] - Status codes of the first responses
+ * @returns {Promise<Object>} - { url, requests, close() }; requests are { headers, body }
+ */
+export async function startSubscriberEndpoint({ statuses = [] } = {}) {
+  const requests = [];
+  const pending = [...statuses];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(pending.shift() ?? 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/events`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Local OAuth2 token endpoint stub for tests
+ * Issues access tokens "at-1", "at-2", ... for the refresh token "rt-good" and answers
+ * invalid_grant for anything else.
+ */
+
+import http from 'node:http';
+
+/**
+ * Start the token endpoint on a free port
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn] - expires_in of issued access tokens (seconds)
+ * @param {string} [options.rotateTo] - refresh_token to return with each access token
+ * @returns {Promise<Object>} - { url, requests, close() }
+ */
+export async function startTokenEndpoint({ expiresIn = 3600, rotateTo } = {}) {
+  const requests = [];
+  let issued = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      requests.push(params);
+
+      const send = (statusCode, payload) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (params.grant_type === 'refresh_token' && params.refresh_token === 'rt-good') {
+        send(200, {
+          access_token: `at-${++issued}`,
+          expires_in: expiresIn,
+          token_type: 'Bearer',
+          ...(rotateTo ? { refresh_token: rotateTo } : {}),
+        });
+      } else {
+        send(400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/token`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startFakeImapServer } from '../helpers/fake-imap-server.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'attachments-'));
+process.env.GMAIL_USER ??= 'me@example.com';
+process.env.GMAIL_APP_PASSWORD ??= 'app-password';
+process.env.ACCOUNTS_PATH = join(dir, 'no-accounts.json');
+process.env.RULES_PATH = join(dir, 'no-rules.json');
+process.env.LOG_LEVEL = 'error';
+
+const { ImapClient } = await import('../../src/imap-client.js');
+const { processEmails } = await import('../../src/email-processor.js');
+const { initState } = await import('../../src/state-manager.js');
+const { initDatabase, getEmailById, getAttachmentsByEmail, readAttachment, closeDatabase } = await import('../../src/database.js');
+
+// Every byte value, including ones that are not valid UTF-8
+const ATTACHMENT = Buffer.from(Array.from({ length: 512 }, (_, index) => (index * 7) % 256));
+const TEXT = 'Grüße aus Köln ✓';
+
+const HEADERS = Buffer.from([
+  'From: alice@example.com',
+  'To: me@example.com',
+  'Subject: Report',
+  'Message-ID: <report@example.com>',
+  'Date: Sat, 1 Nov 2025 10:00:00 +0000',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="part"',
+  '', '',
+].join('\r\n'));
+
+const BODY = Buffer.concat([
+  Buffer.from([
+    '--part',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    TEXT,
+    '--part',
+    'Content-Type: application/octet-stream',
+    'Content-Disposition: attachment; filename="data.bin"',
+    'Content-Transfer-Encoding: binary',
+    '', '',
+  ].join('\r\n')),
+  ATTACHMENT,
+  Buffer.from('\r\n--part--\r\n'),
+]);
+
+const statePath = join(dir, 'state.json');
+let db;
+let server;
+let client;
+
+// Answer the UID FETCH with the message, split in two writes inside a multibyte character
+async function answerFetch(reply) {
+  const response = Buffer.concat([
+    Buffer.from(`* 1 FETCH (UID 5 FLAGS () INTERNALDATE "01-Nov-2025 10:00:00 +0000" BODYSTRUCTURE ("TEXT" "PLAIN" NIL NIL NIL "8BIT" 0 0) BODY[HEADER] {${HEADERS.length}}\r\n`),
+    HEADERS,
+    Buffer.from(` BODY[TEXT] {${BODY.length}}\r\n`),
+    BODY,
+    Buffer.from(')\r\n'),
+  ]);
+  const split = response.indexOf(Buffer.from('ü')) + 1;
+  reply.write(response.subarray(0, split));
+  await sleep(20);
+  reply.write(response.subarray(split));
+  reply.ok();
+}
+
+before(async () => {
+  db = initDatabase(join(dir, 'emails.db'));
+  initState(statePath, 'default');
+  server = await startFakeImapServer({
+    box: { exists: 1, uidvalidity: 7, uidnext: 6 },
+    onCommand: (command, reply) => {
+      if (command.name !== 'UID' || !command.args.startsWith('FETCH ')) {
+        return false;
+      }
+      answerFetch(reply);
+      return true;
+    },
+  });
+  client = new ImapClient({
+    name: 'default',
+    primary: true,
+    gmail: { user: 'me@example.com', password: 'app-password', oauth: null },
+    imap: {
+      host: '127.0.0.1',
+      port: server.port,
+      tls: false,
+      folders: ['INBOX'],
+      pollInterval: 30000,
+      watchdog: { heartbeatInterval: 60000, responseTimeout: 30000, idleReissueInterval: 1200000 },
+    },
+  }, 'INBOX');
+  client.on('error', () => {});
+  await client.connect();
+});
+
+after(async () => {
+  client.disconnect();
+  await server.close();
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('binary attachments and 8bit text survive fetch and storage byte for byte', async () => {
+  const stored = await processEmails(client, db, statePath, [5]);
+  assert.equal(stored, 1);
+
+  const [email] = db.prepare('SELECT id FROM emails').all();
+  assert.equal(getEmailById(db, email.id).body_text.trim(), TEXT);
+
+  const [attachment] = getAttachmentsByEmail(db, email.id);
+  const checksum = createHash('sha256').update(ATTACHMENT).digest('hex');
+  assert.equal(attachment.filename, 'data.bin');
+  assert.equal(attachment.size, ATTACHMENT.length);
+  assert.equal(attachment.checksum, checksum);
+
+  const { content } = readAttachment(db, attachment.id);
+  assert.ok(content.equals(ATTACHMENT));
+});
@@ -0,0 +1,133 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startFakeImapServer } from '../helpers/fake-imap-server.js';
+import { startTokenEndpoint } from '../helpers/token-endpoint.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'imap-client-'));
+process.env.OAUTH_TOKENS_PATH = join(dir, 'oauth-tokens.json');
+process.env.LOG_LEVEL = 'error';
+
+const { ImapClient } = await import('../../src/imap-client.js');
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Account configuration as in config.accounts, pointing at a fake server
+function account(name, port, { password, oauth } = {}) {
+  return {
+    name,
+    primary: true,
+    gmail: { user: 'me@example.com', password, oauth: oauth || null },
+    imap: {
+      host: '127.0.0.1',
+      port,
+      tls: false,
+      folders: ['INBOX'],
+      pollInterval: 30000,
+      watchdog: { heartbeatInterval: 60000, responseTimeout: 30000, idleReissueInterval: 1200000 },
+    },
+  };
+}
+
+// Connect a client and always disconnect it afterwards
+async function withClient(config, fn) {
+  const client = new ImapClient(config, 'INBOX');
+  // connect() rejects on failure; the 'error' event needs a listener so it doesn't throw
+  client.on('error', () => {});
+  try {
+    await fn(client);
+  } finally {
+    client.disconnect();
+  }
+}
+
+const authentications = server => server.commands.filter(command => ['AUTHENTICATE', 'LOGIN'].includes(command.name));
+
+test('connect() signs in with an XOAUTH2 access token', async () => {
+  const endpoint = await startTokenEndpoint();
+  const tokens = [];
+  const server = await startFakeImapServer({ xoauth2: (user, token) => tokens.push(token) > 0 });
+  try {
+    const oauth = { clientId: 'client-id', refreshToken: 'rt-good', tokenUrl: endpoint.url };
+    await withClient(account('xoauth2', server.port, { oauth }), async client => {
+      await client.connect();
+      assert.ok(client.isReady());
+    });
+
+    assert.deepEqual(tokens, ['at-1']);
+    assert.equal(authentications(server)[0].args.split(' ')[0], 'XOAUTH2');
+  } finally {
+    await server.close();
+    await endpoint.close();
+  }
+});
+
+test('connect() refreshes the token and retries once when XOAUTH2 is rejected', async () => {
+  const endpoint = await startTokenEndpoint();
+  const tokens = [];
+  // The first token was revoked server-side although it hasn't expired
+  const server = await startFakeImapServer({ xoauth2: (user, token) => tokens.push(token) && token !== 'at-1' });
+  try {
+    const oauth = { clientId: 'client-id', refreshToken: 'rt-good', tokenUrl: endpoint.url };
+    await withClient(account('retry', server.port, { oauth }), async client => {
+      await client.connect();
+      assert.ok(client.isReady());
+    });
+
+    assert.deepEqual(tokens, ['at-1', 'at-2']);
+    assert.equal(endpoint.requests.length, 2);
+  } finally {
+    await server.close();
+    await endpoint.close();
+  }
+});
+
+test('connect() gives up after one retry', async () => {
+  const endpoint = await startTokenEndpoint();
+  const server = await startFakeImapServer({ xoauth2: () => false });
+  try {
+    const oauth = { clientId: 'client-id', refreshToken: 'rt-good', tokenUrl: endpoint.url };
+    await withClient(account('rejected', server.port, { oauth }), async client => {
+      await assert.rejects(client.connect(), /Invalid credentials/);
+    });
+
+    assert.equal(authentications(server).length, 2);
+  } finally {
+    await server.close();
+    await endpoint.close();
+  }
+});
+
+test('connect() falls back to the app password when the refresh token is revoked', async () => {
+  const endpoint = await startTokenEndpoint();
+  const server = await startFakeImapServer({ login: (user, password) => password === 'app-password' });
+  try {
+    const oauth = { clientId: 'client-id', refreshToken: 'rt-revoked', tokenUrl: endpoint.url };
+    await withClient(account('fallback', server.port, { password: 'app-password', oauth }), async client => {
+      await client.connect();
+      assert.ok(client.isReady());
+    });
+
+    assert.deepEqual(authentications(server).map(command => command.name), ['LOGIN']);
+  } finally {
+    await server.close();
+    await endpoint.close();
+  }
+});
+
+test('connect() does not retry a rejected app password', async () => {
+  const server = await startFakeImapServer({ login: () => false });
+  try {
+    await withClient(account('password', server.port, { password: 'wrong' }), async client => {
+      await assert.rejects(client.connect(), /Invalid credentials/);
+    });
+
+    assert.equal(authentications(server).length, 1);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { once } from 'node:events';
+import { startFakeImapServer } from '../helpers/fake-imap-server.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const { ImapClient } = await import('../../src/imap-client.js');
+const { SUPPORTED_IMAP_VERSION } = await import('../../src/imap-internals.js');
+
+const QRESYNC_SERVER = 'IMAP4rev1 CONDSTORE QRESYNC ENABLE';
+const INTERNALDATE = 'INTERNALDATE "01-Nov-2025 10:00:00 +0000"';
+
+// Account configuration as in config.accounts, pointing at a fake server
+function account(port, { responseTimeout = 30000 } = {}) {
+  return {
+    name: 'default',
+    primary: true,
+    gmail: { user: 'me@example.com', password: 'app-password', oauth: null },
+    imap: {
+      host: '127.0.0.1',
+      port,
+      tls: false,
+      folders: ['INBOX'],
+      pollInterval: 30000,
+      watchdog: { heartbeatInterval: 60000, responseTimeout, idleReissueInterval: 1200000 },
+    },
+  };
+}
+
+// Start a fake server, connect a client to it and always tear both down afterwards
+async function withServer({ responseTimeout, ...options }, fn) {
+  const server = await startFakeImapServer({ box: { exists: 3, uidvalidity: 7, uidnext: 6, highestmodseq: 120 }, ...options });
+  const client = new ImapClient(account(server.port, { responseTimeout }), 'INBOX');
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    await fn(client, server);
+  } finally {
+    client.disconnect();
+    await server.close();
+  }
+}
+
+// Answer ENABLE, and UID FETCH with the given untagged responses
+function scripted(fetchResponses = []) {
+  return (command, reply) => {
+    if (command.name === 'ENABLE') {
+      reply.untagged('ENABLED QRESYNC');
+      reply.ok();
+      return true;
+    }
+    if (command.name === 'UID' && command.args.startsWith('FETCH ')) {
+      fetchResponses.forEach(response => reply.untagged(response));
+      reply.ok();
+      return true;
+    }
+    return false;
+  };
+}
+
+const fetchCommand = server => server.commands.find(command => command.name === 'UID' && command.args.startsWith('FETCH '));
+
+test('package.json pins the node-imap version the internals are written for', () => {
+  const { dependencies } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+  const installed = createRequire(import.meta.url)('imap/package.json').version;
+  assert.equal(dependencies.imap, SUPPORTED_IMAP_VERSION);
+  assert.equal(installed, SUPPORTED_IMAP_VERSION);
+});
+
+test('QRESYNC is enabled on servers that offer it', async () => {
+  await withServer({ capabilities: QRESYNC_SERVER, onCommand: scripted() }, async (client, server) => {
+    assert.ok(server.commands.some(command => command.line.endsWith(' ENABLE QRESYNC')));
+    assert.equal(client.capabilities.qresync, true);
+  });
+});
+
+test('a refused ENABLE QRESYNC falls back to expunge detection without it', async () => {
+  const onCommand = (command, reply) => command.name === 'ENABLE' && (reply.no('not now'), true);
+  await withServer({ capabilities: QRESYNC_SERVER, onCommand }, async (client) => {
+    assert.equal(client.capabilities.qresync, false);
+  });
+});
+
+test('the folder HIGHESTMODSEQ is read from SELECT', async () => {
+  await withServer({ capabilities: QRESYNC_SERVER, onCommand: scripted() }, async (client) => {
+    assert.equal(String(client.box.highestmodseq), '120');
+    assert.ok(!client.box.nomodseq);
+  });
+});
+
+test('changes since a MODSEQ come back with their MODSEQ and the UIDs that vanished', async () => {
+  const onCommand = scripted([
+    'VANISHED (EARLIER) 2,4:5',
+    `1 FETCH (UID 1 FLAGS (\\Seen) ${INTERNALDATE} MODSEQ (130))`,
+    `2 FETCH (UID 3 FLAGS (\\Flagged) ${INTERNALDATE} MODSEQ (125))`,
+  ]);
+  await withServer({ capabilities: QRESYNC_SERVER, onCommand }, async (client, server) => {
+    const { messages, vanished } = await client.fetchChanges(5, '120');
+
+    assert.match(fetchCommand(server).args, /^FETCH 1:5 \(.*\) \(CHANGEDSINCE 120 VANISHED\)$/);
+    assert.deepEqual(messages.map(attrs => [attrs.uid, attrs.flags, String(attrs.modseq)]), [
+      [1, ['\\Seen'], '130'],
+      [3, ['\\Flagged'], '125'],
+    ]);
+    assert.deepEqual(vanished, [2, 4, 5]);
+  });
+});
+
+test('without QRESYNC, changes are fetched without VANISHED', async () => {
+  const onCommand = scripted([`1 FETCH (UID 1 FLAGS () ${INTERNALDATE} MODSEQ (121))`]);
+  await withServer({ capabilities: 'IMAP4rev1 CONDSTORE', onCommand }, async (client, server) => {
+    const { messages, vanished } = await client.fetchChanges(5, '120');
+
+    assert.match(fetchCommand(server).args, /\(CHANGEDSINCE 120\)$/);
+    assert.equal(messages.length, 1);
+    assert.equal(vanished, null);
+  });
+});
+
+test('a first sync without a MODSEQ fetches every message and no VANISHED', async () => {
+  await withServer({ capabilities: QRESYNC_SERVER, onCommand: scripted() }, async (client, server) => {
+    const { vanished } = await client.fetchChanges(5, null);
+
+    assert.doesNotMatch(fetchCommand(server).args, /CHANGEDSINCE|VANISHED/);
+    assert.equal(vanished, null);
+  });
+});
+
+test('a folder without MODSEQs (NOMODSEQ) gets no CHANGEDSINCE or VANISHED', async () => {
+  const onCommand = (command, reply) => {
+    if (command.name !== 'SELECT') {
+      return scripted()(command, reply);
+    }
+    reply.untagged('3 EXISTS');
+    reply.untagged('OK [UIDVALIDITY 7] UIDs valid');
+    reply.untagged('OK [NOMODSEQ] no MODSEQs here');
+    reply.ok('[READ-WRITE] selected');
+    return true;
+  };
+  await withServer({ capabilities: QRESYNC_SERVER, onCommand }, async (client, server) => {
+    assert.ok(client.box.nomodseq);
+    const { vanished } = await client.fetchChanges(5, '120');
+
+    assert.doesNotMatch(fetchCommand(server).args, /CHANGEDSINCE|VANISHED/);
+    assert.equal(vanished, null);
+  });
+});
+
+test('VANISHED reported by the server emits expunge and corrects the message count', async () => {
+  await withServer({ capabilities: QRESYNC_SERVER, onCommand: scripted() }, async (client, server) => {
+    const expunged = once(client, 'expunge');
+    server.broadcast('* VANISHED 4:5\r\n');
+
+    assert.deepEqual((await expunged)[0], [4, 5]);
+    assert.equal(client.box.messages.total, 1);
+  });
+});
+
+test('the heartbeat NOOP waits for its tagged completion', async () => {
+  let completed = false;
+  const onCommand = (command, reply) => {
+    if (!command.line.endsWith(' noop')) {
+      return false;
+    }
+    setTimeout(() => { completed = true; reply.ok(); }, 50);
+    return true;
+  };
+  await withServer({ onCommand }, async (client) => {
+    await client.noop();
+    assert.ok(completed);
+  });
+});
+
+test('a heartbeat without a reply marks the connection stale', async () => {
+  // Swallow the heartbeat as a hung connection would
+  const onCommand = command => command.line.endsWith(' noop');
+  await withServer({ onCommand, responseTimeout: 100 }, async (client) => {
+    const stale = once(client, 'stale');
+    client.heartbeat();
+
+    assert.match((await stale)[0], /No response to NOOP within 100ms/);
+  });
+});
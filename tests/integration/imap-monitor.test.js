@@ -0,0 +1,361 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startFakeImapServer } from '../helpers/fake-imap-server.js';
+
+const MONITOR = resolve(fileURLToPath(import.meta.url), '../../../src/imap-monitor.js');
+const GMAIL_SERVER = 'IMAP4rev1 IDLE X-GM-EXT-1';
+
+process.env.LOG_LEVEL = 'error';
+
+const { initDatabase, closeDatabase } = await import('../../src/database.js');
+const { readState, getFolderState } = await import('../../src/state-manager.js');
+
+let dir;
+let monitor;
+let server;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'imap-monitor-'));
+});
+
+afterEach(async () => {
+  await monitor?.stop();
+  await server?.close();
+  monitor = null;
+  server = null;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// UIDs of an IMAP sequence set such as "1:3,7" or "6:*"; ranges past the highest UID include it
+function parseUidSet(set, highest) {
+  return set.split(',').flatMap(range => {
+    const [from, to = from] = range.split(':').map(value => (value === '*' ? highest : Number(value)));
+    const [low, high] = from <= to ? [from, to] : [to, from];
+    return Array.from({ length: high - low + 1 }, (_, index) => low + index);
+  });
+}
+
+// FETCH response for one message with the items the command asked for
+function fetchResponse(message, seq, items, gmail) {
+  const headers = Buffer.from([
+    'From: alice@example.com',
+    'To: me@example.com',
+    `Subject: ${message.subject}`,
+    `Message-ID: <${message.gmailId}@example.com>`,
+    'Date: Sat, 1 Nov 2025 10:00:00 +0000',
+    '', '',
+  ].join('\r\n'));
+  const body = Buffer.from(`Body of ${message.subject}\r\n`);
+
+  const parts = [`* ${seq} FETCH (UID ${message.uid} FLAGS () INTERNALDATE "01-Nov-2025 10:00:00 +0000"`];
+  if (gmail) {
+    parts.push(` X-GM-MSGID ${message.gmailId} X-GM-THRID ${message.gmailId} X-GM-LABELS ()`);
+  }
+  if (items.includes('BODYSTRUCTURE')) {
+    parts.push(` BODYSTRUCTURE ("TEXT" "PLAIN" ("CHARSET" "utf-8") NIL NIL "7BIT" ${body.length} 1)`);
+  }
+  if (items.includes('BODY.PEEK[HEADER]')) {
+    parts.push(` BODY[HEADER] {${headers.length}}\r\n`, headers, ` BODY[TEXT] {${body.length}}\r\n`, body);
+  }
+  parts.push(')\r\n');
+  return Buffer.concat(parts.map(part => Buffer.from(part)));
+}
+
+/**
+ * Fake IMAP server holding `messages` ({ uid, gmailId, subject }), answering UID SEARCH and UID FETCH
+ * `messages` can be added to while the monitor runs; `searches` and `fetches` record the UIDs asked for
+ * `beforeSearch(args)` may return a promise to hold a UID SEARCH reply back
+ */
+async function startMailbox({ messages, capabilities = GMAIL_SERVER, uidvalidity = 7, beforeSearch, login } = {}) {
+  const searches = [];
+  const fetches = [];
+  const highest = () => messages.reduce((max, message) => Math.max(max, message.uid), 0);
+
+  const mailbox = await startFakeImapServer({
+    capabilities,
+    login,
+    box: { exists: messages.length, uidvalidity, uidnext: highest() + 1 },
+    onCommand: (command, reply) => {
+      if (command.name !== 'UID') {
+        return false;
+      }
+      const [verb, ...rest] = command.args.split(' ');
+      if (verb === 'SEARCH') {
+        const criteria = rest.join(' ');
+        searches.push(criteria);
+        Promise.resolve(beforeSearch?.(criteria)).then(() => {
+          const range = criteria.match(/UID (\S+)/);
+          const uids = range ? parseUidSet(range[1], highest()) : messages.map(message => message.uid);
+          const found = messages.filter(message => uids.includes(message.uid)).map(message => message.uid);
+          reply.untagged(`SEARCH${found.map(uid => ` ${uid}`).join('')}`);
+          reply.ok();
+        });
+        return true;
+      }
+      if (verb === 'FETCH') {
+        const [set, ...items] = rest;
+        const uids = parseUidSet(set, highest());
+        const withBodies = items.join(' ').includes('BODY.PEEK[HEADER]');
+        fetches.push({ uids, withBodies });
+        messages.forEach((message, index) => {
+          if (uids.includes(message.uid)) {
+            reply.write(fetchResponse(message, index + 1, items.join(' '), capabilities.includes('X-GM-EXT-1')));
+          }
+        });
+        reply.ok();
+        return true;
+      }
+      return false;
+    },
+  });
+  return { ...mailbox, searches, fetches };
+}
+
+// Messages with consecutive UIDs starting at `firstUid`
+function messagesFrom(firstUid, count, firstGmailId = 1000 + firstUid) {
+  return Array.from({ length: count }, (_, index) => ({
+    uid: firstUid + index,
+    gmailId: String(firstGmailId + index),
+    subject: `Message ${firstGmailId + index}`,
+  }));
+}
+
+/**
+ * Run the monitor against a fake server, with its database and state in the scratch directory
+ * Resolves with { logs, waitForLog(message, count), stop() }
+ */
+function startMonitor(port, env = {}) {
+  const child = spawn(process.execPath, [MONITOR], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      GMAIL_USER: 'me@example.com',
+      GMAIL_APP_PASSWORD: 'app-password',
+      IMAP_HOST: '127.0.0.1',
+      IMAP_PORT: String(port),
+      IMAP_TLS: 'false',
+      DB_PATH: join(dir, 'emails.db'),
+      STATE_FILE_PATH: join(dir, 'state.json'),
+      ACCOUNTS_PATH: join(dir, 'no-accounts.json'),
+      RULES_PATH: join(dir, 'no-rules.json'),
+      SUBSCRIBERS_PATH: join(dir, 'no-subscribers.json'),
+      LOG_LEVEL: 'info',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const logs = [];
+  const waiting = new Set();
+  let pending = '';
+  const onData = data => {
+    pending += data.toString('utf8');
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      try {
+        logs.push(JSON.parse(line));
+      } catch {
+        // Not a log entry (e.g. a stack trace line)
+        continue;
+      }
+    }
+    waiting.forEach(check => check());
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+
+  const entries = message => logs.filter(entry => entry.message === message);
+
+  return {
+    logs,
+    entries,
+    // Wait until `message` was logged `count` times; resolves with those entries
+    waitForLog(message, count = 1, timeoutMs = 10000) {
+      return new Promise((resolveLog, reject) => {
+        const timer = setTimeout(() => {
+          waiting.delete(check);
+          reject(new Error(`Timed out waiting for "${message}" x${count}`));
+        }, timeoutMs);
+        const check = () => {
+          if (entries(message).length >= count) {
+            clearTimeout(timer);
+            waiting.delete(check);
+            resolveLog(entries(message));
+          }
+        };
+        waiting.add(check);
+        check();
+      });
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = once(child, 'exit');
+        child.kill('SIGTERM');
+        await exited;
+      }
+    },
+  };
+}
+
+function withDatabase(fn) {
+  const db = initDatabase(join(dir, 'emails.db'));
+  try {
+    return fn(db);
+  } finally {
+    closeDatabase(db);
+  }
+}
+
+const storedSubjects = () => withDatabase(db => db.prepare('SELECT subject FROM emails ORDER BY subject').all().map(row => row.subject));
+const folderState = () => getFolderState(readState(join(dir, 'state.json')), 'default', 'INBOX');
+const settle = ms => new Promise(resolveSettle => setTimeout(resolveSettle, ms));
+
+// Poll until `condition` holds
+async function until(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the monitor');
+    }
+    await settle(20);
+  }
+}
+
+test('reconnects back off exponentially up to the maximum and reset after a connection', async () => {
+  let acceptLogin = false;
+  server = await startMailbox({ messages: [], login: () => acceptLogin });
+  monitor = startMonitor(server.port, { IMAP_RECONNECT_BASE_DELAY_MS: '100', IMAP_RECONNECT_MAX_DELAY_MS: '400' });
+
+  const scheduled = await monitor.waitForLog('Scheduling IMAP reconnection', 5);
+  assert.deepEqual(scheduled.map(entry => entry.delayMs), [100, 200, 400, 400, 400]);
+  assert.deepEqual(scheduled.map(entry => entry.attempt), [1, 2, 3, 4, 5]);
+
+  const state = readState(join(dir, 'state.json')).accounts.default;
+  assert.match(state.last_error, /Invalid credentials/);
+  assert.equal(state.connection_status, 'reconnecting');
+
+  acceptLogin = true;
+  await monitor.waitForLog('Initial sync complete');
+  assert.equal(readState(join(dir, 'state.json')).accounts.default.last_error, null);
+
+  // A dropped connection starts again from the base delay
+  server.sockets.forEach(socket => socket.destroy());
+  const [, ...afterDrop] = await monitor.waitForLog('Scheduling IMAP reconnection', 6);
+  assert.equal(afterDrop.at(-1).delayMs, 100);
+  assert.equal(afterDrop.at(-1).attempt, 1);
+});
+
+test('the default backoff starts at one second and is capped at a minute', async () => {
+  process.env.GMAIL_USER ??= 'me@example.com';
+  process.env.GMAIL_APP_PASSWORD ??= 'app-password';
+  process.env.ACCOUNTS_PATH = join(dir, 'no-accounts.json');
+  const { config } = await import('../../src/config.js');
+  assert.deepEqual(config.imap.reconnect, { baseDelay: 1000, maxDelay: 60000 });
+});
+
+test('a reconnect catches up on new mail in UID batches of 50 from the last synced UID', async () => {
+  const messages = messagesFrom(1, 2);
+  server = await startMailbox({ messages });
+  monitor = startMonitor(server.port);
+  await monitor.waitForLog('Initial sync complete');
+  await monitor.stop();
+  assert.equal(folderState().last_id, 2);
+
+  // 60 messages arrive while the monitor is down
+  messages.push(...messagesFrom(3, 60));
+  server.searches.length = 0;
+  server.fetches.length = 0;
+  monitor = startMonitor(server.port);
+  await monitor.waitForLog('New email sync complete');
+
+  assert.equal(server.searches[0], 'UID 3:*');
+  const bodyFetches = () => server.fetches.filter(fetch => fetch.withBodies).map(fetch => [fetch.uids[0], fetch.uids.at(-1), fetch.uids.length]);
+  assert.deepEqual(bodyFetches(), [[3, 52, 50], [53, 62, 10]]);
+  assert.equal(storedSubjects().length, 62);
+  assert.equal(folderState().last_id, 62);
+
+  // With nothing newer, UID 63:* still returns the highest UID, which is filtered out again
+  await monitor.waitForLog('IDLE activated - monitoring for new emails');
+  server.broadcast('* 63 EXISTS\r\n');
+  await until(() => server.searches.includes('UID 63:*'));
+  await settle(200);
+  assert.equal(bodyFetches().length, 2);
+});
+
+test('new-mail notifications during a sync are coalesced into one more pass', async () => {
+  let release;
+  let held = false;
+  const messages = messagesFrom(1, 1);
+  server = await startMailbox({
+    messages,
+    // Hold back the first new-mail search after the initial sync
+    beforeSearch: criteria => {
+      if (criteria.startsWith('UID 2:') && !held) {
+        held = true;
+        return new Promise(resolveHold => { release = resolveHold; });
+      }
+      return undefined;
+    },
+  });
+  monitor = startMonitor(server.port);
+  await monitor.waitForLog('Initial sync complete');
+  assert.equal(folderState().last_id, 1);
+
+  messages.push(...messagesFrom(2, 1));
+  server.broadcast('* 2 EXISTS\r\n');
+  await until(() => release);
+
+  // More mail while the first pass waits for its search
+  messages.push(...messagesFrom(3, 2));
+  server.broadcast('* 3 EXISTS\r\n* 4 EXISTS\r\n');
+  await settle(100);
+  server.broadcast('* 4 EXISTS\r\n');
+  await settle(100);
+  release();
+
+  const rangeSearches = () => server.searches.filter(criteria => /^UID \d+:\*$/.test(criteria));
+  await until(() => rangeSearches().length >= 2);
+  await settle(300);
+
+  // One pass for the first notification, and a single further pass for the three that came in
+  // meanwhile; the held search already saw their messages, so it finds nothing new
+  assert.deepEqual(rangeSearches(), ['UID 2:*', 'UID 5:*']);
+  assert.deepEqual(server.fetches.filter(fetch => fetch.withBodies).map(fetch => fetch.uids), [[1], [2, 3, 4]]);
+  assert.equal(storedSubjects().length, 4);
+  assert.equal(folderState().last_id, 4);
+});
+
+test('a changed UIDVALIDITY resyncs the folder, downloading only messages not stored yet', async () => {
+  server = await startMailbox({ messages: messagesFrom(1, 2), uidvalidity: 7 });
+  monitor = startMonitor(server.port);
+  await monitor.waitForLog('Initial sync complete');
+  await monitor.stop();
+  await server.close();
+  const lastSyncedAt = folderState().last_id_received_at;
+
+  // The folder was rebuilt: the same two messages under new UIDs, plus two new ones
+  server = await startMailbox({ messages: messagesFrom(11, 4, 1001), uidvalidity: 8 });
+  monitor = startMonitor(server.port);
+  const [resync] = await monitor.waitForLog('Resync complete');
+
+  // From the day before the last sync, as SINCE only compares dates
+  const since = new Date(Date.parse(lastSyncedAt) - 86400000).toUTCString().split(' ');
+  assert.equal(server.searches[0], `SINCE ${Number(since[1])}-${since[2]}-${since[3]}`);
+  assert.deepEqual(server.fetches.map(fetch => [fetch.uids, fetch.withBodies]), [
+    [[11, 12, 13, 14], false],
+    [[13, 14], true],
+  ]);
+  assert.equal(resync.emailsSynced, 2);
+  assert.deepEqual(storedSubjects(), ['Message 1001', 'Message 1002', 'Message 1003', 'Message 1004']);
+
+  const state = folderState();
+  assert.equal(state.uidvalidity, 8);
+  assert.equal(state.last_id, 14);
+});
@@ -0,0 +1,216 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startFakeImapServer } from '../helpers/fake-imap-server.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const { ImapClient } = await import('../../src/imap-client.js');
+const { performEmailAction, applyLabelChange, validateActionRequest } = await import('../../src/mailbox-actions.js');
+const { initDatabase, storeEmail, getEmailById, getEmailActions, closeDatabase } = await import('../../src/database.js');
+
+const GMAIL_SERVER = 'IMAP4rev1 IDLE X-GM-EXT-1 MOVE';
+const OPTIONS = { trashFolder: '\\Trash', archiveFolder: '\\Archive', correlationId: 'req-1' };
+// Stored ids are hex Gmail message ids, so lookups use X-GM-MSGID
+const GMAIL_ID = '18f0a1b2c3d4e5f6';
+
+let dir;
+let db;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'mailbox-actions-'));
+  db = initDatabase(join(dir, 'emails.db'));
+});
+
+after(() => {
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+let nextId = 1;
+
+// Store an email with a Gmail-style hex id and return its row
+function stored(labels = ['\\Inbox', 'Work'], fields = {}) {
+  const id = `${GMAIL_ID.slice(0, -2)}${String(nextId++).padStart(2, '0')}`;
+  storeEmail(db, {
+    id,
+    thread_id: `thread-${id}`,
+    received_at: '2025-11-01T10:00:00.000Z',
+    downloaded_at: '2025-11-01T10:00:01.000Z',
+    from_address: 'alice@example.com',
+    to_address: 'me@example.com',
+    cc_address: null,
+    subject: 'Quarterly report',
+    labels,
+    body: 'body',
+    folder: 'INBOX',
+    ...fields,
+  });
+  return getEmailById(db, id);
+}
+
+// Answer UID SEARCH with `uid` (or nothing) and UID STORE/MOVE with OK, or NO when `refuse` is set
+function mailbox({ uid = 7, refuse } = {}) {
+  return (command, reply) => {
+    if (command.name !== 'UID') {
+      return false;
+    }
+    if (command.args.startsWith('SEARCH ')) {
+      reply.untagged(uid ? `SEARCH ${uid}` : 'SEARCH');
+      reply.ok();
+    } else if (refuse) {
+      reply.no(refuse);
+    } else {
+      reply.ok();
+    }
+    return true;
+  };
+}
+
+// Connect a client to a fake server with All Mail selected, as the webhook server does
+async function withClient({ capabilities = GMAIL_SERVER, ...options }, fn) {
+  const server = await startFakeImapServer({ capabilities, box: { exists: 1, uidvalidity: 3, uidnext: 8 }, onCommand: mailbox(options) });
+  const client = new ImapClient({
+    name: 'default',
+    primary: true,
+    gmail: { user: 'me@example.com', password: 'app-password', oauth: null },
+    imap: {
+      host: '127.0.0.1',
+      port: server.port,
+      tls: false,
+      folders: ['INBOX'],
+      pollInterval: 30000,
+      watchdog: { heartbeatInterval: 60000, responseTimeout: 30000, idleReissueInterval: 1200000 },
+    },
+  }, '\\All');
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    await fn(client, server);
+  } finally {
+    client.disconnect();
+    await server.close();
+  }
+}
+
+const uidCommands = server => server.commands.filter(command => command.name === 'UID').map(command => command.args);
+
+test('actions are validated with their labels normalized', () => {
+  assert.deepEqual(validateActionRequest({ action: 'archive' }), { valid: true, labels: [] });
+  assert.deepEqual(validateActionRequest({ action: 'add_labels', labels: [' Work ', 'Work', 'Receipts'] }), { valid: true, labels: ['Work', 'Receipts'] });
+  assert.match(validateActionRequest({ action: 'add_labels' }).message, /requires a non-empty 'labels' list/);
+  assert.match(validateActionRequest({ action: 'delete' }).message, /must be one of/);
+  assert.equal(validateActionRequest(null).valid, false);
+});
+
+test('label changes mirror what Gmail reports after each action', () => {
+  const current = ['\\Inbox', 'Work'];
+  assert.deepEqual(applyLabelChange(current, 'add_labels', ['Work', 'Receipts']), ['\\Inbox', 'Work', 'Receipts']);
+  assert.deepEqual(applyLabelChange(current, 'remove_labels', ['Work']), ['\\Inbox']);
+  assert.deepEqual(applyLabelChange(current, 'archive', []), ['Work']);
+  assert.deepEqual(applyLabelChange(current, 'trash', []), ['Work', '\\Trash']);
+  assert.deepEqual(applyLabelChange(current, 'mark_read', []), current);
+});
+
+test('mark_read stores \\Seen on the message found by its Gmail id and audits the action', async () => {
+  const email = stored();
+  await withClient({}, async (client, server) => {
+    const result = await performEmailAction(db, client, email, 'mark_read', [], OPTIONS);
+
+    assert.deepEqual(result, { found: true, labels: ['\\Inbox', 'Work'] });
+    const [search, store] = uidCommands(server);
+    assert.equal(search, `SEARCH X-GM-MSGID ${BigInt(`0x${email.id}`)}`);
+    assert.match(store, /^STORE 7 \+FLAGS(\.SILENT)? \(\\Seen\)$/);
+  });
+
+  const [audit] = getEmailActions(db, email.id);
+  assert.equal(audit.action, 'mark_read');
+  assert.equal(audit.status, 'success');
+  assert.equal(audit.params, null);
+  assert.equal(audit.correlation_id, 'req-1');
+  assert.equal(audit.error, null);
+  assert.ok(audit.completed_at);
+});
+
+test('archive removes \\Inbox on Gmail and from the stored labels', async () => {
+  const email = stored();
+  await withClient({}, async (client, server) => {
+    const result = await performEmailAction(db, client, email, 'archive', [], OPTIONS);
+
+    assert.deepEqual(result.labels, ['Work']);
+    assert.match(uidCommands(server)[1], /^STORE 7 -X-GM-LABELS(\.SILENT)? \("\\\\Inbox"\)$/);
+  });
+  assert.deepEqual(JSON.parse(getEmailById(db, email.id).labels), ['Work']);
+});
+
+test('trash moves the message and labels the stored email \\Trash', async () => {
+  const email = stored();
+  await withClient({}, async (client, server) => {
+    await performEmailAction(db, client, email, 'trash', [], OPTIONS);
+    assert.match(uidCommands(server)[1], /^MOVE 7 "?Trash"?$/);
+  });
+  assert.deepEqual(JSON.parse(getEmailById(db, email.id).labels), ['Work', '\\Trash']);
+});
+
+test('added labels are sent to Gmail, mirrored and kept in the audit row', async () => {
+  const email = stored();
+  await withClient({}, async (client, server) => {
+    const result = await performEmailAction(db, client, email, 'add_labels', ['Receipts'], OPTIONS);
+
+    assert.deepEqual(result.labels, ['\\Inbox', 'Work', 'Receipts']);
+    assert.match(uidCommands(server)[1], /^STORE 7 \+X-GM-LABELS(\.SILENT)? \("?Receipts"?\)$/);
+  });
+  assert.deepEqual(JSON.parse(getEmailActions(db, email.id)[0].params), { labels: ['Receipts'] });
+});
+
+test('a message missing from the mailbox is audited as failed and changes nothing', async () => {
+  const email = stored();
+  await withClient({ uid: null }, async (client, server) => {
+    const result = await performEmailAction(db, client, email, 'trash', [], OPTIONS);
+
+    assert.deepEqual(result, { found: false });
+    assert.equal(uidCommands(server).length, 1);
+  });
+
+  assert.deepEqual(JSON.parse(getEmailById(db, email.id).labels), ['\\Inbox', 'Work']);
+  const [audit] = getEmailActions(db, email.id);
+  assert.equal(audit.status, 'failed');
+  assert.equal(audit.error, 'Message not found in mailbox');
+});
+
+test('a refused IMAP command is audited as failed and leaves the labels alone', async () => {
+  const email = stored();
+  await withClient({ refuse: 'mailbox is read-only' }, async (client) => {
+    await assert.rejects(
+      performEmailAction(db, client, email, 'archive', [], OPTIONS),
+      /Email action failed: mailbox is read-only/
+    );
+  });
+
+  assert.deepEqual(JSON.parse(getEmailById(db, email.id).labels), ['\\Inbox', 'Work']);
+  const [audit] = getEmailActions(db, email.id);
+  assert.equal(audit.status, 'failed');
+  assert.equal(audit.error, 'mailbox is read-only');
+});
+
+test('without Gmail labels, messages are found by Message-ID and archived by moving them', async () => {
+  const email = stored(['\\Inbox'], { headers: JSON.stringify({ 'message-id': '<report@example.com>' }) });
+  await withClient({ capabilities: 'IMAP4rev1 IDLE MOVE' }, async (client, server) => {
+    await performEmailAction(db, client, email, 'archive', [], OPTIONS);
+    const [search, move] = uidCommands(server);
+    assert.match(search, /^SEARCH HEADER "?MESSAGE-ID"? "?<report@example.com>"?$/);
+    assert.match(move, /^MOVE 7 "?Archive"?$/);
+
+    await assert.rejects(
+      performEmailAction(db, client, email, 'add_labels', ['Work'], OPTIONS),
+      /Labels need the X-GM-EXT-1 extension/
+    );
+  });
+
+  assert.deepEqual(getEmailActions(db, email.id).map(audit => [audit.action, audit.status]), [
+    ['archive', 'success'],
+    ['add_labels', 'failed'],
+  ]);
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtempSync, rmSync, writeFileSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+process.env.LOG_LEVEL = 'error';
+
+const { initDatabase, storeEmail, getEmailById, closeDatabase } = await import('../../src/database.js');
+
+const REPLAY = resolve(fileURLToPath(import.meta.url), '../../../src/rules-replay.js');
+
+let dir;
+let dbPath;
+let rulesPath;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'rules-replay-'));
+  dbPath = join(dir, 'emails.db');
+  rulesPath = join(dir, 'rules.json');
+
+  const db = initDatabase(dbPath);
+  const emails = [
+    ['receipt-old', 'billing@shop.example', 'Receipt for October', '2025-10-01T10:00:00.000Z'],
+    ['receipt-new', 'billing@shop.example', 'Receipt for November', '2025-11-01T10:00:00.000Z'],
+    ['newsletter', 'newsletter@news.example', 'Weekly digest', '2025-11-02T10:00:00.000Z'],
+  ];
+  for (const [id, from, subject, receivedAt] of emails) {
+    storeEmail(db, {
+      id,
+      thread_id: `thread-${id}`,
+      received_at: receivedAt,
+      downloaded_at: receivedAt,
+      from_address: from,
+      to_address: 'me@example.com',
+      cc_address: null,
+      subject,
+      labels: ['INBOX'],
+      body: 'body',
+      folder: 'INBOX',
+    });
+  }
+  closeDatabase(db);
+
+  writeFileSync(rulesPath, JSON.stringify({ rules: [
+    { name: 'receipts', match: { subject: 'receipt' }, actions: [{ type: 'tag', labels: ['Receipts'] }], stop: true },
+    { name: 'everything', actions: [{ type: 'imap', action: 'mark_read' }] },
+    { name: 'newsletters', enabled: false, match: { from: 'newsletter@' }, actions: [] },
+  ] }));
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Run the dry run CLI; resolves with { code, stdout, stderr }
+async function replay(...args) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [REPLAY, ...args], { timeout: 30000 });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+test('the dry run reports which rules each stored email would match', async () => {
+  const { code, stdout } = await replay('--rules', rulesPath, dbPath);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /\(3 rules\)/);
+  assert.match(stdout, /\(3 emails\)/);
+  assert.match(stdout, /^receipts: 2 matched \[tag\]$/m);
+  // receipts stops evaluation, so only the newsletter reaches the catch-all rule
+  assert.match(stdout, /^everything: 1 matched \[imap\]$/m);
+  assert.match(stdout, /^newsletters \(disabled\): 0 matched/m);
+  assert.match(stdout, /^ {2}- 2025-11-01T10:00:00.000Z {2}receipt-new {2}billing@shop.example {2}Receipt for November$/m);
+});
+
+test('the dry run honours --since and --limit', async () => {
+  const since = await replay('--rules', rulesPath, '--since', '2025-10-15T00:00:00Z', dbPath);
+  assert.match(since.stdout, /\(2 emails received since 2025-10-15T00:00:00.000Z\)/);
+  assert.match(since.stdout, /^receipts: 1 matched/m);
+
+  const limited = await replay('--rules', rulesPath, '--limit', '1', dbPath);
+  assert.match(limited.stdout, /\(1 emails\)/);
+  assert.match(limited.stdout, /^everything: 1 matched/m);
+});
+
+test('the dry run runs no actions and writes nothing', async () => {
+  const before = statSync(dbPath).mtimeMs;
+  await replay('--rules', rulesPath, dbPath);
+
+  assert.equal(statSync(dbPath).mtimeMs, before);
+  const db = initDatabase(dbPath);
+  try {
+    assert.equal(getEmailById(db, 'receipt-new').labels, '["INBOX"]');
+    assert.equal(getEmailById(db, 'newsletter').is_read, 0);
+  } finally {
+    closeDatabase(db);
+  }
+});
+
+test('the dry run rejects invalid options and rules files', async () => {
+  assert.match((await replay('--rules', rulesPath, '--limit', '0', dbPath)).stderr, /--limit must be a positive integer/);
+  assert.match((await replay('--rules', rulesPath, '--since', 'whenever', dbPath)).stderr, /Invalid --since timestamp/);
+  assert.match((await replay('--rules', join(dir, 'missing.json'), dbPath)).stderr, /Rules file not found/);
+
+  const invalidRules = join(dir, 'invalid.json');
+  writeFileSync(invalidRules, JSON.stringify({ rules: [{ name: 'broken' }] }));
+  const invalid = await replay('--rules', invalidRules, dbPath);
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.stderr, /rule "broken": "actions" must be an array/);
+});
@@ -0,0 +1,515 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { computeSignature, signUrl, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../../src/webhook-signature.js';
+import { initDatabase, getEmailActions, closeDatabase } from '../../src/database.js';
+import { initState, updateAccountState } from '../../src/state-manager.js';
+import { startFakeImapServer } from '../helpers/fake-imap-server.js';
+
+const SERVER = resolve(fileURLToPath(import.meta.url), '../../../src/webhook-server.js');
+const BASE_URL = 'http://127.0.0.1:8455';
+const SECRET = 'test-secret';
+
+// Gmail message ids the fake mailbox holds, with their UIDs; actions on UID 13 are refused
+const MAILBOX = new Map([['a1b2c3d4e5f60001', 11], ['a1b2c3d4e5f60003', 13]]);
+const REFUSED_UID = '13';
+
+let dir;
+let server;
+let imap;
+
+// Answer UID SEARCH X-GM-MSGID from MAILBOX, and UID STORE/MOVE with OK unless refused
+function mailboxCommand(command, reply) {
+  if (command.name !== 'UID') {
+    return false;
+  }
+  const [verb, argument] = command.args.split(' ').filter(part => part !== 'X-GM-MSGID');
+  if (verb === 'SEARCH') {
+    const uid = MAILBOX.get(BigInt(argument).toString(16));
+    reply.untagged(uid ? `SEARCH ${uid}` : 'SEARCH');
+    reply.ok();
+  } else if (argument === REFUSED_UID) {
+    reply.no('mailbox is read-only');
+  } else {
+    reply.ok();
+  }
+  return true;
+}
+
+before(async () => {
+  imap = await startFakeImapServer({ capabilities: 'IMAP4rev1 IDLE X-GM-EXT-1 MOVE', onCommand: mailboxCommand });
+
+  // The server keeps its database in ./data, so run it in a scratch directory
+  dir = mkdtempSync(join(tmpdir(), 'webhook-server-'));
+  server = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      WEBHOOK_SECRET: SECRET,
+      ACCOUNTS_PATH: join(dir, 'accounts.json'),
+      LOG_LEVEL: 'warn',
+      // Mailbox actions connect to the fake IMAP server
+      IMAP_HOST: '127.0.0.1',
+      IMAP_PORT: String(imap.port),
+      IMAP_TLS: 'false',
+      GMAIL_USER: 'me@example.com',
+      GMAIL_APP_PASSWORD: 'app-password',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  await new Promise((resolveReady, reject) => {
+    const timer = setTimeout(() => reject(new Error('webhook server did not start')), 10000);
+    server.once('exit', code => reject(new Error(`webhook server exited with ${code}`)));
+    const poll = async () => {
+      try {
+        await fetch(`${BASE_URL}/health`);
+        clearTimeout(timer);
+        resolveReady();
+      } catch {
+        setTimeout(poll, 100);
+      }
+    };
+    poll();
+  });
+});
+
+after(async () => {
+  if (server.exitCode === null) {
+    const exited = new Promise(resolveExit => server.once('exit', resolveExit));
+    server.kill('SIGTERM');
+    await exited;
+  }
+  await imap.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Last timestamp signed per body; each signature is accepted once, so repeated
+// requests within a second are signed a second later
+const signedAt = new Map();
+
+// Signature headers for a request, signing the body or (without one) the request target
+function signedHeaders(target, body = target) {
+  const timestamp = String(Math.max(Math.floor(Date.now() / 1000), (signedAt.get(body) ?? 0) + 1));
+  signedAt.set(body, Number(timestamp));
+  return { [TIMESTAMP_HEADER]: timestamp, [SIGNATURE_HEADER]: computeSignature(SECRET, timestamp, body) };
+}
+
+function postEmail(payload) {
+  const body = JSON.stringify(payload);
+  return fetch(`${BASE_URL}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...signedHeaders('/webhook', body) },
+    body,
+  });
+}
+
+const email = {
+  id: 'msg-1',
+  thread_id: 'thread-1',
+  received_at: '2025-11-01T10:00:00Z',
+  downloaded_at: '2025-11-01T10:00:05Z',
+  from_address: 'alice@example.com',
+  to_address: 'me@example.com',
+  subject: 'Quarterly report',
+  body: 'Numbers attached',
+};
+
+test('stores a signed webhook email', async () => {
+  const response = await postEmail(email);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).action, 'stored');
+});
+
+// Columns the server and the IMAP monitor own
+const internalFields = {
+  flags: '["\\\\Seen"]',
+  is_read: 1,
+  uid: 42,
+  folder: 'Trash',
+  account: 'work',
+  deleted_at: '2025-11-02T00:00:00.000Z',
+  source: 'imap',
+  ingestion_id: 'forged',
+};
+
+async function getStoredEmail(id) {
+  const target = `/emails/${id}`;
+  const response = await fetch(`${BASE_URL}${target}`, { headers: signedHeaders(target) });
+  return (await response.json()).email;
+}
+
+function assertInternalFieldsIgnored(stored) {
+  assert.equal(stored.flags, null);
+  assert.equal(stored.is_read, 0);
+  assert.equal(stored.uid, null);
+  assert.equal(stored.folder, '');
+  assert.equal(stored.account, 'default');
+  assert.equal(stored.deleted_at, null);
+  assert.equal(stored.source, 'webhook');
+  assert.notEqual(stored.ingestion_id, 'forged');
+}
+
+test('POST /webhook ignores internal columns in the payload', async () => {
+  const response = await postEmail({ ...email, id: 'msg-internal', ...internalFields });
+  assert.equal(response.status, 200);
+  assertInternalFieldsIgnored(await getStoredEmail('msg-internal'));
+});
+
+function postBatch(payloads, body = JSON.stringify(payloads)) {
+  return fetch(`${BASE_URL}/webhook/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...signedHeaders('/webhook/batch', body) },
+    body,
+  });
+}
+
+test('POST /webhook/batch ignores internal columns in the payloads', async () => {
+  const response = await postBatch([{ ...email, id: 'msg-batch-internal', ...internalFields }]);
+  assert.equal((await response.json()).stored, 1);
+  assertInternalFieldsIgnored(await getStoredEmail('msg-batch-internal'));
+});
+
+test('POST /webhook/batch reports a result per item', async () => {
+  const response = await postBatch([
+    { ...email, id: 'msg-batch-1' },
+    { ...email, id: 'msg-batch-invalid', subject: '' },
+    { ...email, id: 'msg-1' },
+    'not an email',
+    { ...email, id: 'msg-batch-2' },
+    { ...email, id: 'msg-batch-2' },
+  ]);
+
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual(body.results.map(({ index, id, result, code }) => ({ index, id, result, code })), [
+    { index: 0, id: 'msg-batch-1', result: 'stored', code: undefined },
+    { index: 1, id: 'msg-batch-invalid', result: 'error', code: 'VALIDATION_ERROR' },
+    { index: 2, id: 'msg-1', result: 'skipped', code: undefined },
+    { index: 3, id: null, result: 'error', code: 'VALIDATION_ERROR' },
+    { index: 4, id: 'msg-batch-2', result: 'stored', code: undefined },
+    { index: 5, id: 'msg-batch-2', result: 'skipped', code: undefined },
+  ]);
+  assert.match(body.results[1].message, /Missing required fields: subject/);
+  assert.deepEqual([body.stored, body.skipped, body.failed], [2, 2, 2]);
+  assert.equal((await getStoredEmail('msg-batch-1')).subject, email.subject);
+  assert.equal(await getStoredEmail('msg-batch-invalid'), undefined);
+});
+
+test('POST /webhook/batch rolls back a failing item and commits the rest', async () => {
+  // Fail the label link, which is written after the email row
+  const db = initDatabase(join(dir, 'data', 'emails.db'));
+  db.exec(`
+    CREATE TRIGGER reject_label BEFORE INSERT ON labels WHEN NEW.name = 'Rejected'
+    BEGIN SELECT RAISE(ABORT, 'label rejected'); END
+  `);
+  try {
+    const response = await postBatch([
+      { ...email, id: 'msg-savepoint-1', labels: ['Work'] },
+      { ...email, id: 'msg-savepoint-failing', labels: ['Rejected'] },
+      { ...email, id: 'msg-savepoint-2', labels: ['Work'] },
+    ]);
+
+    const body = await response.json();
+    assert.deepEqual(body.results.map(item => item.result), ['stored', 'error', 'stored']);
+    assert.equal(body.results[1].code, 'DATABASE_ERROR');
+    assert.equal(db.prepare("SELECT COUNT(*) AS count FROM emails WHERE id = 'msg-savepoint-failing'").get().count, 0);
+    assert.equal(db.prepare("SELECT COUNT(*) AS count FROM email_events WHERE email_id = 'msg-savepoint-failing'").get().count, 0);
+    assert.deepEqual(JSON.parse((await getStoredEmail('msg-savepoint-2')).labels), ['Work']);
+  } finally {
+    db.exec('DROP TRIGGER reject_label');
+    closeDatabase(db);
+  }
+});
+
+test('POST /webhook/batch takes 1 to 100 items', async () => {
+  for (const payloads of [[], { ...email, id: 'msg-not-a-list' }, Array.from({ length: 101 }, (_, i) => ({ ...email, id: `msg-over-${i}` }))]) {
+    const response = await postBatch(payloads);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'INVALID_BATCH');
+  }
+  assert.equal(await getStoredEmail('msg-over-0'), undefined);
+
+  const response = await postBatch(Array.from({ length: 100 }, (_, i) => ({ ...email, id: `msg-full-${i}` })));
+  assert.equal((await response.json()).stored, 100);
+});
+
+test('POST /webhook/batch rejects bodies over 10MB', async () => {
+  const body = JSON.stringify([{ ...email, id: 'msg-too-large', body: 'x'.repeat(10 * 1048576) }]);
+  const response = await postBatch(null, body);
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, 'PAYLOAD_TOO_LARGE');
+  assert.equal(await getStoredEmail('msg-too-large'), undefined);
+});
+
+for (const target of ['/emails', '/emails/msg-1', '/threads/thread-1']) {
+  test(`GET ${target} without a signature is rejected`, async () => {
+    const response = await fetch(`${BASE_URL}${target}`);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, 'INVALID_SIGNATURE');
+  });
+
+  test(`GET ${target} signed for another target is rejected`, async () => {
+    const response = await fetch(`${BASE_URL}${target}`, { headers: signedHeaders('/health') });
+    assert.equal(response.status, 401);
+  });
+
+  test(`GET ${target} with a signature is answered`, async () => {
+    const response = await fetch(`${BASE_URL}${target}`, { headers: signedHeaders(target) });
+    assert.equal(response.status, 200);
+  });
+}
+
+test('GET /emails/:id returns the stored body to signed requests only', async () => {
+  const response = await fetch(`${BASE_URL}/emails/msg-1`, { headers: signedHeaders('/emails/msg-1') });
+  assert.equal((await response.json()).email.body, 'Numbers attached');
+});
+
+test('a replayed signed request is rejected', async () => {
+  const headers = signedHeaders('/emails?limit=1');
+  const first = await fetch(`${BASE_URL}/emails?limit=1`, { headers });
+  const replayed = await fetch(`${BASE_URL}/emails?limit=1`, { headers });
+
+  assert.equal(first.status, 200);
+  assert.equal(replayed.status, 401);
+  assert.equal((await replayed.json()).message, 'Signature already used');
+});
+
+test('a replayed webhook post is rejected', async () => {
+  const body = JSON.stringify({ ...email, id: 'msg-replayed' });
+  const post = headers => fetch(`${BASE_URL}/webhook`, { method: 'POST', headers, body });
+  const headers = { 'Content-Type': 'application/json', ...signedHeaders('/webhook', body) };
+
+  assert.equal((await post(headers)).status, 200);
+  assert.equal((await post(headers)).status, 401);
+});
+
+test('GET /health needs no signature', async () => {
+  const response = await fetch(`${BASE_URL}/health`);
+  assert.equal(response.status, 200);
+});
+
+// Connection state as the IMAP monitor records it
+function recordMonitorState() {
+  const statePath = join(dir, 'data', 'current_state.json');
+  initState(statePath, 'default');
+  updateAccountState(statePath, 'default', { connection_status: 'connected', last_connected_at: '2025-11-01T10:00:00.000Z' });
+  updateAccountState(statePath, 'work', { connection_status: 'reconnecting', last_error: 'Invalid credentials for work@example.com' });
+}
+
+test('GET /health without a signature reports overall status only', async () => {
+  recordMonitorState();
+  const response = await fetch(`${BASE_URL}/health`);
+  const text = await response.text();
+  const health = JSON.parse(text);
+
+  assert.equal(health.status, 'healthy');
+  assert.equal(health.imap, 'reconnecting');
+  assert.equal(health.accounts, undefined);
+  assert.doesNotMatch(text, /work|Invalid credentials/);
+});
+
+test('GET /health with a signature lists each account', async () => {
+  recordMonitorState();
+  const response = await fetch(`${BASE_URL}/health`, { headers: signedHeaders('/health') });
+  const health = await response.json();
+
+  assert.equal(health.imap, 'reconnecting');
+  assert.deepEqual(health.accounts.map(account => [account.name, account.connection_status, account.last_error]), [
+    ['default', 'connected', null],
+    ['work', 'reconnecting', 'Invalid credentials for work@example.com'],
+  ]);
+});
+
+test('GET /health with an invalid signature is rejected', async () => {
+  const response = await fetch(`${BASE_URL}/health`, { headers: signedHeaders('/emails') });
+  assert.equal(response.status, 401);
+});
+
+test('GET /events without a signature is rejected', async () => {
+  const response = await fetch(`${BASE_URL}/events`);
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'INVALID_SIGNATURE');
+});
+
+test('GET /events with a signature opens the stream', async () => {
+  const controller = new AbortController();
+  const target = '/events?last_event_id=0';
+  const response = await fetch(`${BASE_URL}${target}`, { headers: signedHeaders(target), signal: controller.signal });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  // Replayed from sequence 0: the email stored above
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let received = '';
+  while (!received.includes('event: email.received')) {
+    received += (await reader.read()).value;
+  }
+  assert.match(received, /"id":"msg-1"/);
+  controller.abort();
+});
+
+// Read SSE frames until `count` events arrived; returns them as { id, event, data }
+async function readEvents(response, count) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const events = [];
+  let buffered = '';
+  while (events.length < count) {
+    buffered += (await reader.read()).value;
+    let end;
+    while ((end = buffered.indexOf('\n\n')) >= 0) {
+      const frame = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      const fields = Object.fromEntries(frame.split('\n').filter(line => !line.startsWith(':')).map(line => {
+        const separator = line.indexOf(': ');
+        return [line.slice(0, separator), line.slice(separator + 2)];
+      }));
+      if (fields.event) {
+        events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+  }
+  reader.releaseLock();
+  return events;
+}
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test('GET /events accepts a signed URL again, so a client can reconnect and resume', async () => {
+  const url = `${BASE_URL}${signUrl(SECRET, '/events?from=carol', inOneHour())}`;
+
+  let controller = new AbortController();
+  let response = await fetch(url, { signal: controller.signal });
+  assert.equal(response.status, 200);
+  assert.equal((await postEmail({ ...email, id: 'msg-live', from_address: 'carol@example.com' })).status, 200);
+  const [live] = await readEvents(response, 1);
+  assert.equal(live.data.id, 'msg-live');
+  controller.abort();
+
+  // Stored while disconnected
+  await postEmail({ ...email, id: 'msg-missed-1', from_address: 'carol@example.com' });
+  await postEmail({ ...email, id: 'msg-missed-2', from_address: 'carol@example.com' });
+
+  // Reconnect as an EventSource does: the same URL with the last event id it saw
+  controller = new AbortController();
+  response = await fetch(url, { headers: { 'Last-Event-ID': live.id }, signal: controller.signal });
+  assert.equal(response.status, 200);
+  const missed = await readEvents(response, 2);
+  assert.deepEqual(missed.map(event => event.data.id), ['msg-missed-1', 'msg-missed-2']);
+  assert.ok(Number(missed[0].id) > Number(live.id));
+  controller.abort();
+});
+
+test('GET /events refuses an expired, tampered or too long-lived signed URL', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const expired = signUrl(SECRET, '/events', now - 1);
+  const tampered = signUrl(SECRET, '/events?label=Work', inOneHour()).replace('label=Work', 'label=Personal');
+  const tooLong = signUrl(SECRET, '/events', now + 8 * 86400);
+  const otherSecret = signUrl('other-secret', '/events', inOneHour());
+
+  for (const target of [expired, tampered, tooLong, otherSecret]) {
+    const response = await fetch(`${BASE_URL}${target}`);
+    assert.equal(response.status, 401, target);
+    assert.equal((await response.json()).code, 'INVALID_SIGNATURE');
+  }
+});
+
+test('signed URLs are only accepted on GET /events', async () => {
+  const response = await fetch(`${BASE_URL}${signUrl(SECRET, '/emails', inOneHour())}`);
+  assert.equal(response.status, 401);
+});
+
+test('GET /deliveries without a signature is rejected', async () => {
+  const response = await fetch(`${BASE_URL}/deliveries?status=dead`);
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'INVALID_SIGNATURE');
+});
+
+test('GET /deliveries with a signature lists the outbox', async () => {
+  const target = '/deliveries?status=dead';
+  const response = await fetch(`${BASE_URL}${target}`, { headers: signedHeaders(target) });
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).deliveries, []);
+});
+
+function postAction(id, payload, headers) {
+  const target = `/emails/${id}/actions`;
+  const body = JSON.stringify(payload);
+  return fetch(`${BASE_URL}${target}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(headers ?? signedHeaders(target, body)) },
+    body,
+  });
+}
+
+// Audit rows the server recorded for an email
+function auditOf(id) {
+  const db = initDatabase(join(dir, 'data', 'emails.db'));
+  try {
+    return getEmailActions(db, id);
+  } finally {
+    closeDatabase(db);
+  }
+}
+
+test('POST /emails/:id/actions without a signature is rejected', async () => {
+  const response = await postAction('msg-1', { action: 'mark_read' }, {});
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'INVALID_SIGNATURE');
+});
+
+test('POST /emails/:id/actions rejects unknown actions and unknown emails', async () => {
+  const invalid = await postAction('msg-1', { action: 'delete' });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).code, 'INVALID_ACTION');
+
+  const missing = await postAction('no-such-email', { action: 'mark_read' });
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).code, 'EMAIL_NOT_FOUND');
+});
+
+test('POST /emails/:id/actions applies the action in the mailbox and mirrors the labels', async () => {
+  const id = 'a1b2c3d4e5f60001';
+  await postEmail({ ...email, id, labels: ['\\Inbox', 'Work'] });
+
+  const response = await postAction(id, { action: 'archive' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { status: 'success', id, action: 'archive', labels: ['Work'] });
+  assert.ok(imap.commands.some(command => command.args.startsWith('STORE 11 -X-GM-LABELS')));
+  assert.deepEqual(JSON.parse((await getStoredEmail(id)).labels), ['Work']);
+
+  const [audit] = auditOf(id);
+  assert.equal(audit.action, 'archive');
+  assert.equal(audit.status, 'success');
+});
+
+test('POST /emails/:id/actions reports a message missing from the mailbox', async () => {
+  const id = 'a1b2c3d4e5f60002';
+  await postEmail({ ...email, id, labels: ['\\Inbox'] });
+
+  const response = await postAction(id, { action: 'trash' });
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).code, 'MESSAGE_NOT_IN_MAILBOX');
+  assert.deepEqual(JSON.parse((await getStoredEmail(id)).labels), ['\\Inbox']);
+  assert.equal(auditOf(id)[0].error, 'Message not found in mailbox');
+});
+
+test('POST /emails/:id/actions reports a refused mailbox command', async () => {
+  const id = 'a1b2c3d4e5f60003';
+  await postEmail({ ...email, id, labels: ['\\Inbox'] });
+
+  const response = await postAction(id, { action: 'add_labels', labels: ['Receipts'] });
+  assert.equal(response.status, 502);
+  const body = await response.json();
+  assert.equal(body.code, 'MAILBOX_ERROR');
+  assert.match(body.message, /mailbox is read-only/);
+  assert.deepEqual(JSON.parse((await getStoredEmail(id)).labels), ['\\Inbox']);
+
+  const [audit] = auditOf(id);
+  assert.equal(audit.status, 'failed');
+  assert.deepEqual(JSON.parse(audit.params), { labels: ['Receipts'] });
+});
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const dir = mkdtempSync(join(tmpdir(), 'accounts-'));
+const accountsPath = join(dir, 'accounts.json');
+process.env.ACCOUNTS_PATH = accountsPath;
+
+const { loadAccounts, getPrimaryAccountName, getAccountUser } = await import('../../src/accounts.js');
+
+// Write the accounts file with a given modification time (seconds)
+function writeAccounts(accounts, mtime) {
+  writeFileSync(accountsPath, JSON.stringify({ accounts }));
+  utimesSync(accountsPath, mtime, mtime);
+}
+
+before(() => {
+  writeAccounts([
+    { name: 'personal', user: 'me@gmail.com', password: 'app-password' },
+    { name: 'work', user: 'me@work.example', password: 'app-password' },
+  ], 1700000000);
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('accounts are read once while the file is unchanged', () => {
+  const accounts = loadAccounts();
+  assert.equal(getPrimaryAccountName(), 'personal');
+  assert.equal(getAccountUser('work'), 'me@work.example');
+  assert.equal(loadAccounts(), accounts);
+});
+
+test('accounts are reloaded when the file changes', () => {
+  const before = loadAccounts();
+  writeAccounts([{ name: 'renamed', user: 'new@gmail.com', password: 'app-password' }], 1700000100);
+
+  assert.notEqual(loadAccounts(), before);
+  assert.equal(getPrimaryAccountName(), 'renamed');
+  assert.equal(getAccountUser('work'), 'new@gmail.com');
+});
+
+test('an invalid file is reported on every load', () => {
+  writeFileSync(accountsPath, '{"accounts": []}');
+  utimesSync(accountsPath, 1700000200, 1700000200);
+
+  assert.throws(() => loadAccounts(), /Accounts load failed/);
+  assert.throws(() => getPrimaryAccountName(), /Accounts load failed/);
+});
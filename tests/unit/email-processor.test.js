@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// config.js validates these on import
+process.env.GMAIL_USER ??= 'me@example.com';
+process.env.GMAIL_APP_PASSWORD ??= 'app-password';
+process.env.ACCOUNTS_PATH = join(tmpdir(), 'no-accounts.json');
+
+const { getEmailId, buildEmailRecord, validateEmailRecord } = await import('../../src/email-processor.js');
+const { initDatabase, storeEmail, getEmailById, closeDatabase } = await import('../../src/database.js');
+
+const primary = { name: 'default', primary: true };
+const work = { name: 'work', primary: false };
+
+let dir;
+let db;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'email-processor-'));
+  db = initDatabase(join(dir, 'emails.db'));
+});
+
+after(() => {
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Raw message data as ImapClient.fetchEmails returns it (no Gmail extensions)
+function message(uid, subject) {
+  return {
+    uid,
+    attrs: { uid, flags: [] },
+    headers: `From: alice@example.com\r\nTo: me@example.com\r\nSubject: ${subject}\r\nMessage-ID: <${subject.replace(/\W/g, '')}@example.com>\r\nDate: Sat, 1 Nov 2025 10:00:00 +0000\r\n\r\n`,
+    body: `${subject} body\r\n`,
+  };
+}
+
+test('Gmail message ids ignore the folder', () => {
+  const attrs = { uid: 5, 'x-gm-msgid': '1849516347245231234' };
+  assert.equal(getEmailId(attrs, primary, { folder: 'INBOX', uidvalidity: 1 }), getEmailId(attrs, primary, { folder: 'Sent', uidvalidity: 9 }));
+  assert.equal(getEmailId(attrs, primary), '19aacd5193d47c82');
+});
+
+test('UID-based ids include the folder and UIDVALIDITY', () => {
+  assert.equal(getEmailId({ uid: 5 }, primary, { folder: 'INBOX', uidvalidity: 1700000000 }), 'INBOX.1700000000.5');
+  assert.notEqual(
+    getEmailId({ uid: 5 }, primary, { folder: 'INBOX', uidvalidity: 1 }),
+    getEmailId({ uid: 5 }, primary, { folder: 'INBOX', uidvalidity: 2 })
+  );
+});
+
+test('UID-based ids never contain an account separator', () => {
+  const id = getEmailId({ uid: 5 }, primary, { folder: 'Archive:2025', uidvalidity: 1 });
+  assert.ok(!id.includes(':'));
+  assert.equal(getEmailId({ uid: 5 }, work, { folder: 'Archive:2025', uidvalidity: 1 }), `work:${id}`);
+});
+
+test('UID-based ids need the mailbox', () => {
+  assert.throws(() => getEmailId({ uid: 5 }, primary), /UIDVALIDITY/);
+});
+
+test('messages of two folders sharing a UID are both stored', async () => {
+  const inbox = await buildEmailRecord(message(5, 'Invoice 42'), 'INBOX', null, '\\Inbox', primary, 1700000000);
+  const sent = await buildEmailRecord(message(5, 'Re: lunch'), 'Sent', null, '\\Sent', primary, 1700000000);
+
+  assert.equal(storeEmail(db, inbox), true);
+  assert.equal(storeEmail(db, sent), true);
+  assert.equal(getEmailById(db, inbox.id).subject, 'Invoice 42');
+  assert.equal(getEmailById(db, sent.id).subject, 'Re: lunch');
+});
+
+test('a message reusing a UID after a UIDVALIDITY reset is stored', async () => {
+  const before = await buildEmailRecord(message(7, 'Old message'), 'INBOX', null, '\\Inbox', primary, 1);
+  const after = await buildEmailRecord(message(7, 'New message'), 'INBOX', null, '\\Inbox', primary, 2);
+
+  assert.equal(storeEmail(db, before), true);
+  assert.equal(storeEmail(db, after), true);
+  assert.equal(getEmailById(db, after.id).subject, 'New message');
+});
+
+// A record as buildEmailRecord or the webhook server hands it to validateEmailRecord
+function record(fields = {}) {
+  return {
+    id: 'provenance-1',
+    thread_id: 'thread-1',
+    received_at: '2025-11-01T12:00:00Z',
+    downloaded_at: '2025-11-01T12:00:05Z',
+    from_address: 'alice@example.com',
+    to_address: 'me@example.com',
+    subject: 'Provenance',
+    labels: [],
+    body: 'body',
+    source: 'webhook',
+    ...fields,
+  };
+}
+
+test('IMAP records carry their source and session, and no broadcast time', async () => {
+  const email = await buildEmailRecord(message(9, 'Provenance'), 'INBOX', 'session-1', '\\Inbox', primary, 1);
+  assert.equal(email.source, 'imap');
+  assert.equal(email.ingestion_id, 'session-1');
+  assert.equal(email.broadcasted_at, null);
+  assert.equal(email.received_at, '2025-11-01T10:00:00.000Z');
+
+  storeEmail(db, email);
+  const stored = getEmailById(db, email.id);
+  assert.deepEqual([stored.source, stored.ingestion_id, stored.broadcasted_at], ['imap', 'session-1', null]);
+});
+
+test('records need a known source', () => {
+  assert.throws(() => validateEmailRecord(record({ source: undefined })), /source must be one of: imap, webhook/);
+  assert.throws(() => validateEmailRecord(record({ source: 'smtp' })), /source must be one of/);
+});
+
+test('broadcast times are stored as UTC and empty provenance fields as null', () => {
+  const email = validateEmailRecord(record({ broadcasted_at: '2025-11-01T09:00:07-03:00', ingestion_id: '' }));
+  assert.equal(email.broadcasted_at, '2025-11-01T12:00:07.000Z');
+  assert.equal(email.ingestion_id, null);
+  assert.equal(validateEmailRecord(record({ broadcasted_at: '' })).broadcasted_at, null);
+});
+
+test('unreadable or non-string broadcast times are rejected', () => {
+  assert.throws(() => validateEmailRecord(record({ broadcasted_at: 'just now' })), /broadcasted_at is not a recognized timestamp: just now/);
+  assert.throws(() => validateEmailRecord(record({ broadcasted_at: 1761998400000 })), /broadcasted_at must be a string/);
+  assert.throws(() => validateEmailRecord(record({ ingestion_id: 7 })), /ingestion_id must be a string/);
+});
@@ -0,0 +1,199 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+process.env.EVENTS_POLL_INTERVAL_MS = '20';
+process.env.EVENTS_HEARTBEAT_MS = '30';
+process.env.LOG_LEVEL = 'error';
+
+const { addEventClient, wakeEventStream, closeEventClients, countEventClients, parseLastEventId } =
+  await import('../../src/event-stream.js');
+const { initDatabase, storeEmail, closeDatabase } = await import('../../src/database.js');
+
+let dir;
+let db;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'event-stream-'));
+  db = initDatabase(join(dir, 'emails.db'));
+});
+
+afterEach(() => {
+  closeEventClients();
+});
+
+after(() => {
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Response recording what an SSE client would receive
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.frames = [];
+    this.writableEnded = false;
+  }
+
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  }
+
+  write(frame) {
+    this.frames.push(frame);
+    this.emit('frame', frame);
+  }
+
+  end() {
+    this.writableEnded = true;
+    this.emit('close');
+  }
+
+  // email.received events sent so far, as { id, data }
+  get events() {
+    return this.frames
+      .filter(frame => frame.includes('event: email.received'))
+      .map(frame => ({
+        id: Number(frame.match(/^id: (\d+)$/m)[1]),
+        data: JSON.parse(frame.match(/^data: (.*)$/m)[1]),
+      }));
+  }
+
+  // Wait until `count` events were sent
+  async waitForEvents(count) {
+    while (this.events.length < count) {
+      await once(this, 'frame');
+    }
+    return this.events;
+  }
+}
+
+function connect(options = {}) {
+  const res = new FakeResponse();
+  addEventClient(db, {}, res, options);
+  return res;
+}
+
+let nextId = 1;
+
+function store(fields = {}) {
+  const id = `event-${nextId++}`;
+  storeEmail(db, {
+    id,
+    thread_id: `thread-${id}`,
+    received_at: '2025-11-01T10:00:00.000Z',
+    downloaded_at: '2025-11-01T10:00:01.000Z',
+    from_address: 'alice@example.com',
+    to_address: 'me@example.com',
+    cc_address: null,
+    subject: `Subject of ${id}`,
+    labels: [],
+    body: 'body',
+    folder: 'INBOX',
+    ...fields,
+  });
+  wakeEventStream();
+  return id;
+}
+
+test('Last-Event-ID values are parsed as sequence numbers', () => {
+  assert.equal(parseLastEventId(undefined), undefined);
+  assert.equal(parseLastEventId(''), undefined);
+  assert.equal(parseLastEventId('42'), 42);
+  assert.equal(parseLastEventId('-1'), null);
+  assert.equal(parseLastEventId('4.2'), null);
+  assert.equal(parseLastEventId('abc'), null);
+});
+
+test('the stream opens with SSE headers and a retry delay', () => {
+  const res = connect();
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+  assert.match(res.frames[0], /^retry: \d+\n\n$/);
+});
+
+test('a stored email is sent to connected clients', async () => {
+  const before = store();
+  const res = connect();
+  const id = store({ subject: 'Live', labels: ['Work'] });
+
+  const [event] = await res.waitForEvents(1);
+  assert.equal(event.data.id, id);
+  assert.equal(event.data.subject, 'Live');
+  assert.deepEqual(event.data.labels, ['Work']);
+  // Emails stored before connecting are not replayed without Last-Event-ID
+  assert.ok(!res.events.some(sent => sent.data.id === before));
+});
+
+test('a client resuming with Last-Event-ID gets what it missed, in order', async () => {
+  const first = connect();
+  store();
+  const [seen] = await first.waitForEvents(1);
+  first.end();
+
+  const missed = [store(), store()];
+  const resumed = connect({ lastEventId: seen.id });
+  const events = await resumed.waitForEvents(2);
+
+  assert.deepEqual(events.map(event => event.data.id), missed);
+  assert.ok(events[0].id > seen.id && events[1].id > events[0].id);
+});
+
+test('clients only get emails matching their from and label filters', async () => {
+  const fromBob = connect({ from: 'BOB@' });
+  const work = connect({ label: 'Work' });
+  const everything = connect();
+
+  const bobId = store({ from_address: 'Bob <bob@example.com>' });
+  const workId = store({ labels: ['Work', 'Receipts'] });
+  const otherId = store();
+
+  await everything.waitForEvents(3);
+  // Polls run for all clients at once, so the filtered ones are up to date too
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepEqual(fromBob.events.map(event => event.data.id), [bobId]);
+  assert.deepEqual(work.events.map(event => event.data.id), [workId]);
+  assert.deepEqual(everything.events.map(event => event.data.id), [bobId, workId, otherId]);
+});
+
+test('invalid filters are rejected before the stream opens', () => {
+  const res = new FakeResponse();
+  assert.throws(() => addEventClient(db, {}, res, { label: ['Work', 1] }), /labels/);
+  assert.equal(res.status, undefined);
+  assert.equal(countEventClients(), 0);
+});
+
+test('idle streams get heartbeat comments', async () => {
+  const res = connect();
+  while (!res.frames.some(frame => frame.startsWith(': heartbeat '))) {
+    await once(res, 'frame');
+  }
+  assert.match(res.frames.find(frame => frame.startsWith(': heartbeat ')), /^: heartbeat \S+Z\n\n$/);
+});
+
+test('a client that disconnects stops receiving events', async () => {
+  const res = connect();
+  assert.equal(countEventClients(), 1);
+
+  res.emit('close');
+  assert.equal(countEventClients(), 0);
+
+  store();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(res.events, []);
+});
+
+test('closeEventClients ends every stream on shutdown', () => {
+  const clients = [connect(), connect({ from: 'alice' })];
+  assert.equal(countEventClients(), 2);
+
+  closeEventClients();
+
+  assert.equal(countEventClients(), 0);
+  assert.ok(clients.every(res => res.writableEnded));
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { normalizeLabels, serializeLabels } = await import('../../src/labels.js');
+
+test('labels are trimmed, de-duplicated and kept in first-seen order', () => {
+  assert.deepEqual(normalizeLabels([' Work ', 'Receipts', 'Work', '\\Inbox', 'Receipts ']), ['Work', 'Receipts', '\\Inbox']);
+  // Case matters, as it does for Gmail labels
+  assert.deepEqual(normalizeLabels(['Work', 'work']), ['Work', 'work']);
+});
+
+test('empty names are dropped', () => {
+  assert.deepEqual(normalizeLabels(['', '  ', 'Work']), ['Work']);
+  assert.deepEqual(normalizeLabels('Work,, ,Receipts,'), ['Work', 'Receipts']);
+  assert.deepEqual(normalizeLabels(''), []);
+});
+
+test('comma-separated and JSON array strings are accepted', () => {
+  assert.deepEqual(normalizeLabels('Work, Receipts, Work'), ['Work', 'Receipts']);
+  assert.deepEqual(normalizeLabels('["Work", " Receipts", "Work"]'), ['Work', 'Receipts']);
+  assert.deepEqual(normalizeLabels('  ["Work"]  '), ['Work']);
+});
+
+test('missing labels are an empty list', () => {
+  assert.deepEqual(normalizeLabels(null), []);
+  assert.deepEqual(normalizeLabels(undefined), []);
+  assert.deepEqual(normalizeLabels([]), []);
+});
+
+test('values that are not label lists are rejected', () => {
+  for (const value of [['Work', 1], [null], '["Work"', '["Work", 2]', 42, { Work: true }]) {
+    assert.equal(normalizeLabels(value), null, `${JSON.stringify(value)} should be rejected`);
+  }
+});
+
+test('labels are serialized as a JSON array for the labels column', () => {
+  assert.equal(serializeLabels('Work, Receipts, Work'), '["Work","Receipts"]');
+  assert.equal(serializeLabels(null), '[]');
+  assert.equal(serializeLabels([1]), null);
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+
+process.env.DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+process.env.LOG_LEVEL = 'error';
+
+const { runMigrations, LATEST_VERSION } = await import('../../src/migrations.js');
+
+let db;
+
+before(() => {
+  db = new Database(':memory:');
+  runMigrations(db);
+});
+
+after(() => {
+  db.close();
+});
+
+const insert = (id, { thread_id = '', subject, received_at, headers = {}, labels = '[]' }) => db.prepare(`
+  INSERT INTO emails (id, thread_id, received_at, downloaded_at, from_address, to_address, subject, labels, body, headers)
+  VALUES (?, ?, ?, ?, 'alice@example.com', 'me@example.com', ?, ?, '', ?)
+`).run(id, thread_id, received_at, received_at, subject, labels, JSON.stringify(headers));
+
+// Re-run the migrations after `version` over the rows inserted meanwhile
+function migrateFrom(version) {
+  db.pragma(`user_version = ${version}`);
+  return runMigrations(db);
+}
+
+const threadOf = id => db.prepare('SELECT thread_id FROM emails WHERE id = ?').get(id).thread_id;
+
+test('the threading backfill links replies, parents and replies to the same subject', () => {
+  insert('gmail', { thread_id: '19aacd5193d47c82', subject: 'Gmail threaded', received_at: '2025-11-01T09:00:00.000Z' });
+  insert('root', { subject: 'Lunch', received_at: '2025-11-01T10:00:00.000Z', headers: { 'message-id': '<root@example.com>' } });
+  insert('reply', {
+    subject: 'Re: Lunch',
+    received_at: '2025-11-01T11:00:00.000Z',
+    headers: { 'message-id': '<reply@example.com>', 'in-reply-to': '<root@example.com>' },
+  });
+  insert('late', {
+    subject: 'RE: lunch',
+    received_at: '2025-11-02T11:00:00.000Z',
+    headers: { 'message-id': '<late@example.com>', 'in-reply-to': '<missing@example.com>' },
+  });
+  insert('orphan', {
+    subject: 'Re: Lunch',
+    received_at: '2026-01-15T11:00:00.000Z',
+    headers: { 'message-id': '<orphan@example.com>' },
+  });
+
+  const result = migrateFrom(14);
+
+  assert.equal(result.to, LATEST_VERSION);
+  assert.equal(threadOf('gmail'), '19aacd5193d47c82');
+  assert.match(threadOf('root'), /^t-[0-9a-f]{16}$/);
+  assert.equal(threadOf('reply'), threadOf('root'));
+  assert.equal(threadOf('late'), threadOf('root'));
+  // Outside the 30-day subject window
+  assert.notEqual(threadOf('orphan'), threadOf('root'));
+
+  const reply = db.prepare("SELECT message_id, reference_ids, base_subject FROM emails WHERE id = 'reply'").get();
+  assert.deepEqual(reply, { message_id: 'reply@example.com', reference_ids: '["root@example.com"]', base_subject: 'lunch' });
+});
+
+test('the threading backfill joins an earlier message to the thread of a stored reply', () => {
+  insert('answer', {
+    thread_id: 't-answer',
+    subject: 'Re: Budget',
+    received_at: '2025-11-03T10:00:00.000Z',
+    headers: { 'message-id': '<answer@example.com>', references: '<question@example.com>' },
+  });
+  insert('question', {
+    subject: 'Budget',
+    received_at: '2025-11-04T10:00:00.000Z',
+    headers: { 'message-id': '<question@example.com>' },
+  });
+
+  migrateFrom(14);
+
+  assert.equal(threadOf('question'), 't-answer');
+});
+
+test('the timestamp rewrite reads offset-less values in DEFAULT_TIMEZONE', () => {
+  insert('local-time', { subject: 'Local', received_at: '2025-11-01 12:00:00' });
+  insert('rfc-2822', { subject: 'RFC 2822', received_at: 'Sat, 01 Nov 2025 12:00:00 +0100' });
+
+  migrateFrom(8);
+
+  const receivedAt = id => db.prepare('SELECT received_at FROM emails WHERE id = ?').get(id).received_at;
+  assert.equal(receivedAt('local-time'), '2025-11-01T15:00:00.000Z');
+  assert.equal(receivedAt('rfc-2822'), '2025-11-01T11:00:00.000Z');
+});
+
+test('the label backfill stores JSON arrays and links every label', () => {
+  insert('comma-labels', { subject: 'Labels', received_at: '2025-11-01T12:00:00.000Z', labels: 'Work, Receipts, Work' });
+
+  migrateFrom(9);
+
+  assert.equal(db.prepare("SELECT labels FROM emails WHERE id = 'comma-labels'").get().labels, '["Work","Receipts"]');
+  const linked = db.prepare(`
+    SELECT l.name FROM email_labels el JOIN labels l ON l.id = el.label_id
+    WHERE el.email_id = 'comma-labels' ORDER BY l.name
+  `).all().map(row => row.name);
+  assert.deepEqual(linked, ['Receipts', 'Work']);
+});
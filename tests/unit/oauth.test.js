@@ -0,0 +1,165 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startTokenEndpoint } from '../helpers/token-endpoint.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'oauth-'));
+process.env.OAUTH_TOKENS_PATH = join(dir, 'oauth-tokens.json');
+process.env.LOG_LEVEL = 'error';
+
+const {
+  getAccessToken,
+  getImapAuth,
+  buildXoauth2Token,
+  storeRefreshToken,
+  readRefreshToken,
+} = await import('../../src/oauth.js');
+
+let endpoint;
+
+before(async () => {
+  endpoint = await startTokenEndpoint();
+});
+
+after(async () => {
+  await endpoint.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Account configuration as in config.accounts; access tokens are cached by name, so each test uses its own
+function account(name, { password, refreshToken = 'rt-good', tokenUrl = endpoint.url, oauth = true } = {}) {
+  return {
+    name,
+    gmail: {
+      user: 'me@example.com',
+      password,
+      oauth: oauth ? { clientId: 'client-id', clientSecret: 'client-secret', refreshToken, tokenUrl } : null,
+    },
+  };
+}
+
+// Requests the endpoint received while running fn
+async function countRequests(stub, fn) {
+  const start = stub.requests.length;
+  await fn();
+  return stub.requests.length - start;
+}
+
+test('access tokens are cached until close to expiry', async () => {
+  const cached = account('cached');
+  let first;
+  let second;
+  const requests = await countRequests(endpoint, async () => {
+    first = await getAccessToken(cached);
+    second = await getAccessToken(cached);
+  });
+
+  assert.equal(requests, 1);
+  assert.equal(first, second);
+});
+
+test('the refresh request carries the client credentials and refresh token', async () => {
+  await getAccessToken(account('credentials'));
+  assert.deepEqual(endpoint.requests.at(-1), {
+    client_id: 'client-id',
+    client_secret: 'client-secret',
+    grant_type: 'refresh_token',
+    refresh_token: 'rt-good',
+  });
+});
+
+test('concurrent callers share one refresh', async () => {
+  const shared = account('shared');
+  let tokens;
+  const requests = await countRequests(endpoint, async () => {
+    tokens = await Promise.all([getAccessToken(shared), getAccessToken(shared), getAccessToken(shared)]);
+  });
+
+  assert.equal(requests, 1);
+  assert.equal(new Set(tokens).size, 1);
+});
+
+test('tokens expiring within five minutes are refreshed before use', async () => {
+  const shortLived = await startTokenEndpoint({ expiresIn: 120 });
+  try {
+    const expiring = account('expiring', { tokenUrl: shortLived.url });
+    const first = await getAccessToken(expiring);
+    const second = await getAccessToken(expiring);
+
+    assert.equal(shortLived.requests.length, 2);
+    assert.notEqual(first, second);
+  } finally {
+    await shortLived.close();
+  }
+});
+
+test('forceRefresh ignores the cached token', async () => {
+  const forced = account('forced');
+  const first = await getAccessToken(forced);
+  const second = await getAccessToken(forced, { forceRefresh: true });
+  assert.notEqual(first, second);
+});
+
+test('the stored refresh token is used when none is configured', async () => {
+  storeRefreshToken('stored', 'rt-good', 'https://mail.google.com/');
+  assert.equal(statSync(process.env.OAUTH_TOKENS_PATH).mode & 0o777, 0o600);
+
+  const token = await getAccessToken(account('stored', { refreshToken: null }));
+  assert.match(token, /^at-\d+$/);
+  assert.equal(endpoint.requests.at(-1).refresh_token, 'rt-good');
+});
+
+test('a rotated refresh token replaces the stored one', async () => {
+  const rotating = await startTokenEndpoint({ rotateTo: 'rt-rotated' });
+  try {
+    storeRefreshToken('rotating', 'rt-good');
+    await getAccessToken(account('rotating', { refreshToken: null, tokenUrl: rotating.url }));
+    assert.equal(readRefreshToken('rotating'), 'rt-rotated');
+  } finally {
+    await rotating.close();
+  }
+});
+
+test('a refused refresh reports the OAuth error', async () => {
+  await assert.rejects(
+    getAccessToken(account('revoked', { refreshToken: 'rt-revoked' })),
+    error => error.code === 'invalid_grant' && /^Token refresh failed: invalid_grant/.test(error.message)
+  );
+});
+
+test('XOAUTH2 initial response encodes user and bearer token', () => {
+  const decoded = Buffer.from(buildXoauth2Token('me@example.com', 'at-1'), 'base64').toString('utf8');
+  assert.equal(decoded, 'user=me@example.com\x01auth=Bearer at-1\x01\x01');
+});
+
+test('accounts with a refresh token sign in with XOAUTH2', async () => {
+  const auth = await getImapAuth(account('xoauth2', { password: 'app-password' }));
+  assert.equal(auth.method, 'xoauth2');
+  assert.ok(auth.credentials.xoauth2);
+  assert.equal(auth.credentials.password, undefined);
+});
+
+test('accounts without OAuth settings sign in with the app password', async () => {
+  const auth = await getImapAuth(account('password-only', { password: 'app-password', oauth: false }));
+  assert.deepEqual(auth, { method: 'password', credentials: { password: 'app-password' } });
+});
+
+test('the app password is used until the account is authorized', async () => {
+  const requests = await countRequests(endpoint, async () => {
+    const auth = await getImapAuth(account('unauthorized', { password: 'app-password', refreshToken: null }));
+    assert.deepEqual(auth, { method: 'password', credentials: { password: 'app-password' } });
+  });
+  assert.equal(requests, 0);
+});
+
+test('the app password is used when no access token can be obtained', async () => {
+  const auth = await getImapAuth(account('fallback', { password: 'app-password', refreshToken: 'rt-revoked' }));
+  assert.deepEqual(auth, { method: 'password', credentials: { password: 'app-password' } });
+});
+
+test('without an app password, a failed refresh is an error', async () => {
+  await assert.rejects(getImapAuth(account('no-fallback', { refreshToken: 'rt-revoked' })), /invalid_grant/);
+  await assert.rejects(getImapAuth(account('never-authorized', { refreshToken: null })), /npm run oauth:authorize/);
+});
@@ -0,0 +1,172 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+process.env.GMAIL_USER = 'me@example.com';
+process.env.ACCOUNTS_PATH = join(tmpdir(), 'no-accounts.json');
+process.env.LOG_LEVEL = 'error';
+
+const {
+  buildGmailLink,
+  mapPriority,
+  resolveDueDate,
+  createEmailReminder,
+  DEFAULT_REMINDER_LIST,
+} = await import('../../src/reminders.js');
+const { initDatabase, storeEmail, getEmailReminder, closeDatabase } = await import('../../src/database.js');
+
+let dir;
+let db;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'reminders-'));
+  db = initDatabase(join(dir, 'emails.db'));
+});
+
+after(() => {
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Store an email and return its row as callers pass it
+function stored(id, subject = `Subject of ${id}`) {
+  const email = {
+    id,
+    thread_id: `thread-${id}`,
+    received_at: '2025-11-01T10:00:00.000Z',
+    downloaded_at: '2025-11-01T10:00:01.000Z',
+    from_address: 'alice@example.com',
+    to_address: 'me@example.com',
+    cc_address: null,
+    subject,
+    labels: [],
+    body: `${subject} body`,
+    folder: 'INBOX',
+  };
+  storeEmail(db, email);
+  return email;
+}
+
+// Executor recording its calls and answering with made-up reminder ids
+function fakeExecutor({ fail } = {}) {
+  const calls = [];
+  const executor = async (script, args) => {
+    calls.push({ script, args });
+    if (fail) {
+      throw new Error(fail);
+    }
+    return `x-apple-reminder://R${calls.length}\n`;
+  };
+  return Object.assign(executor, { calls });
+}
+
+test('Gmail links open the thread in the account of the email', () => {
+  assert.equal(
+    buildGmailLink({ id: 'abc', thread_id: '19aacd5193d47c82' }),
+    'https://mail.google.com/mail/u/0/?authuser=me%40example.com#all/19aacd5193d47c82'
+  );
+});
+
+test('Gmail links strip the account namespace and fall back to the email id', () => {
+  assert.equal(
+    buildGmailLink({ id: 'work:19aacd5193d47c82', thread_id: null }, 'work+me@example.com'),
+    'https://mail.google.com/mail/u/0/?authuser=work%2Bme%40example.com#all/19aacd5193d47c82'
+  );
+  assert.equal(buildGmailLink({ id: 'abc', thread_id: 'def' }, ''), 'https://mail.google.com/mail/u/0/#all/def');
+});
+
+test('priorities map names and the 0-3 scale to Reminders values', () => {
+  assert.equal(mapPriority(undefined), 0);
+  assert.equal(mapPriority(null), 0);
+  assert.deepEqual([0, 1, 2, 3].map(mapPriority), [0, 9, 5, 1]);
+  assert.deepEqual(['none', 'low', 'Medium', 'HIGH'].map(mapPriority), [0, 9, 5, 1]);
+});
+
+test('invalid priorities map to null', () => {
+  assert.equal(mapPriority(4), null);
+  assert.equal(mapPriority('urgent'), null);
+});
+
+test('due dates accept offsets from now and timestamps', () => {
+  const now = new Date('2025-11-01T10:00:00.000Z');
+  assert.equal(resolveDueDate(undefined, now), undefined);
+  assert.equal(resolveDueDate('+30m', now).toISOString(), '2025-11-01T10:30:00.000Z');
+  assert.equal(resolveDueDate('+2h', now).toISOString(), '2025-11-01T12:00:00.000Z');
+  assert.equal(resolveDueDate('+1d', now).toISOString(), '2025-11-02T10:00:00.000Z');
+  assert.equal(resolveDueDate('2025-11-03T09:00:00Z', now).toISOString(), '2025-11-03T09:00:00.000Z');
+});
+
+test('invalid due dates resolve to null', () => {
+  assert.equal(resolveDueDate('tomorrow-ish'), null);
+});
+
+test('a reminder is created with the email subject, sender and link', async () => {
+  const email = stored('reminded');
+  const executor = fakeExecutor();
+  const due = new Date('2025-11-03T09:30:00Z');
+
+  const { created, reminder } = await createEmailReminder(db, email, { executor, priority: 'high', due });
+
+  assert.equal(created, true);
+  assert.equal(reminder.reminder_id, 'x-apple-reminder://R1');
+  assert.equal(reminder.list, DEFAULT_REMINDER_LIST);
+  assert.equal(reminder.due_at, '2025-11-03T09:30:00.000Z');
+
+  const [title, list, notes, priority, ...dueArgs] = executor.calls[0].args;
+  assert.equal(title, 'Subject of reminded');
+  assert.equal(list, DEFAULT_REMINDER_LIST);
+  assert.equal(notes, `From: alice@example.com\n${buildGmailLink(email)}`);
+  assert.equal(priority, '1');
+  // Local time fields, as Reminders reads them
+  assert.deepEqual(dueArgs, [
+    due.getFullYear(), due.getMonth() + 1, due.getDate(), due.getHours() * 3600 + due.getMinutes() * 60,
+  ].map(String));
+});
+
+test('an email never gets a second reminder', async () => {
+  const email = stored('once');
+  const executor = fakeExecutor();
+
+  const first = await createEmailReminder(db, email, { executor });
+  const second = await createEmailReminder(db, email, { executor, title: 'Another title' });
+
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.deepEqual(second.reminder, first.reminder);
+  assert.equal(executor.calls.length, 1);
+});
+
+test('concurrent requests for one email create one reminder', async () => {
+  const email = stored('concurrent');
+  const executor = fakeExecutor();
+
+  const results = await Promise.all([1, 2, 3].map(() => createEmailReminder(db, email, { executor })));
+
+  assert.deepEqual(results.map(result => result.created).sort(), [false, false, true]);
+  assert.equal(new Set(results.map(result => result.reminder.reminder_id)).size, 1);
+  assert.equal(executor.calls.length, 1);
+});
+
+test('a failed executor records nothing, so the email can be reminded later', async () => {
+  const email = stored('failed');
+
+  await assert.rejects(
+    createEmailReminder(db, email, { executor: fakeExecutor({ fail: 'Reminders is not running' }) }),
+    /Reminder creation failed: Reminders is not running/
+  );
+  assert.equal(getEmailReminder(db, email.id), null);
+
+  const { created } = await createEmailReminder(db, email, { executor: fakeExecutor() });
+  assert.equal(created, true);
+});
+
+test('invalid options are rejected before running the executor', async () => {
+  const email = stored('invalid');
+  const executor = fakeExecutor();
+
+  await assert.rejects(createEmailReminder(db, email, { executor, priority: 'urgent' }), /Invalid reminder priority/);
+  await assert.rejects(createEmailReminder(db, email, { executor, due: 'someday' }), /Invalid reminder due date/);
+  assert.equal(executor.calls.length, 0);
+});
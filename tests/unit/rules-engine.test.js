@@ -0,0 +1,222 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startSubscriberEndpoint } from '../helpers/subscriber-endpoint.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'rules-engine-'));
+const rulesPath = join(dir, 'rules.json');
+process.env.RULES_PATH = rulesPath;
+process.env.GMAIL_USER = 'me@example.com';
+process.env.ACCOUNTS_PATH = join(dir, 'no-accounts.json');
+process.env.LOG_LEVEL = 'error';
+
+const { compileRules, loadRules, matchConditions, evaluateRules, runRules } = await import('../../src/rules-engine.js');
+const { computeSignature } = await import('../../src/webhook-signature.js');
+const { initDatabase, storeEmail, getEmailById, getEmailReminder, closeDatabase } = await import('../../src/database.js');
+
+let db;
+let endpoint;
+
+before(async () => {
+  db = initDatabase(join(dir, 'emails.db'));
+  endpoint = await startSubscriberEndpoint({ statuses: [] });
+});
+
+after(async () => {
+  await endpoint.close();
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Each write gets a later modification time, so the cached rules are reloaded
+let mtime = 1700000000;
+
+function writeRules(rules) {
+  writeFileSync(rulesPath, typeof rules === 'string' ? rules : JSON.stringify({ rules }));
+  mtime += 10;
+  utimesSync(rulesPath, mtime, mtime);
+}
+
+let nextId = 1;
+
+// Store an email and return its row as runRules gets it
+function stored(fields = {}) {
+  const id = `rules-${nextId++}`;
+  storeEmail(db, {
+    id,
+    thread_id: `thread-${id}`,
+    received_at: '2025-11-01T10:00:00.000Z',
+    downloaded_at: '2025-11-01T10:00:01.000Z',
+    from_address: 'Billing <billing@shop.example>',
+    to_address: 'me@example.com',
+    cc_address: null,
+    subject: 'Your receipt for order #42',
+    labels: ['INBOX'],
+    body: 'Thanks for your order',
+    folder: 'INBOX',
+    ...fields,
+  });
+  return getEmailById(db, id);
+}
+
+const compile = match => compileRules({ rules: [{ name: 'test', match, actions: [] }] })[0].conditions;
+
+// Executor recording AppleScript calls (see reminders.js)
+function fakeExecutor() {
+  const calls = [];
+  return Object.assign(async (script, args) => {
+    calls.push(args);
+    return `x-apple-reminder://R${calls.length}`;
+  }, { calls });
+}
+
+test('rules files are validated with the rule name in the error', () => {
+  const invalid = [
+    [{}, /"rules" array/],
+    [{ rules: [{ name: 'a' }] }, /rule "a": "actions" must be an array/],
+    [{ rules: [{ actions: [{ type: 'email' }] }] }, /rule "rule-1": action type must be one of/],
+    [{ rules: [{ name: 'b', actions: [{ type: 'tag' }] }] }, /rule "b": "tag" action requires "labels"/],
+    [{ rules: [{ name: 'c', actions: [{ type: 'webhook' }] }] }, /"webhook" action requires "url"/],
+    [{ rules: [{ name: 'd', actions: [{ type: 'reminder', priority: 'urgent' }] }] }, /invalid "reminder" priority/],
+    [{ rules: [{ name: 'e', actions: [{ type: 'reminder', due: 'someday' }] }] }, /invalid "reminder" due/],
+    [{ rules: [{ name: 'f', actions: [{ type: 'imap', action: 'explode' }] }] }, /"imap" action:/],
+    [{ rules: [{ name: 'g', match: { subject: '(' }, actions: [] }] }, /rule "g": match: invalid "subject" regex/],
+    [{ rules: [{ name: 'h', match: { in_thread: 'yes' }, actions: [] }] }, /"in_thread" must be true or false/],
+    [{ rules: [{ name: 'i', match: { labels: [1] }, actions: [] }] }, /"labels" must be a list of strings/],
+  ];
+  for (const [document, error] of invalid) {
+    assert.throws(() => compileRules(document), error);
+  }
+});
+
+test('rules default to enabled, not stopping, and named by position', () => {
+  const [first, second] = compileRules({ rules: [
+    { actions: [] },
+    { name: 'off', enabled: false, stop: true, actions: [] },
+  ] });
+  assert.deepEqual([first.name, first.enabled, first.stop], ['rule-1', true, false]);
+  assert.deepEqual([second.name, second.enabled, second.stop], ['off', false, true]);
+});
+
+test('conditions match sender, subject, labels, thread and body', () => {
+  const email = stored({ labels: ['INBOX', 'Work'], body: 'Please reply ASAP' });
+
+  assert.ok(matchConditions(compile({ from: ['nobody@', 'BILLING@'] }), email, db));
+  assert.ok(!matchConditions(compile({ from: 'support@' }), email, db));
+  assert.ok(matchConditions(compile({ subject: 'receipt|invoice' }), email, db));
+  assert.ok(!matchConditions(compile({ subject: '^receipt' }), email, db));
+  assert.ok(matchConditions(compile({ labels: ['Personal', 'Work'] }), email, db));
+  assert.ok(!matchConditions(compile({ labels: 'Personal' }), email, db));
+  assert.ok(matchConditions(compile({ thread_id: email.thread_id }), email, db));
+  assert.ok(!matchConditions(compile({ thread_id: 'other' }), email, db));
+  assert.ok(matchConditions(compile({ body: ['urgent', 'asap'] }), email, db));
+  assert.ok(!matchConditions(compile({ body: 'invoice' }), email, db));
+  // Every condition must hold
+  assert.ok(!matchConditions(compile({ from: 'billing@', body: 'invoice' }), email, db));
+  assert.ok(matchConditions(compile({}), email, db));
+});
+
+test('in_thread tells replies from the first email of a thread', () => {
+  const first = stored({ thread_id: 'thread-reply', received_at: '2025-11-01T09:00:00.000Z' });
+  const reply = stored({ thread_id: 'thread-reply', received_at: '2025-11-01T11:00:00.000Z' });
+
+  assert.ok(matchConditions(compile({ in_thread: false }), first, db));
+  assert.ok(!matchConditions(compile({ in_thread: true }), first, db));
+  assert.ok(matchConditions(compile({ in_thread: true }), reply, db));
+  assert.ok(matchConditions(compile({ in_thread: false }), stored({ thread_id: '' }), db));
+});
+
+test('matching rules are returned in order, skipping disabled ones and stopping at stop', () => {
+  const rules = compileRules({ rules: [
+    { name: 'disabled', enabled: false, actions: [] },
+    { name: 'receipts', match: { subject: 'receipt' }, actions: [] },
+    { name: 'other-sender', match: { from: 'someone@' }, actions: [] },
+    { name: 'stopper', match: { from: 'billing@' }, stop: true, actions: [] },
+    { name: 'after-stop', actions: [] },
+  ] });
+
+  assert.deepEqual(evaluateRules(rules, stored(), db).map(rule => rule.name), ['receipts', 'stopper']);
+});
+
+test('rules are reloaded when the file changes and absent without a file', () => {
+  rmSync(rulesPath, { force: true });
+  assert.deepEqual(loadRules(), []);
+
+  writeRules([{ name: 'one', actions: [] }]);
+  const rules = loadRules();
+  assert.equal(loadRules(), rules);
+
+  writeRules([{ name: 'two', actions: [] }]);
+  assert.deepEqual(loadRules().map(rule => rule.name), ['two']);
+
+  writeRules('{ not json');
+  assert.throws(() => loadRules(), /Rules load failed/);
+});
+
+test('actions run with {{field}} templates rendered', async () => {
+  writeRules([{
+    name: 'receipts',
+    match: { from: 'billing@' },
+    actions: [
+      { type: 'tag', labels: ['Receipts', 'From {{folder}}'] },
+      { type: 'reminder', title: 'Pay: {{subject}}', list: 'Bills', due: '+1d', priority: 'high' },
+      { type: 'webhook', url: endpoint.url, secret: 'rule-secret' },
+    ],
+  }]);
+  const email = stored();
+  const reminderExecutor = fakeExecutor();
+  endpoint.requests.length = 0;
+
+  const matched = await runRules(email, { db, reminderExecutor });
+
+  assert.deepEqual(matched, ['receipts']);
+  assert.deepEqual(JSON.parse(getEmailById(db, email.id).labels), ['INBOX', 'Receipts', 'From INBOX']);
+
+  assert.equal(getEmailReminder(db, email.id).title, 'Pay: Your receipt for order #42');
+  assert.equal(reminderExecutor.calls[0][1], 'Bills');
+
+  const [{ headers, body }] = endpoint.requests;
+  const payload = JSON.parse(body);
+  assert.equal(payload.rule, 'receipts');
+  assert.equal(payload.email.id, email.id);
+  // Labels as they are after the tag action
+  assert.deepEqual(payload.email.labels, ['INBOX', 'Receipts', 'From INBOX']);
+  assert.equal(headers['x-webhook-signature'], computeSignature('rule-secret', headers['x-webhook-timestamp'], body));
+});
+
+test('a failing action is logged without stopping the other actions or rules', async () => {
+  const failing = await startSubscriberEndpoint({ statuses: [500] });
+  try {
+    writeRules([
+      {
+        name: 'failing',
+        actions: [
+          { type: 'webhook', url: failing.url },
+          { type: 'imap', action: 'archive' },
+          { type: 'tag', labels: ['Still tagged'] },
+        ],
+      },
+      { name: 'next', actions: [{ type: 'tag', labels: ['Next rule'] }] },
+    ]);
+    const email = stored();
+
+    // No IMAP connection in this context, so the imap action fails too
+    const matched = await runRules(email, { db });
+
+    assert.deepEqual(matched, ['failing', 'next']);
+    assert.equal(failing.requests.length, 1);
+    assert.deepEqual(JSON.parse(getEmailById(db, email.id).labels), ['INBOX', 'Still tagged', 'Next rule']);
+  } finally {
+    await failing.close();
+  }
+});
+
+test('an invalid rules file skips evaluation instead of throwing', async () => {
+  writeRules([{ name: 'broken', actions: [{ type: 'email' }] }]);
+  const email = stored();
+
+  assert.deepEqual(await runRules(email, { db }), []);
+  assert.deepEqual(JSON.parse(getEmailById(db, email.id).labels), ['INBOX']);
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const { initDatabase, storeEmail, searchEmails, closeDatabase } = await import('../../src/database.js');
+
+let dir;
+let db;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'search-index-'));
+  db = initDatabase(join(dir, 'emails.db'));
+  storeEmail(db, {
+    id: 'msg-1',
+    thread_id: 'thread-1',
+    received_at: '2025-11-01T10:00:00.000Z',
+    downloaded_at: '2025-11-01T10:00:01.000Z',
+    from_address: 'alice@example.com',
+    to_address: 'me@example.com',
+    cc_address: null,
+    subject: 'Quarterly invoice',
+    labels: [],
+    body: 'Please find the invoice attached',
+    folder: 'INBOX',
+  });
+});
+
+after(() => {
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const indexRow = () => db.prepare("SELECT rowid, subject FROM emails_fts WHERE email_id = 'msg-1'").get();
+
+test('flag, label and thread updates leave the index row alone', () => {
+  const { rowid } = indexRow();
+
+  db.prepare(`
+    UPDATE emails SET flags = '["\\\\Seen"]', is_read = 1, labels = '["Finance"]', thread_id = 'thread-2'
+    WHERE id = 'msg-1'
+  `).run();
+
+  assert.equal(indexRow().rowid, rowid);
+});
+
+test('updates of indexed columns re-index the email', () => {
+  db.prepare("UPDATE emails SET subject = 'Annual report' WHERE id = 'msg-1'").run();
+
+  assert.equal(indexRow().subject, 'Annual report');
+  assert.deepEqual(searchEmails(db, 'annual').map(email => email.id), ['msg-1']);
+  assert.deepEqual(searchEmails(db, 'quarterly'), []);
+});
@@ -0,0 +1,241 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startSubscriberEndpoint } from '../helpers/subscriber-endpoint.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'subscribers-'));
+const subscribersPath = join(dir, 'subscribers.json');
+process.env.SUBSCRIBERS_PATH = subscribersPath;
+process.env.LOG_LEVEL = 'error';
+
+const { enqueueEmailReceived, deliverDueEvents, getRetryDelay, EMAIL_RECEIVED_EVENT } = await import('../../src/subscribers.js');
+const { computeSignature } = await import('../../src/webhook-signature.js');
+const { initDatabase, storeEmail, getEventDeliveries, closeDatabase } = await import('../../src/database.js');
+
+let db;
+let endpoint;
+
+before(async () => {
+  db = initDatabase(join(dir, 'emails.db'));
+  endpoint = await startSubscriberEndpoint();
+});
+
+after(async () => {
+  await endpoint.close();
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Each write gets a later modification time, so the cached subscribers are reloaded
+let mtime = 1700000000;
+
+function writeSubscribers(subscribers) {
+  writeFileSync(subscribersPath, JSON.stringify({ subscribers }));
+  mtime += 10;
+  utimesSync(subscribersPath, mtime, mtime);
+}
+
+let nextId = 1;
+
+// Store an email and queue its events, as the ingestion paths do
+function receive(fields = {}) {
+  const email = {
+    id: `outbox-${nextId++}`,
+    thread_id: 'thread-outbox',
+    received_at: '2025-11-01T10:00:00.000Z',
+    downloaded_at: '2025-11-01T10:00:01.000Z',
+    from_address: 'alice@example.com',
+    to_address: 'me@example.com',
+    cc_address: null,
+    subject: 'Order shipped',
+    labels: [],
+    body: 'body',
+    folder: 'INBOX',
+    ...fields,
+  };
+  const queued = db.transaction(() => storeEmail(db, email) && enqueueEmailReceived(db, email))();
+  return { id: email.id, queued };
+}
+
+const deliveriesOf = (emailId) => getEventDeliveries(db, 10, { emailId });
+
+// Make waiting retries due now
+function makeDue(emailId) {
+  db.prepare("UPDATE event_deliveries SET next_attempt_at = '2000-01-01T00:00:00.000Z' WHERE email_id = ? AND status = 'pending'")
+    .run(emailId);
+}
+
+// Milliseconds from now until a delivery's next attempt
+const retryIn = delivery => Date.parse(delivery.next_attempt_at) - Date.now();
+
+test('retries wait 30 seconds, doubling per attempt up to an hour', () => {
+  assert.deepEqual([1, 2, 3, 4].map(getRetryDelay), [30000, 60000, 120000, 240000]);
+  assert.equal(getRetryDelay(8), 3600000);
+  assert.equal(getRetryDelay(20), 3600000);
+});
+
+test('events are queued for matching, enabled subscribers only', () => {
+  writeSubscribers([
+    { name: 'all', url: endpoint.url },
+    { name: 'shop', url: endpoint.url, filter: { from: '@shop.example' } },
+    { name: 'off', url: endpoint.url, enabled: false },
+  ]);
+
+  assert.equal(receive().queued, 1);
+  const { id, queued } = receive({ from_address: 'orders@shop.example' });
+  assert.equal(queued, 2);
+  assert.deepEqual(deliveriesOf(id).map(delivery => delivery.subscriber).sort(), ['all', 'shop']);
+});
+
+test('a delivery is POSTed once with event headers and a signature', async () => {
+  // Deliver what earlier tests queued
+  await deliverDueEvents(db);
+  writeSubscribers([{ name: 'signed', url: endpoint.url, secret: 'subscriber-secret' }]);
+  const { id } = receive({ subject: 'Signed delivery' });
+  endpoint.requests.length = 0;
+
+  assert.equal(await deliverDueEvents(db), 1);
+  assert.equal(await deliverDueEvents(db), 0);
+
+  const [{ headers, body }] = endpoint.requests;
+  const event = JSON.parse(body);
+  assert.equal(event.type, EMAIL_RECEIVED_EVENT);
+  assert.equal(event.data.id, id);
+  assert.equal(event.data.subject, 'Signed delivery');
+  assert.equal(headers['x-event-id'], event.id);
+  assert.equal(headers['x-event-type'], EMAIL_RECEIVED_EVENT);
+  assert.equal(headers['x-delivery-attempt'], '1');
+  assert.equal(headers['x-webhook-signature'], computeSignature('subscriber-secret', headers['x-webhook-timestamp'], body));
+
+  const [delivery] = deliveriesOf(id);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.last_status_code, 200);
+  assert.ok(delivery.delivered_at);
+});
+
+test('failed deliveries are retried with backoff until they succeed', async () => {
+  const flaky = await startSubscriberEndpoint({ statuses: [500, 503] });
+  try {
+    writeSubscribers([{ name: 'flaky', url: flaky.url }]);
+    const { id } = receive();
+
+    await deliverDueEvents(db);
+    let [delivery] = deliveriesOf(id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.last_status_code, 500);
+    assert.equal(delivery.last_error, 'Subscriber responded 500');
+    assert.ok(Math.abs(retryIn(delivery) - 30000) < 5000);
+
+    // Not due yet
+    assert.equal(await deliverDueEvents(db), 0);
+
+    makeDue(id);
+    await deliverDueEvents(db);
+    [delivery] = deliveriesOf(id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 2);
+    assert.ok(Math.abs(retryIn(delivery) - 60000) < 5000);
+
+    makeDue(id);
+    await deliverDueEvents(db);
+    [delivery] = deliveriesOf(id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+    assert.deepEqual(flaky.requests.map(request => request.headers['x-delivery-attempt']), ['1', '2', '3']);
+    // The same event every time, so subscribers can deduplicate on X-Event-Id
+    assert.equal(new Set(flaky.requests.map(request => request.headers['x-event-id'])).size, 1);
+  } finally {
+    await flaky.close();
+  }
+});
+
+test('a delivery goes dead after the maximum number of attempts', async () => {
+  const down = await startSubscriberEndpoint({ statuses: [500, 502, 503] });
+  try {
+    writeSubscribers([{ name: 'down', url: down.url }]);
+    const { id } = receive();
+
+    await deliverDueEvents(db, { maxAttempts: 2 });
+    makeDue(id);
+    await deliverDueEvents(db, { maxAttempts: 2 });
+
+    const [delivery] = deliveriesOf(id);
+    assert.equal(delivery.status, 'dead');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.last_status_code, 502);
+    assert.equal(delivery.next_attempt_at, null);
+
+    makeDue(id);
+    assert.equal(await deliverDueEvents(db, { maxAttempts: 2 }), 0);
+    assert.equal(down.requests.length, 2);
+  } finally {
+    await down.close();
+  }
+});
+
+test('4xx responses other than 408 and 429 are not retried', async () => {
+  const picky = await startSubscriberEndpoint({ statuses: [400, 404, 408, 429] });
+  try {
+    writeSubscribers([{ name: 'picky', url: picky.url }]);
+    const ids = [receive().id, receive().id, receive().id, receive().id];
+
+    await deliverDueEvents(db);
+
+    // Deliveries run concurrently, so match each response to its delivery by event id
+    const statusOf = new Map(picky.requests.map((request, index) => [request.headers['x-event-id'], [400, 404, 408, 429][index]]));
+    const outcomes = ids.map(id => {
+      const [delivery] = deliveriesOf(id);
+      return [statusOf.get(delivery.event_id), delivery.status];
+    }).sort(([a], [b]) => a - b);
+
+    assert.deepEqual(outcomes, [[400, 'dead'], [404, 'dead'], [408, 'pending'], [429, 'pending']]);
+  } finally {
+    await picky.close();
+  }
+});
+
+test('an unreachable subscriber is retried', async () => {
+  const gone = await startSubscriberEndpoint();
+  await gone.close();
+  writeSubscribers([{ name: 'gone', url: gone.url }]);
+  const { id } = receive();
+
+  await deliverDueEvents(db);
+
+  const [delivery] = deliveriesOf(id);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.last_status_code, null);
+  assert.ok(delivery.last_error);
+});
+
+test('deliveries to a subscriber removed from the file go dead without a request', async () => {
+  writeSubscribers([{ name: 'removed', url: endpoint.url }]);
+  const { id } = receive();
+  writeSubscribers([{ name: 'kept', url: endpoint.url }]);
+  endpoint.requests.length = 0;
+
+  await deliverDueEvents(db);
+
+  const [delivery] = deliveriesOf(id);
+  assert.equal(delivery.status, 'dead');
+  assert.equal(delivery.last_error, 'Subscriber no longer configured');
+  assert.equal(endpoint.requests.length, 0);
+});
+
+test('a failing subscriber does not hold up the others', async () => {
+  const failing = await startSubscriberEndpoint({ statuses: [500] });
+  try {
+    writeSubscribers([{ name: 'failing', url: failing.url }, { name: 'healthy', url: endpoint.url }]);
+    const { id } = receive();
+
+    await deliverDueEvents(db);
+
+    const statuses = Object.fromEntries(deliveriesOf(id).map(delivery => [delivery.subscriber, delivery.status]));
+    assert.deepEqual(statuses, { failing: 'pending', healthy: 'delivered' });
+  } finally {
+    await failing.close();
+  }
+});
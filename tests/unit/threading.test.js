@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+process.env.ACCOUNTS_PATH = join(tmpdir(), 'no-accounts.json');
+process.env.LOG_LEVEL = 'error';
+
+const { initDatabase, storeEmail, getEmailById, closeDatabase } = await import('../../src/database.js');
+
+let dir;
+let db;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'threading-'));
+  db = initDatabase(join(dir, 'emails.db'));
+});
+
+after(() => {
+  closeDatabase(db);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Store an email without a Gmail thread id
+function store(id, subject, headers) {
+  storeEmail(db, {
+    id,
+    thread_id: '',
+    received_at: '2025-11-01T10:00:00.000Z',
+    downloaded_at: '2025-11-01T10:00:01.000Z',
+    from_address: 'alice@example.com',
+    to_address: 'me@example.com',
+    cc_address: null,
+    subject,
+    labels: [],
+    body: '',
+    folder: 'INBOX',
+    headers: JSON.stringify(headers),
+  });
+  return getEmailById(db, id);
+}
+
+const referencesOf = id => db.prepare('SELECT message_id FROM email_references WHERE email_id = ? ORDER BY message_id')
+  .all(id).map(row => row.message_id);
+
+test('stored emails index the Message-IDs they reference', () => {
+  store('indexed', 'Re: Plans', {
+    'message-id': '<indexed@example.com>',
+    references: '<first@example.com> <second@example.com>',
+    'in-reply-to': '<second@example.com>',
+  });
+
+  assert.deepEqual(referencesOf('indexed'), ['first@example.com', 'second@example.com']);
+});
+
+test('a message stored after its reply joins the reply thread', () => {
+  const reply = store('answer', 'Re: Budget', { 'message-id': '<answer@example.com>', 'in-reply-to': '<question@example.com>' });
+  const question = store('question', 'Budget', { 'message-id': '<question@example.com>' });
+
+  assert.equal(question.thread_id, reply.thread_id);
+});
+
+test('replies of another account are not joined', () => {
+  const reply = store('work:answer', 'Re: Offsite', { 'message-id': '<w-answer@example.com>', 'in-reply-to': '<offsite@example.com>' });
+  const question = store('offsite', 'Offsite', { 'message-id': '<offsite@example.com>' });
+
+  assert.notEqual(question.thread_id, reply.thread_id);
+  assert.ok(reply.thread_id.startsWith('work:'));
+});
+
+test('deleted emails leave no references behind', () => {
+  db.prepare("DELETE FROM emails WHERE id = 'indexed'").run();
+  assert.deepEqual(referencesOf('indexed'), []);
+});
@@ -0,0 +1,92 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { normalizeTimestamp, isValidTimeZone, getDefaultTimeZone, CANONICAL_TIMESTAMP } =
+  await import('../../src/timestamps.js');
+
+const defaultTimeZone = process.env.DEFAULT_TIMEZONE;
+
+afterEach(() => {
+  if (defaultTimeZone === undefined) {
+    delete process.env.DEFAULT_TIMEZONE;
+  } else {
+    process.env.DEFAULT_TIMEZONE = defaultTimeZone;
+  }
+});
+
+test('ISO 8601 timestamps are converted to UTC using their offset', () => {
+  assert.equal(normalizeTimestamp('2025-11-01T12:00:00Z'), '2025-11-01T12:00:00.000Z');
+  assert.equal(normalizeTimestamp('2025-11-01T12:00:00.123z'), '2025-11-01T12:00:00.123Z');
+  assert.equal(normalizeTimestamp('2025-11-01T12:00:00-03:00'), '2025-11-01T15:00:00.000Z');
+  assert.equal(normalizeTimestamp('2025-11-01T12:00+05:30'), '2025-11-01T06:30:00.000Z');
+  assert.equal(normalizeTimestamp('2025-11-01T00:30:00+0200'), '2025-10-31T22:30:00.000Z');
+  // The offset wins over the timezone argument
+  assert.equal(normalizeTimestamp('2025-11-01T12:00:00Z', 'Asia/Tokyo'), '2025-11-01T12:00:00.000Z');
+});
+
+test('RFC 2822 dates are converted to UTC using their zone', () => {
+  assert.equal(normalizeTimestamp('Sat, 01 Nov 2025 12:00:00 +0000'), '2025-11-01T12:00:00.000Z');
+  assert.equal(normalizeTimestamp('1 Nov 2025 08:00:00 -0400'), '2025-11-01T12:00:00.000Z');
+  assert.equal(normalizeTimestamp('Sat, 1 Nov 2025 12:00 GMT'), '2025-11-01T12:00:00.000Z');
+});
+
+test('local date-times are read in the given timezone, across DST changes', () => {
+  assert.equal(normalizeTimestamp('2025-07-01 12:00:00', 'America/New_York'), '2025-07-01T16:00:00.000Z');
+  assert.equal(normalizeTimestamp('2025-12-01 12:00:00', 'America/New_York'), '2025-12-01T17:00:00.000Z');
+  assert.equal(normalizeTimestamp('2025-11-01T12:00', 'Europe/Berlin'), '2025-11-01T11:00:00.000Z');
+  assert.equal(normalizeTimestamp('2025-11-01', 'UTC'), '2025-11-01T00:00:00.000Z');
+  // Fractions beyond milliseconds are truncated
+  assert.equal(normalizeTimestamp('2025-11-01 12:00:00.123456', 'UTC'), '2025-11-01T12:00:00.123Z');
+  assert.equal(normalizeTimestamp('  2025-11-01 12:00:00.5  ', 'UTC'), '2025-11-01T12:00:00.500Z');
+});
+
+test('local date-times default to DEFAULT_TIMEZONE', () => {
+  process.env.DEFAULT_TIMEZONE = 'Asia/Tokyo';
+  assert.equal(getDefaultTimeZone(), 'Asia/Tokyo');
+  assert.equal(normalizeTimestamp('2025-11-01 09:00:00'), '2025-11-01T00:00:00.000Z');
+});
+
+test('Date objects are stored as they are', () => {
+  assert.equal(normalizeTimestamp(new Date(Date.UTC(2025, 10, 1, 12))), '2025-11-01T12:00:00.000Z');
+  assert.equal(normalizeTimestamp(new Date('not a date')), null);
+});
+
+test('invalid timestamps are rejected instead of guessed', () => {
+  const invalid = [
+    'yesterday',
+    '',
+    '2025-11-01T12:00:00+25',
+    '11/01/2025 12:00',
+    '2025-02-30 12:00:00',
+    '2025-11-01 24:00:00',
+    '2025-11-01 12:60:00',
+    '2025-13-01',
+    'Sat, 01 Nov 2025 12:00:00',
+    '2025-11-31T12:00:00Z',
+    '2025-11-01T12:61:00+01:00',
+    'Sat, 31 Nov 2025 12:00:00 +0000',
+    '30 Feb 2025 12:00 GMT',
+    'Sat, 01 Foo 2025 12:00:00 +0000',
+    1761998400000,
+    null,
+    undefined,
+  ];
+  for (const value of invalid) {
+    assert.equal(normalizeTimestamp(value, 'UTC'), null, `${value} should be rejected`);
+  }
+  assert.equal(normalizeTimestamp('2025-11-01 12:00:00', 'Mars/Olympus_Mons'), null);
+});
+
+test('timezone names are checked against the runtime', () => {
+  assert.ok(isValidTimeZone('America/Sao_Paulo'));
+  assert.ok(isValidTimeZone('UTC'));
+  assert.ok(!isValidTimeZone('Mars/Olympus_Mons'));
+});
+
+test('every normalized timestamp has the canonical stored form', () => {
+  const values = ['2025-11-01T12:00:00-03:00', 'Sat, 01 Nov 2025 12:00:00 +0000', '2025-11-01 12:00'];
+  for (const value of values) {
+    assert.match(normalizeTimestamp(value, 'Europe/London'), CANONICAL_TIMESTAMP);
+  }
+  assert.doesNotMatch('2025-11-01T12:00:00Z', CANONICAL_TIMESTAMP);
+});
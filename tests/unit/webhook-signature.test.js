@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSignature, verifySignature, signUrl, verifySignedUrl } from '../../src/webhook-signature.js';
+
+const SECRET = 'test-secret';
+const NOW = 1700000000000;
+
+// A request signed at `timestamp` (unix seconds)
+function request(body, timestamp = NOW / 1000, secret = SECRET) {
+  return { signature: computeSignature(secret, timestamp, body), timestamp: String(timestamp), body };
+}
+
+test('a signature is accepted once', () => {
+  const seen = new Map();
+  const signed = request('{"id":"msg-1"}');
+
+  assert.deepEqual(verifySignature(signed, [SECRET], 300, NOW, seen), { valid: true });
+  assert.deepEqual(verifySignature(signed, [SECRET], 300, NOW + 1000, seen), { valid: false, message: 'Signature already used' });
+});
+
+test('without a cache the same signature verifies again', () => {
+  const signed = request('{"id":"msg-1"}');
+  assert.equal(verifySignature(signed, [SECRET], 300, NOW).valid, true);
+  assert.equal(verifySignature(signed, [SECRET], 300, NOW).valid, true);
+});
+
+test('rejected signatures are not remembered', () => {
+  const seen = new Map();
+  verifySignature(request('{}', NOW / 1000, 'wrong-secret'), [SECRET], 300, NOW, seen);
+  verifySignature(request('{}', NOW / 1000 - 600), [SECRET], 300, NOW, seen);
+  assert.equal(seen.size, 0);
+});
+
+test('signatures are forgotten once their timestamp leaves the window', () => {
+  const seen = new Map();
+  verifySignature(request('first'), [SECRET], 300, NOW, seen);
+  verifySignature(request('second', NOW / 1000 + 301), [SECRET], 300, NOW + 301000, seen);
+
+  assert.deepEqual([...seen.values()], [(NOW / 1000 + 601) * 1000]);
+});
+
+test('a signed URL is accepted any number of times until it expires', () => {
+  const target = signUrl(SECRET, '/events?label=Work', NOW / 1000 + 60);
+  assert.match(target, /^\/events\?label=Work&expires=1700000060&signature=sha256%3D[0-9a-f]{64}$/);
+
+  assert.deepEqual(verifySignedUrl(target, [SECRET], 3600, NOW), { valid: true });
+  assert.deepEqual(verifySignedUrl(target, [SECRET], 3600, NOW + 60000), { valid: true });
+  assert.deepEqual(verifySignedUrl(target, [SECRET], 3600, NOW + 61000), { valid: false, message: 'Signed URL expired' });
+});
+
+test('a signed URL covers its path and query string', () => {
+  const target = signUrl(SECRET, '/events', NOW / 1000 + 60);
+  assert.equal(verifySignedUrl(target.replace('/events', '/emails'), [SECRET], 3600, NOW).valid, false);
+  assert.equal(verifySignedUrl(target.replace('expires=1700000060', 'expires=1700000090'), [SECRET], 3600, NOW).valid, false);
+  assert.equal(verifySignedUrl(`${target}&label=Work`, [SECRET], 3600, NOW).valid, false);
+  assert.equal(verifySignedUrl('/events?expires=1700000060', [SECRET], 3600, NOW).message, 'Missing signature parameter');
+  assert.equal(verifySignedUrl('/events?expires=1700000060&signature=%E0', [SECRET], 3600, NOW).message, 'Signature mismatch');
+});
+
+test('a signed URL may not outlive the maximum lifetime', () => {
+  const target = signUrl(SECRET, '/events', NOW / 1000 + 7200);
+  assert.match(verifySignedUrl(target, [SECRET], 3600, NOW).message, /more than 3600s/);
+});